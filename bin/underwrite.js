@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// Headless underwriting: reads one or more deal JSON files and prints the
+// pro forma and returns, using the same engine as the app.
+//
+//   node bin/underwrite.js deal.json [more.json ...] [--period=year|calendar|quarter|month] [--json]
+//
+// A deal file is either a versioned deal file exported from the app (see
+// src/engine/dealFile.js) or a flat inputs object (see src/engine/underwrite.js);
+// any field it leaves out falls back to DEFAULT_INPUTS.
+
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { underwrite } from '../src/engine/underwrite.js';
+import { parseDealFile } from '../src/engine/dealFile.js';
+import { COMPARE_METRICS, runScenarios } from '../src/engine/scenarios.js';
+import { modelWarnings } from '../src/engine/warnings.js';
+import { perSf, perUnit, hasPropertySize, describeProperty } from '../src/engine/property.js';
+import { formatCurrency, formatPercent, formatIRR, formatValue, formatPerSf, formatPerUnit, formatMultiple } from '../src/format.js';
+
+const USAGE = 'Usage: underwrite <deal.json> [more.json ...] [--period=year|calendar|quarter|month] [--json]';
+
+// Pro Forma columns for each --period
+const PERIODS = {
+  year: (calculated, inputs) => calculated.schedule.slice(0, inputs.holdPeriod),
+  calendar: (calculated) => calculated.calendarYears,
+  quarter: (calculated) => calculated.calendarQuarters,
+  month: (calculated) => calculated.monthly,
+};
+
+const ROWS = [
+  ['Gross Potential Income', 'gpi', formatCurrency],
+  ['Vacancy Loss', 'vacancy', formatCurrency],
+  ['Expense Reimbursements', 'reimbursements', formatCurrency],
+  ['Effective Gross Income', 'egi', formatCurrency],
+  ['Operating Expenses', 'expenses', formatCurrency],
+  ['  Management Fee', 'managementFee', formatCurrency],
+  ['Net Operating Income', 'noi', formatCurrency],
+  ['Leasing Costs (TI/LC)', 'leasingCosts', formatCurrency],
+  ['Replacement Reserves', 'reserves', formatCurrency],
+  ['Renovation Capex', 'capex', formatCurrency],
+  ['Annual Debt Service', 'debtService', formatCurrency],
+  ['Balloon Payment', 'balloon', formatCurrency],
+  ['Future Funding Draws', 'futureFunding', formatCurrency],
+  ['Refinance Proceeds', 'refiProceeds', formatCurrency],
+  ['Loan Payoff', 'refiPayoff', formatCurrency],
+  ['Prepayment Penalty', 'prepaymentPenalty', formatCurrency],
+  ['Refinance Costs', 'refiCosts', formatCurrency],
+  ['Ending Loan Balance', 'endLoanBal', formatCurrency],
+  ['Cash Flow After Debt', 'cfLevered', formatCurrency],
+  ['DSCR', 'dscr', (v) => `${v.toFixed(2)}x`],
+  ['Debt Yield', 'debtYield', formatPercent],
+];
+// Shown only when the deal refinances
+const REFI_ROWS = ['refiProceeds', 'refiPayoff', 'prepaymentPenalty', 'refiCosts'];
+
+// ' ($143.78/SF, $575,108/unit)' for whichever sizes the profile has
+const perSize = (amount, property) => {
+  const parts = [
+    property.rentableSf > 0 && `${formatPerSf(perSf(amount, property))}/SF`,
+    property.units > 0 && `${formatPerUnit(perUnit(amount, property))}/unit`,
+  ].filter(Boolean);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+};
+
+const loadDeal = (file) => {
+  try {
+    return parseDealFile(JSON.parse(readFileSync(file, 'utf8')), basename(file, '.json'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+};
+
+const renderTable = (header, rows) => {
+  const widths = header.map((_, c) => Math.max(...[header, ...rows].map(r => String(r[c]).length)));
+  const line = (r) => r.map((cell, c) => (c === 0 ? String(cell).padEnd(widths[c]) : String(cell).padStart(widths[c]))).join('  ');
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+};
+
+// Base case and each saved scenario side by side
+const renderScenarios = ({ inputs, scenarios }) => {
+  const results = runScenarios(inputs, scenarios);
+  const header = ['Scenario', ...results.map(r => r.name)];
+  const rows = COMPARE_METRICS.map(metric => [metric.label, ...results.map(r => formatValue(metric.format, metric.value(r.result)))]);
+  return renderTable(header, rows);
+};
+
+const renderDeal = ({ name, inputs, scenarios }, calculated, period) => {
+  const years = PERIODS[period](calculated, inputs);
+  const header = ['Line Item', ...years.map(row => row.label)];
+  const shown = ROWS.filter(([, key]) => calculated.refinance || !REFI_ROWS.includes(key));
+  const rows = shown.map(([label, key, fmt]) => [label, ...years.map(row => fmt(row[key]))]);
+  const lineRows = inputs.expenseLines.map((line, i) => [`  ${line.name}`, ...years.map(row => formatCurrency(row.expenseLines[i]))]);
+  rows.splice(shown.findIndex(([, key]) => key === 'expenses') + 1, 0, ...lineRows);
+
+  return [
+    `== ${name} ==`,
+    ...(describeProperty(inputs.property) ? [describeProperty(inputs.property)] : []),
+    '',
+    renderTable(header, rows),
+    '',
+    `Total Equity      ${formatCurrency(calculated.totalEquity)}`,
+    `Loan Amount       ${formatCurrency(calculated.loanAmount)}`,
+    ...(calculated.refinance ? [`Refinance         Year ${calculated.refinance.year}: ${formatCurrency(calculated.refinance.loanAmount)} (${calculated.refinance.binding}), ${formatCurrency(calculated.refinance.cashOut)} cash out`] : []),
+    ...(hasPropertySize(inputs.property) ? [
+      `Purchase Price    ${formatCurrency(inputs.purchasePrice)}${perSize(inputs.purchasePrice, inputs.property)}`,
+      `All-In Basis      ${formatCurrency(calculated.allInBasis)}${perSize(calculated.allInBasis, inputs.property)}`,
+    ] : []),
+    `Exit Price        ${formatCurrency(calculated.salePrice)}${perSize(calculated.salePrice, inputs.property)}`,
+    `Net Sale Proceeds ${formatCurrency(calculated.netSaleProceeds)}`,
+    `Levered IRR       ${formatIRR(calculated.leveredIRR)}${calculated.leveredIRRs.length > 1 ? ` (multiple IRRs: ${calculated.leveredIRRs.map(formatPercent).join(', ')})` : ''}`,
+    `Levered MIRR      ${formatIRR(calculated.leveredMIRR)} (finance ${inputs.financeRate}%, reinvest ${inputs.reinvestRate}%)`,
+    `Levered XIRR      ${formatIRR(calculated.leveredXIRR)} (${inputs.closingDate} to ${calculated.exitDate})`,
+    `Equity Multiple   ${calculated.equityMultiple.toFixed(2)}x`,
+    `Avg Cash-on-Cash  ${formatPercent(calculated.avgCoC)}`,
+    `Unlevered IRR     ${formatIRR(calculated.unleveredIRR)} (${calculated.unleveredMultiple.toFixed(2)}x)`,
+    `NPV @ ${inputs.discountRate}%`.padEnd(18) + `${formatCurrency(calculated.leveredNPV)} levered / ${formatCurrency(calculated.unleveredNPV)} unlevered`,
+    `Yield on Cost     ${formatPercent(calculated.yieldOnCost)}`,
+    `After-Tax IRR     ${formatIRR(calculated.tax.irr)} (${calculated.tax.equityMultiple.toFixed(2)}x; ${formatCurrency(calculated.tax.sale.tax)} tax on sale)`,
+    `Payback           ${calculated.paybackYear === null ? 'not within hold' : `Year ${calculated.paybackYear}`}`,
+    `LP IRR / Multiple ${formatIRR(calculated.waterfall.lp.irr)} / ${formatMultiple(calculated.waterfall.lp.multiple)}`,
+    `GP IRR / Multiple ${formatIRR(calculated.waterfall.gp.irr)} / ${formatMultiple(calculated.waterfall.gp.multiple)}`,
+    ...modelWarnings(inputs, calculated).map(({ level, message }) => `${level === 'error' ? 'ERROR' : 'Warning'}: ${message}`),
+    ...(scenarios.length > 0 ? ['', renderScenarios({ inputs, scenarios })] : []),
+  ].join('\n');
+};
+
+const main = (argv) => {
+  const asJson = argv.includes('--json');
+  const periodArg = argv.find(arg => arg.startsWith('--period='));
+  const period = periodArg ? periodArg.slice('--period='.length) : 'year';
+  if (!PERIODS[period]) throw new Error(`unknown period "${period}" (expected ${Object.keys(PERIODS).join(', ')})`);
+  const files = argv.filter(arg => !arg.startsWith('--'));
+
+  if (files.length === 0 || argv.includes('--help')) {
+    console.error(USAGE);
+    return files.length === 0 ? 1 : 0;
+  }
+
+  const results = files.map(file => {
+    const deal = loadDeal(file);
+    return { deal, calculated: underwrite(deal.inputs) };
+  });
+
+  if (asJson) {
+    const out = results.map(({ deal, calculated }) => ({
+      name: deal.name,
+      inputs: deal.inputs,
+      ...calculated,
+      warnings: modelWarnings(deal.inputs, calculated),
+      scenarios: runScenarios(deal.inputs, deal.scenarios).slice(1).map(({ id, name, overrides, result }) => ({ id, name, overrides, ...result })),
+    }));
+    console.log(JSON.stringify(out.length === 1 ? out[0] : out, null, 2));
+  } else {
+    console.log(results.map(({ deal, calculated }) => renderDeal(deal, calculated, period)).join('\n\n'));
+  }
+  return 0;
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`underwrite: ${err.message}`);
+  process.exitCode = 1;
+}
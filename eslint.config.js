@@ -36,4 +36,10 @@ export default [
             'react/prop-types': 'off',
         },
     },
+    {
+        files: ['bin/**/*.js'],
+        languageOptions: {
+            globals: globals.node,
+        },
+    },
 ]
@@ -1,238 +1,104 @@
-import { useState, useMemo } from 'react';
-import { Calculator, TrendingUp, DollarSign, Percent, FileText } from 'lucide-react';
-
-const Card = ({ children, className = "" }) => (
-  <div className={`bg-white rounded-lg border border-gray-200 shadow-sm ${className}`}>
-    {children}
-  </div>
-);
-
-const SectionHeader = ({ title, icon: Icon }) => (
-  <div className="flex items-center gap-2 mb-4 pb-2 border-b border-gray-100">
-    {Icon && <Icon className="w-5 h-5 text-blue-600" />}
-    <h3 className="font-semibold text-gray-800">{title}</h3>
-  </div>
-);
-
-const InputField = ({ label, value, onChange, type = "number", prefix = "", suffix = "", step = "0.01", tooltip }) => (
-  <div className="mb-3">
-    <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1 flex justify-between">
-      {label}
-      {tooltip && <span title={tooltip} className="cursor-help text-gray-400">ⓘ</span>}
-    </label>
-    <div className="relative rounded-md shadow-sm">
-      {prefix && (
-        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-          <span className="text-gray-500 sm:text-sm">{prefix}</span>
-        </div>
-      )}
-      <input
-        type={type}
-        value={value}
-        onChange={(e) => onChange(e.target.value)}
-        step={step}
-        className={`focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md py-2 ${prefix ? 'pl-7' : 'pl-3'} ${suffix ? 'pr-8' : 'pr-3'} bg-gray-50 border`}
-      />
-      {suffix && (
-        <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
-          <span className="text-gray-500 sm:text-sm">{suffix}</span>
-        </div>
-      )}
-    </div>
-  </div>
-);
-
-const formatCurrency = (val) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(val);
-const formatPercent = (val) => new Intl.NumberFormat('en-US', { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(val);
-
-// --- Financial Helper Functions ---
-
-// IRR Calculation (Newton-Raphson approximation)
-const calculateIRR = (cashFlows, guess = 0.1) => {
-  const maxIterations = 1000;
-  const tolerance = 0.0000001;
-  let rate = guess;
-
-  for (let i = 0; i < maxIterations; i++) {
-    let npv = 0;
-    let derivative = 0;
-    for (let t = 0; t < cashFlows.length; t++) {
-      npv += cashFlows[t] / Math.pow(1 + rate, t);
-      derivative -= (t * cashFlows[t]) / Math.pow(1 + rate, t + 1);
-    }
-    const newRate = rate - npv / derivative;
-    if (Math.abs(newRate - rate) < tolerance) return newRate;
-    rate = newRate;
-  }
-  return null;
-};
+import { useState, useMemo, useEffect } from 'react';
+import { Calculator, TrendingUp, DollarSign, Percent, FileText, FileSpreadsheet, FileUp, AlertTriangle } from 'lucide-react';
+import { Card, SectionHeader, InputField, Toggle, YearValuesInput } from './components/ui.jsx';
+import RentRollEditor from './components/RentRollEditor.jsx';
+import ExpenseBudgetEditor from './components/ExpenseBudgetEditor.jsx';
+import SensitivityTab from './components/SensitivityTab.jsx';
+import SimulationTab from './components/SimulationTab.jsx';
+import CompareTab from './components/CompareTab.jsx';
+import PortfolioTab from './components/PortfolioTab.jsx';
+import ReportTab from './components/ReportTab.jsx';
+import ChartsPanel from './components/ChartsPanel.jsx';
+import WarningsPanel from './components/WarningsPanel.jsx';
+import ReturnsPanel from './components/ReturnsPanel.jsx';
+import TaxPanel from './components/TaxPanel.jsx';
+import CapitalPlanPanel from './components/CapitalPlanPanel.jsx';
+import PropertyPanel from './components/PropertyPanel.jsx';
+import RefinancePanel from './components/RefinancePanel.jsx';
+import GoalSeekPanel from './components/GoalSeekPanel.jsx';
+import WaterfallPanel from './components/WaterfallPanel.jsx';
+import DealLibrary from './components/DealLibrary.jsx';
+import ImportWizard from './components/ImportWizard.jsx';
+import { RECOVERY_TYPES } from './engine/expenses.js';
+import { GROWTH_TYPES, VACANCY_TYPES } from './engine/growth.js';
+import { RATE_TYPES, LOAN_SIZING_MODES } from './engine/debt.js';
+import { perSf, perUnit, hasPropertySize } from './engine/property.js';
+import { underwrite } from './engine/underwrite.js';
+import { applyOverrides, inputRange, CURVE_RANGES } from './engine/inputs.js';
+import { modelWarnings } from './engine/warnings.js';
+import { PRO_FORMA_PERIODS } from './engine/periods.js';
+import { exportWorkbook } from './export/workbook.js';
+import { downloadFile } from './export/download.js';
+import { loadLibrary, saveLibrary, fileSlug } from './dealLibrary.js';
+import { formatCurrency, formatPercent, formatIRR, formatPerSf, formatPerUnit, formatMultiple } from './format.js';
 
 export default function App() {
-  // --- State: Inputs (Defaulted to CSV snippet roughly) ---
-  const [inputs, setInputs] = useState({
-    purchasePrice: 1725325,
-    capRate: 8.97, // Going-in Cap
-    closingCostsPct: 1.0,
-    vacancyRate: 5.0,
-    holdPeriod: 5,
-    growthType: 'Annual', // 'Annual' or 'Step-Up'
-    annualGrowthRate: 2.0,
-    stepUpRate: 10.0,
-    stepUpFreq: 5,
-    ltv: 65.0,
-    interestRate: 6.5,
-    amortization: 30,
-    loanTerm: 10,
-    originationFee: 1.0,
-    exitCap: 9.25, // Usually slightly higher than going-in
-    saleCosts: 2.0,
-    annualExpenses: 50000,
-    expenseGrowthRate: 2.0,
-  });
-
-  const [activeTab, setActiveTab] = useState('model'); // 'model' or 'formulas'
+  // --- State: Saved deals; inputs are the active deal's ---
+  const [library, setLibrary] = useState(loadLibrary);
+  const activeDeal = library.deals.find(deal => deal.id === library.activeId);
+  const inputs = activeDeal.inputs;
+  const updateActiveDeal = (field, update) => setLibrary(prev => ({
+    ...prev,
+    deals: prev.deals.map(deal => (deal.id === prev.activeId ? { ...deal, [field]: typeof update === 'function' ? update(deal[field]) : update } : deal)),
+  }));
+  const setInputs = (update) => updateActiveDeal('inputs', update);
+  const setScenarios = (update) => updateActiveDeal('scenarios', update);
+  const setNarrative = (update) => updateActiveDeal('narrative', update);
+
+  useEffect(() => saveLibrary(library), [library]);
+
+  // A share link has been imported into the library; drop it so a reload doesn't import it again
+  useEffect(() => {
+    if (window.location.hash.includes('deal=')) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, []);
+
+  const [showImport, setShowImport] = useState(false);
+  const [activeTab, setActiveTab] = useState('model'); // 'model', 'sensitivity', 'simulation', 'compare', 'portfolio', 'report' or 'formulas'
 
   // --- Calculations ---
 
-  const calculated = useMemo(() => {
-    // 1. Derived Deal Metrics
-    // Logic Change: We start with NOI from Cap Rate => derive EGI => derive GPI
-    const year1NOI = inputs.purchasePrice * (inputs.capRate / 100);
-    const year1Expenses = inputs.annualExpenses;
-    const year1EGI = year1NOI + year1Expenses;
-    const grossPotentialIncomeStart = year1EGI / (1 - inputs.vacancyRate / 100);
-
-    const loanAmount = inputs.purchasePrice * (inputs.ltv / 100);
-    const loanFee = loanAmount * (inputs.originationFee / 100);
-    const closingCostsAmt = inputs.purchasePrice * (inputs.closingCostsPct / 100);
-    const totalEquity = inputs.purchasePrice + closingCostsAmt + loanFee - loanAmount;
-
-    // 2. Loan Constants (Monthly)
-    const monthlyRate = (inputs.interestRate / 100) / 12;
-    const totalMonths = inputs.amortization * 12;
-    const monthlyPayment = (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -totalMonths));
-
-    // 3. Projection Loop
-    const schedule = [];
-    let currentLoanBalance = loanAmount;
-    let currentGPI = grossPotentialIncomeStart;
-    let currentExpenses = year1Expenses;
-
-    // We project one year past hold to get forward NOI for sale
-    const projectionYears = Math.max(inputs.holdPeriod + 1, 10);
-
-    for (let year = 1; year <= projectionYears; year++) {
-      // -- Operations --
-      // Growth Logic
-      if (year > 1) {
-        if (inputs.growthType === 'Annual') {
-          currentGPI *= (1 + inputs.annualGrowthRate / 100);
-        } else {
-          // Step Up Logic: Increases only if (Year-1) is divisible by Frequency
-          if ((year - 1) % inputs.stepUpFreq === 0) {
-            currentGPI *= (1 + inputs.stepUpRate / 100);
-          }
-        }
-        // Grow Expenses
-        currentExpenses *= (1 + inputs.expenseGrowthRate / 100);
-      }
-
-      const vacancyLoss = currentGPI * (inputs.vacancyRate / 100);
-      const egi = currentGPI - vacancyLoss;
-      const noi = egi - currentExpenses;
-
-      // -- Debt Service (Aggregation of 12 months) --
-      let interestPaymentYear = 0;
-      let principalPaymentYear = 0;
-      let startBalance = currentLoanBalance;
-
-      for (let m = 0; m < 12; m++) {
-        const interest = currentLoanBalance * monthlyRate;
-        const principal = monthlyPayment - interest;
-        interestPaymentYear += interest;
-        principalPaymentYear += principal;
-        currentLoanBalance -= principal;
-      }
-
-      const debtService = interestPaymentYear + principalPaymentYear;
-      const cashFlowBeforeDebt = noi;
-      const cashFlowAfterDebt = cashFlowBeforeDebt - debtService;
-
-      // -- Credit Metrics --
-      const dscr = debtService > 0 ? noi / debtService : 0;
-      const debtYield = startBalance > 0 ? noi / startBalance : 0;
-
-      schedule.push({
-        year,
-        gpi: currentGPI,
-        vacancy: vacancyLoss,
-        egi,
-        expenses: currentExpenses,
-        noi,
-        startLoanBal: startBalance,
-        debtService,
-        interest: interestPaymentYear,
-        principal: principalPaymentYear,
-        endLoanBal: currentLoanBalance,
-        cfUnlevered: cashFlowBeforeDebt,
-        cfLevered: cashFlowAfterDebt,
-        dscr,
-        debtYield
-      });
-    }
-
-    // 4. Exit & Returns (at Hold Period)
-    const exitYearIdx = inputs.holdPeriod - 1;
-    const forwardYearIdx = inputs.holdPeriod;
-    const forwardNOI = schedule[forwardYearIdx]?.noi || 0;
-
-    const salePrice = forwardNOI / (inputs.exitCap / 100);
-    const saleCostsAmt = salePrice * (inputs.saleCosts / 100);
-    const loanPayoff = schedule[exitYearIdx].endLoanBal;
-    const netSaleProceeds = salePrice - saleCostsAmt - loanPayoff;
-
-    // Cash Flow Stream for IRR
-    const cfStream = [-totalEquity]; // Year 0
-    for (let i = 0; i < inputs.holdPeriod; i++) {
-      let cf = schedule[i].cfLevered;
-      // Add sale proceeds to final year
-      if (i === inputs.holdPeriod - 1) {
-        cf += netSaleProceeds;
-      }
-      cfStream.push(cf);
-    }
-
-    const leveredIRR = calculateIRR(cfStream);
-    const totalProfit = cfStream.reduce((a, b) => a + b, 0) + totalEquity; // Sum of positive flows
-    const equityMultiple = (totalProfit + totalEquity) / totalEquity;
-
-    // Average Cash on Cash
-    const totalLeveredCF = schedule.slice(0, inputs.holdPeriod).reduce((sum, yr) => sum + yr.cfLevered, 0);
-    const avgCoC = (totalLeveredCF / inputs.holdPeriod) / totalEquity;
-
-    return {
-      year1NOI,
-      year1Expenses,
-      loanAmount,
-      totalEquity,
-      schedule,
-      salePrice,
-      netSaleProceeds,
-      leveredIRR,
-      equityMultiple,
-      avgCoC,
-      cfStream
-    };
-  }, [inputs]);
-
-  const updateInput = (key, val) => setInputs(prev => ({ ...prev, [key]: parseFloat(val) || 0 }));
+  const calculated = useMemo(() => underwrite(inputs), [inputs]);
+  const warnings = useMemo(() => modelWarnings(inputs, calculated), [inputs, calculated]);
+
+  // Pro Forma columns: model years from closing, or the monthly projection rolled up to calendar periods
+  const [proFormaPeriod, setProFormaPeriod] = useState('Model Year');
+  const proFormaRows = {
+    'Model Year': calculated.schedule.slice(0, inputs.holdPeriod),
+    'Calendar Year': calculated.calendarYears,
+    'Quarter': calculated.calendarQuarters,
+    'Month': calculated.monthly,
+  }[proFormaPeriod];
+
+  // Year 1 per SF / per unit, beside the Deal Summary figures and the Pro Forma lines
+  const { property } = inputs;
+  const showPerUnit = hasPropertySize(property);
+  const year1 = calculated.schedule[0];
+  const perUnitLine = (amount) => showPerUnit && (
+    <span className="block text-xs text-gray-400">
+      {[property.rentableSf > 0 && `${formatPerSf(perSf(amount, property))}/SF`, property.units > 0 && `${formatPerUnit(perUnit(amount, property))}/unit`].filter(Boolean).join(' · ')}
+    </span>
+  );
+  const perUnitCells = (amount, deduction = false) => {
+    if (!showPerUnit) return null;
+    const cell = (text) => (amount === null ? '' : deduction && amount !== 0 ? `(${text})` : text);
+    return (
+      <>
+        <td className="px-2 py-2 text-xs text-gray-500">{cell(formatPerSf(perSf(amount, property)))}</td>
+        <td className="px-2 py-2 text-xs text-gray-500 border-r border-gray-200">{cell(formatPerUnit(perUnit(amount, property)))}</td>
+      </>
+    );
+  };
+
+  const updateInput = (key, val) => setInputs(prev => ({ ...prev, [key]: val }));
+
+  const exportXlsx = () => downloadFile(`${fileSlug(activeDeal.name)}.xlsx`, exportWorkbook(inputs, calculated), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
 
   return (
-    <div className="min-h-screen bg-gray-50 p-4 font-sans text-gray-800">
+    <div className="min-h-screen bg-gray-50 p-4 font-sans text-gray-800 print:bg-white print:p-0">
       <div className="max-w-[1920px] mx-auto">
 
         {/* Header */}
-        <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 px-2">
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 px-2 print:hidden">
           <div>
             <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
               <Calculator className="w-8 h-8 text-blue-700" />
@@ -240,22 +106,51 @@ export default function App() {
             </h1>
             <p className="text-gray-500 text-sm mt-1">Single-Sheet Pro Forma Architecture</p>
           </div>
-          <div className="mt-4 md:mt-0 bg-white p-1 rounded-lg border shadow-sm">
+          <div className="mt-4 md:mt-0 flex items-center gap-3">
             <button
-              onClick={() => setActiveTab('model')}
-              className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'model' ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-50'}`}
+              onClick={() => setShowImport(open => !open)}
+              className="flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-white border shadow-sm text-gray-700 hover:bg-gray-50"
             >
-              Model View
+              <FileUp className="w-4 h-4 text-blue-700" /> Import CSV
             </button>
             <button
-              onClick={() => setActiveTab('formulas')}
-              className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'formulas' ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-50'}`}
+              onClick={exportXlsx}
+              className="flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-white border shadow-sm text-gray-700 hover:bg-gray-50"
             >
-              Excel Formula Guide
+              <FileSpreadsheet className="w-4 h-4 text-green-700" /> Export to .xlsx
             </button>
+            <div className="bg-white p-1 rounded-lg border shadow-sm">
+              {[['model', 'Model View'], ['sensitivity', 'Sensitivity'], ['simulation', 'Simulation'], ['compare', 'Compare'], ['portfolio', 'Portfolio'], ['report', 'Report'], ['formulas', 'Excel Formula Guide']].map(([tab, label]) => (
+                <button
+                  key={tab}
+                  onClick={() => setActiveTab(tab)}
+                  className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === tab ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
 
+        <div className="mb-6 print:hidden">
+          <DealLibrary library={library} onChange={setLibrary} />
+        </div>
+
+        {showImport && (
+          <div className="mb-6 print:hidden">
+            <ImportWizard
+              inputs={inputs}
+              onApply={(changes) => {
+                setInputs(prev => ({ ...prev, ...changes }));
+                setShowImport(false);
+                setActiveTab('model');
+              }}
+              onClose={() => setShowImport(false)}
+            />
+          </div>
+        )}
+
         {activeTab === 'model' ? (
           <div className="space-y-6">
 
@@ -266,9 +161,20 @@ export default function App() {
               <Card className="p-4 bg-blue-50/50 border-blue-100 h-full">
                 <SectionHeader title="1. Acquisition" icon={DollarSign} />
                 <div className="space-y-4">
-                  <InputField label="Purchase Price ($)" value={inputs.purchasePrice} onChange={v => updateInput('purchasePrice', v)} step="1000" />
-                  <InputField label="Going-In Cap Rate (%)" value={inputs.capRate} onChange={v => updateInput('capRate', v)} />
-                  <InputField label="Closing Costs (%)" value={inputs.closingCostsPct} onChange={v => updateInput('closingCostsPct', v)} />
+                  <InputField label="Purchase Price ($)" value={inputs.purchasePrice} onChange={v => updateInput('purchasePrice', v)} range={inputRange('purchasePrice')} step="1000" />
+                  <div className="mb-2">
+                    <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Income Basis</label>
+                    <Toggle options={['Cap Rate', 'Rent Roll']} value={inputs.incomeMode} onChange={incomeMode => setInputs(p => ({ ...p, incomeMode }))} />
+                  </div>
+                  <InputField label="Closing Date" type="date" value={inputs.closingDate} onChange={v => setInputs(p => ({ ...p, closingDate: v || p.closingDate }))} />
+                  {inputs.incomeMode === 'Cap Rate' ? (
+                    <InputField label="Going-In Cap Rate (%)" value={inputs.capRate} onChange={v => updateInput('capRate', v)} range={inputRange('capRate')} />
+                  ) : (
+                    <div className="text-xs text-gray-500">
+                      Implied Going-In Cap: <span className="font-semibold text-gray-800">{formatPercent(calculated.impliedCapRate)}</span>
+                    </div>
+                  )}
+                  <InputField label="Closing Costs (%)" value={inputs.closingCostsPct} onChange={v => updateInput('closingCostsPct', v)} range={inputRange('closingCostsPct')} />
                 </div>
               </Card>
 
@@ -276,9 +182,36 @@ export default function App() {
               <Card className="p-4 h-full">
                 <SectionHeader title="2. Operations" icon={TrendingUp} />
                 <div className="space-y-4">
-                  <InputField label="Vacancy Rate (%)" value={inputs.vacancyRate} onChange={v => updateInput('vacancyRate', v)} />
-                  <InputField label="Annual Expenses ($)" value={inputs.annualExpenses} onChange={v => updateInput('annualExpenses', v)} step="100" />
-                  <InputField label="Expense Growth (%)" value={inputs.expenseGrowthRate} onChange={v => updateInput('expenseGrowthRate', v)} />
+                  <div className="mb-2">
+                    <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Vacancy</label>
+                    <Toggle options={VACANCY_TYPES} value={inputs.vacancyType} onChange={vacancyType => setInputs(p => ({ ...p, vacancyType }))} />
+                  </div>
+                  {inputs.vacancyType === 'Lease-Up' ? (
+                    <YearValuesInput label="Vacancy by Year (%)" values={inputs.vacancyPath} years={Math.max(inputs.holdPeriod, 5)} step="0.5" range={CURVE_RANGES.vacancyPath} onChange={vacancyPath => setInputs(p => ({ ...p, vacancyPath }))} />
+                  ) : (
+                    <InputField label="Vacancy Rate (%)" value={inputs.vacancyRate} onChange={v => updateInput('vacancyRate', v)} range={inputRange('vacancyRate')} />
+                  )}
+                  <InputField label="Management Fee (% of EGI)" value={inputs.managementFeePct} onChange={v => updateInput('managementFeePct', v)} range={inputRange('managementFeePct')} />
+                  <div className="mb-2">
+                    <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Expense Recoveries</label>
+                    <Toggle options={RECOVERY_TYPES} value={inputs.recoveryType} onChange={recoveryType => setInputs(p => ({ ...p, recoveryType }))} />
+                  </div>
+                  <div className="text-xs space-y-1 pt-2 border-t border-gray-100">
+                    {inputs.expenseLines.map((line, i) => (
+                      <div key={i} className="flex justify-between text-gray-500">
+                        <span>{line.name}</span>
+                        <span>{formatCurrency(calculated.schedule[0].expenseLines[i])}</span>
+                      </div>
+                    ))}
+                    <div className="flex justify-between text-gray-500">
+                      <span>Management Fee</span>
+                      <span>{formatCurrency(calculated.schedule[0].managementFee)}</span>
+                    </div>
+                    <div className="flex justify-between font-semibold text-gray-800">
+                      <span>Year 1 Expenses</span>
+                      <span>{formatCurrency(calculated.year1Expenses)}</span>
+                    </div>
+                  </div>
                 </div>
               </Card>
 
@@ -288,31 +221,31 @@ export default function App() {
                 <div className="space-y-4">
                   <div className="mb-2">
                     <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Growth Strategy</label>
-                    <div className="flex rounded-md shadow-sm">
-                      <button
-                        onClick={() => setInputs(p => ({ ...p, growthType: 'Annual' }))}
-                        className={`flex-1 py-1.5 text-xs font-medium border rounded-l-md ${inputs.growthType === 'Annual' ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'}`}
-                      >
-                        Annual
-                      </button>
-                      <button
-                        onClick={() => setInputs(p => ({ ...p, growthType: 'Step-Up' }))}
-                        className={`flex-1 py-1.5 text-xs font-medium border rounded-r-md ${inputs.growthType === 'Step-Up' ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'}`}
-                      >
-                        Step-Up
-                      </button>
-                    </div>
+                    <Toggle options={GROWTH_TYPES} value={inputs.growthType} onChange={growthType => setInputs(p => ({ ...p, growthType }))} />
                   </div>
 
-                  {inputs.growthType === 'Annual' ? (
-                    <InputField label="Annual Growth (%)" value={inputs.annualGrowthRate} onChange={v => updateInput('annualGrowthRate', v)} />
-                  ) : (
+                  {inputs.growthType === 'Annual' && (
+                    <InputField label="Annual Growth (%)" value={inputs.annualGrowthRate} onChange={v => updateInput('annualGrowthRate', v)} range={inputRange('annualGrowthRate')} />
+                  )}
+                  {inputs.growthType === 'Step-Up' && (
                     <div className="grid grid-cols-2 gap-2">
-                      <InputField label="Step Increase (%)" value={inputs.stepUpRate} onChange={v => updateInput('stepUpRate', v)} />
-                      <InputField label="Freq (Years)" value={inputs.stepUpFreq} onChange={v => updateInput('stepUpFreq', v)} step="1" />
+                      <InputField label="Step Increase (%)" value={inputs.stepUpRate} onChange={v => updateInput('stepUpRate', v)} range={inputRange('stepUpRate')} />
+                      <InputField label="Freq (Years)" value={inputs.stepUpFreq} onChange={v => updateInput('stepUpFreq', v)} range={inputRange('stepUpFreq')} step="1" />
                     </div>
                   )}
-                  <InputField label="Hold Period (Years)" value={inputs.holdPeriod} onChange={v => updateInput('holdPeriod', v)} step="1" />
+                  {inputs.growthType === 'Schedule' && (
+                    <YearValuesInput label="Growth into Year (%)" values={inputs.growthSchedule} years={Math.max(inputs.holdPeriod, 5)} firstYear={2} step="0.25" range={CURVE_RANGES.growthSchedule} onChange={growthSchedule => setInputs(p => ({ ...p, growthSchedule }))} />
+                  )}
+                  {inputs.growthType === 'CPI' && (
+                    <>
+                      <YearValuesInput label="CPI Path (%)" values={inputs.cpiPath} years={Math.max(inputs.holdPeriod, 5)} firstYear={2} step="0.25" range={CURVE_RANGES.cpiPath} onChange={cpiPath => setInputs(p => ({ ...p, cpiPath }))} />
+                      <div className="grid grid-cols-2 gap-2">
+                        <InputField label="CPI Floor (%)" value={inputs.cpiFloor} onChange={v => updateInput('cpiFloor', v)} range={inputRange('cpiFloor')} />
+                        <InputField label="CPI Cap (%)" value={inputs.cpiCap} onChange={v => updateInput('cpiCap', v)} range={inputRange('cpiCap')} />
+                      </div>
+                    </>
+                  )}
+                  <InputField label="Hold Period (Years)" value={inputs.holdPeriod} onChange={v => updateInput('holdPeriod', v)} range={inputRange('holdPeriod')} step="1" />
                 </div>
               </Card>
 
@@ -320,15 +253,56 @@ export default function App() {
               <Card className="p-4 h-full">
                 <SectionHeader title="4. Debt & Exit" icon={Percent} />
                 <div className="space-y-4">
+                  <div className="mb-2">
+                    <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Loan Sizing</label>
+                    <Toggle options={LOAN_SIZING_MODES} value={inputs.loanSizing} onChange={loanSizing => setInputs(p => ({ ...p, loanSizing }))} />
+                  </div>
+                  {inputs.loanSizing === 'Constraints' && (
+                    <>
+                      <div className="grid grid-cols-2 gap-2">
+                        <InputField label="Min DSCR (x)" value={inputs.minDscr} onChange={v => updateInput('minDscr', v)} range={inputRange('minDscr')} step="0.05" />
+                        <InputField label="Min Debt Yield (%)" value={inputs.minDebtYield} onChange={v => updateInput('minDebtYield', v)} range={inputRange('minDebtYield')} step="0.25" />
+                      </div>
+                      <div className="text-xs space-y-1 pb-2 border-b border-gray-100">
+                        {[['LTV', calculated.loanSizing.ltvLoan], ['DSCR', calculated.loanSizing.dscrLoan], ['Debt Yield', calculated.loanSizing.debtYieldLoan]].map(([constraint, amount]) => (
+                          <div key={constraint} className={`flex justify-between ${calculated.loanSizing.binding === constraint ? 'font-bold text-blue-700' : 'text-gray-500'}`}>
+                            <span>{constraint}{calculated.loanSizing.binding === constraint ? ' (binding)' : ''}</span>
+                            <span>{Number.isFinite(amount) ? formatCurrency(amount) : 'n/a'}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                  <div className="mb-2">
+                    <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Rate Type</label>
+                    <Toggle options={RATE_TYPES} value={inputs.rateType} onChange={rateType => setInputs(p => ({ ...p, rateType }))} />
+                  </div>
                   <div className="grid grid-cols-2 gap-2">
-                    <InputField label="LTV (%)" value={inputs.ltv} onChange={v => updateInput('ltv', v)} />
-                    <InputField label="Interest (%)" value={inputs.interestRate} onChange={v => updateInput('interestRate', v)} />
+                    <InputField label={inputs.loanSizing === 'Constraints' ? 'Max LTV (%)' : 'LTV (%)'} value={inputs.ltv} onChange={v => updateInput('ltv', v)} range={inputRange('ltv')} />
+                    {inputs.rateType === 'Fixed' ? (
+                      <InputField label="Interest (%)" value={inputs.interestRate} onChange={v => updateInput('interestRate', v)} range={inputRange('interestRate')} />
+                    ) : (
+                      <InputField label="Spread (%)" value={inputs.floatSpread} onChange={v => updateInput('floatSpread', v)} range={inputRange('floatSpread')} />
+                    )}
+                  </div>
+                  {inputs.rateType === 'Floating' && (
+                    <>
+                      <div className="grid grid-cols-2 gap-2">
+                        <InputField label="Index Floor (%)" value={inputs.rateFloor} onChange={v => updateInput('rateFloor', v)} range={inputRange('rateFloor')} />
+                        <InputField label="Index Cap (%)" value={inputs.rateCap} onChange={v => updateInput('rateCap', v)} range={inputRange('rateCap')} />
+                      </div>
+                      <YearValuesInput label="Forward Index Curve (%)" values={inputs.indexCurve} years={Math.max(inputs.holdPeriod, 5)} range={CURVE_RANGES.indexCurve} onChange={indexCurve => setInputs(p => ({ ...p, indexCurve }))} />
+                    </>
+                  )}
+                  <div className="grid grid-cols-3 gap-2">
+                    <InputField label="Amort (Yrs)" value={inputs.amortization} onChange={v => updateInput('amortization', v)} range={inputRange('amortization')} step="1" />
+                    <InputField label="Term (Yrs)" value={inputs.loanTerm} onChange={v => updateInput('loanTerm', v)} range={inputRange('loanTerm')} step="1" />
+                    <InputField label="IO (Mos)" value={inputs.ioMonths} onChange={v => updateInput('ioMonths', v)} range={inputRange('ioMonths')} step="1" />
                   </div>
-                  <InputField label="Amortization (Yrs)" value={inputs.amortization} onChange={v => updateInput('amortization', v)} step="1" />
                   <div className="pt-2 border-t border-gray-100">
                     <div className="grid grid-cols-2 gap-2">
-                      <InputField label="Exit Cap (%)" value={inputs.exitCap} onChange={v => updateInput('exitCap', v)} />
-                      <InputField label="Sale Costs (%)" value={inputs.saleCosts} onChange={v => updateInput('saleCosts', v)} />
+                      <InputField label="Exit Cap (%)" value={inputs.exitCap} onChange={v => updateInput('exitCap', v)} range={inputRange('exitCap')} />
+                      <InputField label="Sale Costs (%)" value={inputs.saleCosts} onChange={v => updateInput('saleCosts', v)} range={inputRange('saleCosts')} />
                     </div>
                   </div>
                 </div>
@@ -336,9 +310,26 @@ export default function App() {
 
             </div>
 
+            <PropertyPanel property={inputs.property} onChange={property => setInputs(p => ({ ...p, property }))} inputs={inputs} calculated={calculated} />
+
+            <ExpenseBudgetEditor
+              expenseLines={inputs.expenseLines}
+              onChange={expenseLines => setInputs(p => ({ ...p, expenseLines }))}
+              growthType={inputs.expenseGrowthType}
+              growthSchedule={inputs.expenseGrowthSchedule}
+              onGrowthChange={patch => setInputs(p => ({ ...p, ...patch }))}
+              years={Math.max(inputs.holdPeriod, 5)}
+            />
+
+            {inputs.incomeMode === 'Rent Roll' && (
+              <RentRollEditor rentRoll={inputs.rentRoll} onChange={rentRoll => setInputs(p => ({ ...p, rentRoll }))} />
+            )}
+
             {/* Output Section */}
             <div className="space-y-6">
 
+              <WarningsPanel warnings={warnings} />
+
               {/* Summary Metrics Cards */}
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 <Card className="p-4 border-l-4 border-l-blue-500">
@@ -347,7 +338,13 @@ export default function App() {
                 </Card>
                 <Card className="p-4 border-l-4 border-l-green-500">
                   <div className="text-gray-500 text-xs uppercase font-bold">Levered IRR</div>
-                  <div className="text-xl font-bold text-green-700 mt-1">{formatPercent(calculated.leveredIRR)}</div>
+                  <div className="text-xl font-bold text-green-700 mt-1" title={calculated.leveredIRR === null ? 'No discount rate sets the NPV of these cash flows to zero' : undefined}>{formatIRR(calculated.leveredIRR)}</div>
+                  <div className="text-xs text-gray-500 mt-1">XIRR (dated): {formatIRR(calculated.leveredXIRR)}</div>
+                  {calculated.leveredIRRs.length > 1 && (
+                    <div className="text-xs text-amber-700 mt-1 flex items-center gap-1">
+                      <AlertTriangle className="w-3 h-3" /> Multiple IRRs: {calculated.leveredIRRs.map(formatPercent).join(', ')}. Use MIRR.
+                    </div>
+                  )}
                 </Card>
                 <Card className="p-4 border-l-4 border-l-purple-500">
                   <div className="text-gray-500 text-xs uppercase font-bold">Equity Multiple</div>
@@ -359,6 +356,44 @@ export default function App() {
                 </Card>
               </div>
 
+              {/* LP / GP Returns (Waterfall) */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <Card className="p-4 border-l-4 border-l-blue-300">
+                  <div className="text-gray-500 text-xs uppercase font-bold">LP IRR</div>
+                  <div className="text-xl font-bold text-gray-900 mt-1">{formatIRR(calculated.waterfall.lp.irr)}</div>
+                </Card>
+                <Card className="p-4 border-l-4 border-l-blue-300">
+                  <div className="text-gray-500 text-xs uppercase font-bold">LP Multiple</div>
+                  <div className="text-xl font-bold text-gray-900 mt-1">{formatMultiple(calculated.waterfall.lp.multiple)}</div>
+                </Card>
+                <Card className="p-4 border-l-4 border-l-green-300">
+                  <div className="text-gray-500 text-xs uppercase font-bold">GP IRR</div>
+                  <div className="text-xl font-bold text-gray-900 mt-1">{formatIRR(calculated.waterfall.gp.irr)}</div>
+                </Card>
+                <Card className="p-4 border-l-4 border-l-green-300">
+                  <div className="text-gray-500 text-xs uppercase font-bold">GP Multiple</div>
+                  <div className="text-xl font-bold text-gray-900 mt-1">{formatMultiple(calculated.waterfall.gp.multiple)}</div>
+                </Card>
+              </div>
+
+              <ReturnsPanel calculated={calculated} inputs={inputs} onInputChange={updateInput} />
+
+              <TaxPanel calculated={calculated} inputs={inputs} onInputChange={updateInput} />
+
+              <CapitalPlanPanel
+                plan={inputs.capitalPlan}
+                onChange={capitalPlan => setInputs(p => ({ ...p, capitalPlan }))}
+                holdPeriod={inputs.holdPeriod}
+                calculated={calculated}
+              />
+
+              <RefinancePanel
+                terms={inputs.refinance}
+                onChange={refinance => setInputs(p => ({ ...p, refinance }))}
+                holdPeriod={inputs.holdPeriod}
+                refinance={calculated.refinance}
+              />
+
               {/* Deal Summary */}
               <Card className="p-6">
                 <div className="flex justify-between items-center mb-4 border-b pb-2">
@@ -369,39 +404,60 @@ export default function App() {
                   <div>
                     <span className="block text-gray-500 text-xs uppercase">Purchase Price</span>
                     <span className="font-semibold text-base">{formatCurrency(inputs.purchasePrice)}</span>
+                    {perUnitLine(inputs.purchasePrice)}
                   </div>
                   <div>
                     <span className="block text-gray-500 text-xs uppercase">Initial Expenses</span>
                     <span className="font-semibold text-base">{formatCurrency(calculated.year1Expenses)}</span>
+                    {perUnitLine(calculated.year1Expenses)}
                   </div>
                   <div>
                     <span className="block text-gray-500 text-xs uppercase">Initial NOI</span>
                     <span className="font-semibold text-base text-blue-700">{formatCurrency(calculated.year1NOI)}</span>
+                    {perUnitLine(calculated.year1NOI)}
                   </div>
                   <div>
                     <span className="block text-gray-500 text-xs uppercase">Debt Service</span>
                     <span className="font-semibold text-base text-red-600">({formatCurrency(calculated.schedule[0].debtService)})</span>
+                    {perUnitLine(calculated.schedule[0].debtService)}
                   </div>
                   <div>
                     <span className="block text-gray-500 text-xs uppercase">Est. Exit Price</span>
                     <span className="font-semibold text-base">{formatCurrency(calculated.salePrice)}</span>
+                    {perUnitLine(calculated.salePrice)}
                   </div>
                 </div>
               </Card>
 
+              <GoalSeekPanel inputs={inputs} onApply={(key, value) => setInputs(p => applyOverrides(p, { [key]: value }))} />
+
               {/* Pro Forma Table - Optimized for High Res */}
               <Card className="overflow-hidden">
                 <div className="p-4 border-b bg-gray-50 flex justify-between items-center">
                   <h3 className="font-bold text-gray-800">Pro Forma Cash Flow</h3>
-                  <span className="text-xs text-gray-500">Values in USD</span>
+                  <div className="flex items-center gap-4">
+                    <div className="w-96">
+                      <Toggle options={PRO_FORMA_PERIODS} value={proFormaPeriod} onChange={setProFormaPeriod} />
+                    </div>
+                    <span className="text-xs text-gray-500">Values in USD</span>
+                  </div>
                 </div>
                 <div className="overflow-x-auto">
                   <table className="w-full text-sm text-right">
                     <thead>
                       <tr className="bg-gray-100 text-gray-600 text-xs uppercase">
                         <th className="px-4 py-3 text-left sticky left-0 bg-gray-100 z-10 w-48">Line Item</th>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <th key={row.year} className="px-2 py-3 min-w-[90px] 2xl:min-w-[auto]">Year {row.year}</th>
+                        {showPerUnit && (
+                          <>
+                            <th className="px-2 py-3 whitespace-nowrap text-gray-500">Yr 1 / SF</th>
+                            <th className="px-2 py-3 whitespace-nowrap text-gray-500 border-r border-gray-200">Yr 1 / Unit</th>
+                          </>
+                        )}
+                        {proFormaRows.map(row => (
+                          <th key={row.label} className="px-2 py-3 min-w-[90px] 2xl:min-w-[auto] whitespace-nowrap">
+                            {row.label}
+                            {proFormaPeriod === 'Calendar Year' && row.months < 12 && <div className="font-normal normal-case text-gray-400">{row.months} mo</div>}
+                          </th>
                         ))}
                       </tr>
                     </thead>
@@ -409,72 +465,198 @@ export default function App() {
                       {/* Operations */}
                       <tr>
                         <td className="px-4 py-2 font-medium text-left text-gray-700 sticky left-0 bg-white z-10">Gross Potential Income</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-2">{formatCurrency(row.gpi)}</td>
+                        {perUnitCells(year1.gpi)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2">{formatCurrency(row.gpi)}</td>
                         ))}
                       </tr>
+                      {proFormaRows.some(row => row.rentPremium > 0) && (
+                        <tr className="text-xs text-gray-500">
+                          <td className="pl-8 pr-4 py-1 text-left sticky left-0 bg-white z-10">Incl. Renovation Premium</td>
+                          {perUnitCells(year1.rentPremium)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-1">{formatCurrency(row.rentPremium)}</td>
+                          ))}
+                        </tr>
+                      )}
                       <tr className="text-red-500">
                         <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10">Vacancy Loss</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-2">({formatCurrency(row.vacancy)})</td>
+                        {perUnitCells(year1.vacancy, true)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2">({formatCurrency(row.vacancy)})</td>
                         ))}
                       </tr>
+                      {inputs.recoveryType !== 'Gross' && (
+                        <tr>
+                          <td className="px-4 py-2 font-medium text-left text-gray-700 sticky left-0 bg-white z-10">Expense Reimbursements</td>
+                          {perUnitCells(year1.reimbursements)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-2">{formatCurrency(row.reimbursements)}</td>
+                          ))}
+                        </tr>
+                      )}
                       <tr className="bg-gray-50 font-semibold">
                         <td className="px-4 py-2 text-left sticky left-0 bg-gray-50 z-10">Effective Gross Income</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-2">{formatCurrency(row.egi)}</td>
+                        {perUnitCells(year1.egi)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2">{formatCurrency(row.egi)}</td>
                         ))}
                       </tr>
                       <tr className="text-red-500">
                         <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10">Operating Expenses</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-2">({formatCurrency(row.expenses)})</td>
+                        {perUnitCells(year1.expenses, true)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2">({formatCurrency(row.expenses)})</td>
+                        ))}
+                      </tr>
+                      {inputs.expenseLines.map((line, i) => (
+                        <tr key={i} className="text-xs text-gray-500">
+                          <td className="pl-8 pr-4 py-1 text-left sticky left-0 bg-white z-10">{line.name}</td>
+                          {perUnitCells(year1.expenseLines[i], true)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-1">({formatCurrency(row.expenseLines[i])})</td>
+                          ))}
+                        </tr>
+                      ))}
+                      <tr className="text-xs text-gray-500">
+                        <td className="pl-8 pr-4 py-1 text-left sticky left-0 bg-white z-10">Management Fee</td>
+                        {perUnitCells(year1.managementFee, true)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-1">({formatCurrency(row.managementFee)})</td>
                         ))}
                       </tr>
                       <tr className="bg-blue-50 font-bold border-t border-blue-100 text-blue-900">
                         <td className="px-4 py-3 text-left sticky left-0 bg-blue-50 z-10">Net Operating Income</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-3">{formatCurrency(row.noi)}</td>
+                        {perUnitCells(year1.noi)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-3">{formatCurrency(row.noi)}</td>
+                        ))}
+                      </tr>
+
+                      {inputs.incomeMode === 'Rent Roll' && (
+                        <>
+                          <tr className="text-red-500">
+                            <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10">Leasing Costs (TI/LC)</td>
+                            {perUnitCells(year1.leasingCosts, true)}
+                            {proFormaRows.map(row => (
+                              <td key={row.label} className="px-2 py-2">({formatCurrency(row.leasingCosts)})</td>
+                            ))}
+                          </tr>
+                          <tr className="text-xs text-gray-500">
+                            <td className="px-4 py-2 text-left sticky left-0 bg-white z-10">Rollover SF (% of RSF)</td>
+                            {perUnitCells(null)}
+                            {proFormaRows.map(row => (
+                              <td key={row.label} className={`px-2 py-2 ${row.rolloverPct > 0.25 ? 'text-orange-600 font-bold' : ''}`}>
+                                {row.expiringSf.toLocaleString('en-US')} ({formatPercent(row.rolloverPct)})
+                              </td>
+                            ))}
+                          </tr>
+                        </>
+                      )}
+                      <tr className="text-red-500">
+                        <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10">Replacement Reserves</td>
+                        {perUnitCells(year1.reserves, true)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2">({formatCurrency(row.reserves)})</td>
                         ))}
                       </tr>
+                      {proFormaRows.some(row => row.capex > 0) && (
+                        <tr className="text-red-500">
+                          <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10">Renovation Capex</td>
+                          {perUnitCells(year1.capex, true)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-2">{row.capex > 0 ? `(${formatCurrency(row.capex)})` : '-'}</td>
+                          ))}
+                        </tr>
+                      )}
 
                       {/* Debt */}
                       <tr className="text-gray-400 italic text-[10px] uppercase tracking-wider">
                         <td className="px-4 py-2 text-left sticky left-0 bg-white z-10 pt-4">Debt Service</td>
-                        <td colSpan={inputs.holdPeriod} className="pt-4"></td>
+                        <td colSpan={proFormaRows.length + (showPerUnit ? 2 : 0)} className="pt-4"></td>
                       </tr>
                       <tr className="text-red-500">
                         <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10">Annual Debt Service</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-2">({formatCurrency(row.debtService)})</td>
+                        {perUnitCells(year1.debtService, true)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2">({formatCurrency(row.debtService)})</td>
                         ))}
                       </tr>
+                      {calculated.refinance && [['Acquisition Loan', 'acquisitionDebtService'], ['Refinance Loan', 'refiDebtService']].map(([label, key]) => (
+                        <tr key={key} className="text-xs text-gray-500">
+                          <td className="px-4 py-2 pl-8 text-left sticky left-0 bg-white z-10">{label}</td>
+                          {perUnitCells(year1[key], true)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-2">{row[key] > 0 ? `(${formatCurrency(row[key])})` : '-'}</td>
+                          ))}
+                        </tr>
+                      ))}
+                      {proFormaRows.some(row => row.balloon > 0) && (
+                        <tr className="text-red-500">
+                          <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10">Balloon Payment</td>
+                          {perUnitCells(year1.balloon, true)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-2">{row.balloon > 0 ? `(${formatCurrency(row.balloon)})` : '-'}</td>
+                          ))}
+                        </tr>
+                      )}
+                      {proFormaRows.some(row => row.futureFunding > 0) && (
+                        <tr>
+                          <td className="px-4 py-2 font-medium text-left text-gray-700 sticky left-0 bg-white z-10">Future Funding Draws</td>
+                          {perUnitCells(year1.futureFunding)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-2">{row.futureFunding > 0 ? formatCurrency(row.futureFunding) : '-'}</td>
+                          ))}
+                        </tr>
+                      )}
+                      {calculated.refinance && [['Refinance Proceeds', 'refiProceeds'], ['Acquisition Loan Payoff', 'refiPayoff', true], ['Prepayment Penalty', 'prepaymentPenalty', true], ['Refinance Costs', 'refiCosts', true]].map(([label, key, outflow]) => (
+                        <tr key={key} className={outflow ? 'text-red-500' : ''}>
+                          <td className={`px-4 py-2 font-medium text-left sticky left-0 bg-white z-10 ${outflow ? '' : 'text-gray-700'}`}>{label}</td>
+                          {perUnitCells(year1[key], outflow)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-2">{row[key] > 0 ? (outflow ? `(${formatCurrency(row[key])})` : formatCurrency(row[key])) : '-'}</td>
+                          ))}
+                        </tr>
+                      ))}
+                      {inputs.rateType === 'Floating' && (
+                        <tr className="text-xs text-gray-500">
+                          <td className="px-4 py-2 text-left sticky left-0 bg-white z-10">All-In Rate</td>
+                          {perUnitCells(null)}
+                          {proFormaRows.map(row => (
+                            <td key={row.label} className="px-2 py-2">{formatPercent(row.rate)}</td>
+                          ))}
+                        </tr>
+                      )}
                       <tr>
                         <td className="px-4 py-2 font-medium text-left sticky left-0 bg-white z-10 text-gray-500">Ending Loan Balance</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-2 text-gray-500">{formatCurrency(row.endLoanBal)}</td>
+                        {perUnitCells(year1.endLoanBal)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2 text-gray-500">{formatCurrency(row.endLoanBal)}</td>
                         ))}
                       </tr>
 
                       {/* Cash Flow */}
                       <tr className="bg-green-50 font-bold border-t border-green-100 text-green-900">
                         <td className="px-4 py-3 text-left sticky left-0 bg-green-50 z-10">Cash Flow After Debt</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-3">{formatCurrency(row.cfLevered)}</td>
+                        {perUnitCells(year1.cfLevered)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-3">{formatCurrency(row.cfLevered)}</td>
                         ))}
                       </tr>
 
                       {/* Metrics */}
                       <tr className="text-xs text-gray-500">
                         <td className="px-4 py-2 text-left sticky left-0 bg-white z-10">DSCR</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className={`px-2 py-2 ${row.dscr < 1.2 ? 'text-red-500 font-bold' : ''}`}>{row.dscr.toFixed(2)}x</td>
+                        {perUnitCells(null)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className={`px-2 py-2 ${row.dscr < (inputs.loanSizing === 'Constraints' ? inputs.minDscr : 1.2) ? 'text-red-500 font-bold' : ''}`}>{row.dscr.toFixed(2)}x</td>
                         ))}
                       </tr>
                       <tr className="text-xs text-gray-500">
                         <td className="px-4 py-2 text-left sticky left-0 bg-white z-10">Debt Yield</td>
-                        {calculated.schedule.slice(0, inputs.holdPeriod).map(row => (
-                          <td key={row.year} className="px-2 py-2">{formatPercent(row.debtYield)}</td>
+                        {perUnitCells(null)}
+                        {proFormaRows.map(row => (
+                          <td key={row.label} className="px-2 py-2">{formatPercent(row.debtYield)}</td>
                         ))}
                       </tr>
 
@@ -483,8 +665,26 @@ export default function App() {
                 </div>
               </Card>
 
+              <ChartsPanel inputs={inputs} calculated={calculated} />
+
+              <WaterfallPanel
+                terms={inputs.waterfall}
+                onChange={waterfall => setInputs(p => ({ ...p, waterfall }))}
+                waterfall={calculated.waterfall}
+              />
+
             </div>
           </div>
+        ) : activeTab === 'sensitivity' ? (
+          <SensitivityTab inputs={inputs} />
+        ) : activeTab === 'simulation' ? (
+          <SimulationTab inputs={inputs} />
+        ) : activeTab === 'compare' ? (
+          <CompareTab inputs={inputs} scenarios={activeDeal.scenarios} onChange={setScenarios} />
+        ) : activeTab === 'portfolio' ? (
+          <PortfolioTab library={library} onChange={setLibrary} />
+        ) : activeTab === 'report' ? (
+          <ReportTab deal={activeDeal} inputs={inputs} calculated={calculated} onNarrativeChange={setNarrative} />
         ) : (
           /* --- Formula Guide Tab --- */
           <div className="max-w-4xl mx-auto space-y-8 animate-in fade-in">
@@ -498,6 +698,10 @@ export default function App() {
                     Assume <span className="font-mono bg-gray-100 px-1 rounded">Year 1</span> starts in Column
                     <span className="font-mono bg-gray-100 px-1 rounded">G</span>.
                   </p>
+                  <p className="text-gray-600 mt-2">
+                    Or skip the retyping: <button onClick={exportXlsx} className="text-blue-600 hover:text-blue-800 font-medium">Export to .xlsx</button> builds
+                    this layout with live formulas: named cells on an Inputs sheet, the Pro Forma with Year 0 equity in column F, and a monthly Debt sheet summed into each year.
+                  </p>
                 </div>
               </div>
             </Card>
@@ -507,22 +711,48 @@ export default function App() {
                 <h3 className="font-bold text-gray-800 border-b pb-2 mb-3">1. Operating Expenses & NOI Build-Up</h3>
                 <p className="text-sm text-gray-600 mb-2">We now derive Top Line Income from your Target NOI (Based on Cap Rate) + Expenses.</p>
                 <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm overflow-x-auto">
-                  = (Price * CapRate) + AnnualExpenses
+                  = ((Price * CapRate) + SUM(ExpenseLines)) / (1 - MgmtFee%)
                 </div>
                 <div className="mt-2 text-xs text-gray-500">
-                  This gives us the required Effective Gross Income (EGI). We then divide by (1 - Vacancy) to find the Gross Potential Income (GPI).
+                  This gives us the required Effective Gross Income (EGI); the management fee is a % of EGI, hence the division. We subtract expense reimbursements, then divide by (1 - Vacancy) to find the Gross Potential Income (GPI).
+                </div>
+                <div className="mt-2 text-xs text-gray-500">
+                  <strong>Expense lines:</strong> <code>=Year1 * (1+Growth)^(Year-1) * (Fixed% + (1-Fixed%) * Occupancy / Year1Occupancy)</code>. Reimbursements are <code>SUM(Recoverable) * Occupancy</code> for NNN, and only the increase over Year 1 for modified gross.
+                </div>
+                <div className="mt-2 text-xs text-gray-500">
+                  <strong>Rent Roll mode:</strong> GPI is instead the sum of each lease&apos;s contract rent (bumped on anniversaries, re-let at market on expiry). Rollover downtime and free rent are weighted by (1 - Renewal Probability).
                 </div>
               </section>
 
               <section>
-                <h3 className="font-bold text-gray-800 border-b pb-2 mb-3">2. The &quot;Step-Up&quot; Growth Formula</h3>
-                <p className="text-sm text-gray-600 mb-2">This formula handles the toggle between annual growth and 5-year step-ups.</p>
+                <h3 className="font-bold text-gray-800 border-b pb-2 mb-3">2. Revenue Growth ({inputs.growthType})</h3>
+                <p className="text-sm text-gray-600 mb-2">Each year&apos;s Growth Index is the prior year&apos;s times (1 + that year&apos;s growth); GPI (or market rent in Rent Roll mode) is the Year 1 figure times the index.</p>
                 <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm overflow-x-auto">
-                  =IF($D$10=&quot;Annual&quot;, G20*(1+$D$AnnualPct), IF(MOD(H$5-1, $D$StepFreq)=0, G20*(1+$D$StepPct), G20))
+                  {{
+                    'Annual': '=G20*(1+$D$AnnualPct)',
+                    'Step-Up': '=IF(MOD(H$5-1, $D$StepFreq)=0, G20*(1+$D$StepPct), G20)',
+                    'Schedule': '=G20*(1+INDEX(Growth_Schedule, MIN(H$5-1, ROWS(Growth_Schedule))))',
+                    'CPI': '=G20*(1+MIN(MAX(INDEX(CPI_Path, MIN(H$5-1, ROWS(CPI_Path))), CPI_Floor), CPI_Cap))',
+                  }[inputs.growthType]}
                 </div>
                 <div className="mt-2 text-xs text-gray-500">
-                  <strong>Logic:</strong> <code>MOD(H$5-1, 5)</code> checks if the current year (minus 1) is divisible by 5. If 0, it triggers the step-up.
+                  <strong>Logic:</strong> {{
+                    'Annual': 'The same rate compounds every year.',
+                    'Step-Up': `MOD(H$5-1, ${inputs.stepUpFreq}) checks if the current year (minus 1) is divisible by ${inputs.stepUpFreq}. If 0, it triggers the step-up; other years stay flat.`,
+                    'Schedule': 'Growth_Schedule lists the growth into Year 2, Year 3, ...; past the end of the list its last rate carries on.',
+                    'CPI': 'CPI_Path lists CPI for Year 2, Year 3, ... (the last value carries on); each year is held between the floor and the cap, as in a CPI-indexed lease.',
+                  }[inputs.growthType]}
                 </div>
+                {inputs.expenseGrowthType === 'Schedule' && (
+                  <div className="mt-2 text-xs text-gray-500">
+                    <strong>Expense growth:</strong> every line grows with a shared Expense Index, <code>=G21*(1+INDEX(Expense_Growth_Schedule, MIN(H$5-1, ROWS(Expense_Growth_Schedule))))</code>, in place of <code>(1+Growth)^(Year-1)</code>.
+                  </div>
+                )}
+                {inputs.vacancyType === 'Lease-Up' && (
+                  <div className="mt-2 text-xs text-gray-500">
+                    <strong>Lease-up vacancy:</strong> <code>=INDEX(Vacancy_Path, MIN(H$5, ROWS(Vacancy_Path)))</code> replaces the flat vacancy rate; the last year of the path is the stabilized vacancy, and Year 1 vacancy sets the occupancy GPI is backed out at.
+                  </div>
+                )}
               </section>
 
               <section>
@@ -543,6 +773,40 @@ export default function App() {
                     </div>
                   </div>
                 </div>
+
+                <div className="grid gap-4 mt-4">
+                  {inputs.ioMonths > 0 && (
+                    <div>
+                      <span className="text-xs font-bold uppercase text-gray-500">Interest-Only Period ({inputs.ioMonths} months)</span>
+                      <div className="bg-gray-900 text-gray-100 p-3 rounded-md font-mono text-sm mt-1">
+                        =LoanAmt * Rate/12 * MIN(12, MAX(0, IOMonths-(Year-1)*12))
+                      </div>
+                      <div className="mt-2 text-xs text-gray-500">
+                        Principal is zero during IO. Amortization starts at month IOMonths+1, so shift the CUMIPMT/CUMPRINC periods back by IOMonths.
+                      </div>
+                    </div>
+                  )}
+                  <div>
+                    <span className="text-xs font-bold uppercase text-gray-500">Balloon at Maturity (Year {calculated.maturityYear})</span>
+                    <div className="bg-gray-900 text-gray-100 p-3 rounded-md font-mono text-sm mt-1">
+                      =IF(Year*12&gt;=Term*12, LoanAmt + CUMPRINC(Rate/12, Amort*12, LoanAmt, 1, Term*12-IOMonths, 0), 0)
+                    </div>
+                    <div className="mt-2 text-xs text-gray-500">
+                      The outstanding balance is repaid at maturity. If maturity falls before the exit year, it is a cash outflow in that year.
+                    </div>
+                  </div>
+                  {inputs.rateType === 'Floating' && (
+                    <div>
+                      <span className="text-xs font-bold uppercase text-gray-500">Floating Rate (per year)</span>
+                      <div className="bg-gray-900 text-gray-100 p-3 rounded-md font-mono text-sm mt-1">
+                        =MIN(MAX(Index_Year, Floor), Cap) + Spread
+                      </div>
+                      <div className="mt-2 text-xs text-gray-500">
+                        Rate changes yearly, so CUMIPMT/CUMPRINC no longer apply: build a monthly schedule where each payment is <code>PMT(Rate_Year/12, RemainingAmortMonths, -Balance)</code>.
+                      </div>
+                    </div>
+                  )}
+                </div>
               </section>
 
               <section>
@@ -562,6 +826,74 @@ export default function App() {
                 <div className="mt-2 text-xs text-gray-500">
                   Where F40 is Year 0 (Total Equity as negative) and P40 is Year 10 (Cash Flow + Sale Proceeds).
                 </div>
+                <p className="text-sm text-gray-600 mt-4 mb-2">XIRR uses the actual dates instead: equity on the closing date, each month&apos;s cash flow at month end and the sale proceeds on the exit date ({calculated.exitDate}).</p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  = XIRR( Monthly_CF_Range, Month_End_Dates )
+                </div>
+                <p className="text-sm text-gray-600 mt-4 mb-2">
+                  A stream that changes sign more than once (a capital call, a sale below the loan) can have several IRRs or none. The app shows &quot;Undefined&quot; where Excel returns #NUM!, lists every IRR it finds, and reports MIRR, which always has one answer:
+                </p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  = MIRR( F40:{'{Exit Year}'}40, Finance_Rate, Reinvest_Rate )
+                </div>
+              </section>
+
+              <section>
+                <h3 className="font-bold text-gray-800 border-b pb-2 mb-3">6. After-Tax Cash Flow</h3>
+                <p className="text-sm text-gray-600 mb-2">Depreciation runs straight-line on the improvements (price plus closing costs, less land) over {inputs.depreciationYears} years, with renovation spend depreciated from the year after it is spent; the loan fee amortizes over the loan term.</p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  Taxable_Income = NOI - Leasing_Costs - Reserves - Interest - Depreciation - Loan_Cost_Amort<br />
+                  After_Tax_CF = Cash_Flow_After_Debt - Taxable_Income * Ordinary_Tax_Rate
+                </div>
+                <p className="text-sm text-gray-600 mt-4 mb-2">At sale, gain over the adjusted basis is taxed in two layers:</p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  Recapture = MIN( Gain, Accumulated_Depreciation ) * Recapture_Rate<br />
+                  Capital_Gains = ( Gain - Recapture_Amount ) * Cap_Gains_Rate
+                </div>
+              </section>
+
+              <section>
+                <h3 className="font-bold text-gray-800 border-b pb-2 mb-3">7. Capital Plan &amp; Cash Flow After Capex</h3>
+                <p className="text-sm text-gray-600 mb-2">Renovation premiums phase in with the share of the budget already spent, and are grown like the rest of the rent:</p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  Rent_Premium = Units * Premium_Per_Unit * 12 * MIN(1, SUM(Spend_Pct_Prior_Years)) * Growth_Index
+                </div>
+                <p className="text-sm text-gray-600 mt-4 mb-2">Reserves and renovation spend come out below NOI, and the lender funds its share of the spend with draws on the loan:</p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  Capex = Renovation_Budget * Spend_Pct_Year<br />
+                  Draw = Capex * Future_Funding_Pct<br />
+                  Cash_Flow_After_Debt = NOI - Leasing_Costs - Reserves - Capex - Debt_Service + Draw
+                </div>
+                <div className="mt-2 text-xs text-gray-500">
+                  {inputs.capitalPlan.timing === 'At Close'
+                    ? 'Funded at closing: the equity share of the budget is added to Total Equity, the lender share to the opening loan balance, and premiums start in Year 1.'
+                    : 'Spent by year: the draw is added to the loan balance at the start of the year, so debt service is re-cast on the larger balance.'}
+                </div>
+              </section>
+
+              <section>
+                <h3 className="font-bold text-gray-800 border-b pb-2 mb-3">8. Refinance &amp; Prepayment</h3>
+                <p className="text-sm text-gray-600 mb-2">The new loan is sized on the refinance year&apos;s NOI, at the lesser of the LTV and DSCR constraints (or just the one selected):</p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  Refi_Value = NOI_Refi_Year / Refi_Cap<br />
+                  LTV_Loan = Refi_Value * Refi_LTV<br />
+                  DSCR_Loan = NOI_Refi_Year / Refi_Min_DSCR / Refi_Debt_Constant<br />
+                  Refi_Loan = MIN(LTV_Loan, DSCR_Loan)
+                </div>
+                <p className="text-sm text-gray-600 mt-4 mb-2">The acquisition loan is paid off at the end of that year, and what is left goes to equity:</p>
+                <div className="bg-gray-900 text-gray-100 p-4 rounded-md font-mono text-sm">
+                  Cash_Out = Refi_Loan - Payoff - Prepayment_Penalty - Refi_Loan * Refi_Costs_Pct<br />
+                  Cash_Flow_After_Debt(Refi_Year) += Cash_Out
+                </div>
+                <div className="mt-2 text-xs text-gray-500">
+                  {{
+                    'None': 'No prepayment penalty: the balance is paid off at par.',
+                    'Step-Down': 'Step-down: the penalty is the scheduled percentage for the loan year, times the balance (e.g. 5-4-3-2-1).',
+                    'Yield Maintenance': 'Yield maintenance: =MAX(Balance * YM_Floor, SUMPRODUCT(Begin_Balance * (Note_Rate - Treasury) / 12 / (1 + Treasury/12)^k)) over the months left to maturity.',
+                    'Defeasance': 'Defeasance (approximation): =NPV(Treasury/12, Remaining_Payments) - Balance, the cost of a treasury portfolio that replaces the remaining payments.',
+                  }[inputs.refinance.prepayType]}
+                  {' '}Refinance costs are amortized over the new loan term for tax; the penalty is deducted in the refinance year.
+                </div>
               </section>
             </div>
           </div>
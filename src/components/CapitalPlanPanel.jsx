@@ -0,0 +1,113 @@
+import { Hammer } from 'lucide-react';
+import { Card, SectionHeader, InputField, NumberCell, Toggle } from './ui.jsx';
+import { CAPEX_TIMINGS } from '../engine/capitalPlan.js';
+import { NESTED_INPUT_RANGES } from '../engine/inputs.js';
+import { formatCurrency } from '../format.js';
+
+const RANGES = NESTED_INPUT_RANGES.capitalPlan;
+
+export default function CapitalPlanPanel({ plan, onChange, holdPeriod, calculated }) {
+  const update = (patch) => onChange({ ...plan, ...patch });
+  // Unlike YearValuesInput, years past the list spend nothing rather than repeating the last value
+  const updateSchedule = (idx, pct) => update({ schedule: Array.from({ length: Math.max(plan.schedule.length, idx + 1) }, (_, i) => (i === idx ? pct : plan.schedule[i] ?? 0)) });
+  const byYear = plan.timing === 'By Year';
+  const scheduled = plan.schedule.slice(0, holdPeriod).reduce((sum, pct) => sum + pct, 0);
+  const hold = calculated.schedule.slice(0, holdPeriod);
+  const funding = calculated.sourcesAndUses.sources.find(s => s.label === 'Future Funding');
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="Capital Plan" icon={Hammer} />
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div>
+          <InputField label="Renovation Budget" value={plan.renovationBudget} onChange={v => update({ renovationBudget: v })} range={RANGES.renovationBudget} prefix="$" step="10000" />
+          <div className="mb-3">
+            <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Funding</label>
+            <Toggle options={CAPEX_TIMINGS} value={plan.timing} onChange={timing => update({ timing })} />
+          </div>
+          {byYear && (
+            <div className="mb-3">
+              <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Spend by Year (%)</label>
+              <div className="grid grid-cols-5 gap-1">
+                {Array.from({ length: holdPeriod }, (_, i) => (
+                  <div key={i}>
+                    <span className="block text-[10px] text-gray-400 text-center">Y{i + 1}</span>
+                    <NumberCell
+                      value={plan.schedule[i] ?? 0}
+                      step="5"
+                      range={RANGES.schedule}
+                      onChange={pct => updateSchedule(i, pct)}
+                      className="w-full px-1 text-xs text-center"
+                    />
+                  </div>
+                ))}
+              </div>
+              <span className={`block text-xs mt-1 ${Math.abs(scheduled - 100) > 0.01 ? 'text-amber-600' : 'text-gray-400'}`}>{scheduled.toFixed(1)}% of the budget scheduled</span>
+            </div>
+          )}
+          <InputField label="Lender Future Funding" value={plan.futureFundingPct} onChange={v => update({ futureFundingPct: v })} range={RANGES.futureFundingPct} suffix="%" step="5" tooltip="Share of renovation spend drawn on the loan; no draws after maturity" />
+        </div>
+
+        <div>
+          <div className="grid grid-cols-2 gap-2">
+            <InputField label="Units Renovated" value={plan.premiumUnits} onChange={v => update({ premiumUnits: v })} range={RANGES.premiumUnits} step="1" />
+            <InputField label="Premium / Unit / Mo" value={plan.premiumPerUnit} onChange={v => update({ premiumPerUnit: v })} range={RANGES.premiumPerUnit} prefix="$" step="25" tooltip="Phases in as the budget is spent, from the year after the work; grows with revenue" />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <InputField label="Reserves (Yr 1)" value={plan.reserves} onChange={v => update({ reserves: v })} range={RANGES.reserves} prefix="$" step="100" tooltip="Replacement reserves, deducted below NOI" />
+            <InputField label="Reserve Growth" value={plan.reserveGrowthRate} onChange={v => update({ reserveGrowthRate: v })} range={RANGES.reserveGrowthRate} suffix="%" step="0.5" />
+          </div>
+          <div className="grid grid-cols-2 gap-4 text-sm mt-2">
+            <div>
+              <span className="block text-gray-500 text-xs uppercase">Stabilized Premium</span>
+              <span className="font-semibold text-base">{formatCurrency(plan.premiumUnits * plan.premiumPerUnit * 12)}/yr</span>
+            </div>
+            <div>
+              <span className="block text-gray-500 text-xs uppercase">Lender Funded</span>
+              <span className="font-semibold text-base">{formatCurrency(funding?.amount ?? 0)}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 overflow-x-auto">
+          <table className="w-full text-xs text-right">
+            <thead>
+              <tr className="bg-gray-50 text-gray-500 uppercase">
+                <th className="px-2 py-1 text-left">Line Item</th>
+                {hold.map(row => <th key={row.year} className="px-2 py-1">Year {row.year}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              <tr>
+                <td className="px-2 py-1 text-left whitespace-nowrap">Rent Premium</td>
+                {hold.map(row => <td key={row.year} className="px-2 py-1">{formatCurrency(row.rentPremium)}</td>)}
+              </tr>
+              <tr>
+                <td className="px-2 py-1 text-left whitespace-nowrap">Replacement Reserves</td>
+                {hold.map(row => <td key={row.year} className="px-2 py-1">({formatCurrency(row.reserves)})</td>)}
+              </tr>
+              <tr>
+                <td className="px-2 py-1 text-left whitespace-nowrap">Renovation Capex</td>
+                {hold.map(row => <td key={row.year} className="px-2 py-1">{row.capex > 0 ? `(${formatCurrency(row.capex)})` : '-'}</td>)}
+              </tr>
+              <tr>
+                <td className="px-2 py-1 text-left whitespace-nowrap">Future Funding</td>
+                {hold.map(row => <td key={row.year} className="px-2 py-1">{row.futureFunding > 0 ? formatCurrency(row.futureFunding) : '-'}</td>)}
+              </tr>
+              <tr className="font-semibold bg-gray-50">
+                <td className="px-2 py-1 text-left whitespace-nowrap">Cash Flow After Debt &amp; Capex</td>
+                {hold.map(row => <td key={row.year} className={`px-2 py-1 ${row.cfLevered < 0 ? 'text-red-600' : ''}`}>{formatCurrency(row.cfLevered)}</td>)}
+              </tr>
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-2">
+            {byYear
+              ? 'Renovations are paid out of cash flow (and lender draws) in the year they are spent; equity covers any shortfall.'
+              : `The full budget is funded at closing${plan.futureFundingPct > 0 ? `, ${plan.futureFundingPct}% of it by the lender` : ' with equity'}, and every renovated unit earns its premium from Year 1.`}
+            {' '}Cash flow after capex is the levered cash flow that drives the IRR.
+          </p>
+        </div>
+      </div>
+    </Card>
+  );
+}
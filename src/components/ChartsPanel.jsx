@@ -0,0 +1,223 @@
+import { BarChart3 } from 'lucide-react';
+import { Card, SectionHeader } from './ui.jsx';
+import { formatCurrency, formatPercent } from '../format.js';
+
+// --- Plain SVG charts, drawn in a fixed viewBox and scaled to the card width ---
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 12, bottom: 26, left: 70 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+const COLORS = {
+  blue: '#3b82f6',
+  green: '#22c55e',
+  purple: '#a855f7',
+  orange: '#f97316',
+  red: '#ef4444',
+  gray: '#9ca3af',
+};
+
+// Compact axis labels: $1.2M, $350K
+const formatShortCurrency = (val) => {
+  const abs = Math.abs(val);
+  if (abs >= 1e6) return `${val < 0 ? '-' : ''}$${(abs / 1e6).toFixed(abs >= 1e7 ? 0 : 1)}M`;
+  if (abs >= 1e3) return `${val < 0 ? '-' : ''}$${(abs / 1e3).toFixed(0)}K`;
+  return formatCurrency(val);
+};
+
+// Round tick values covering [min, max]
+const niceTicks = (min, max, count = 4) => {
+  if (max === min) max = min + 1;
+  const rough = (max - min) / count;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * power).find(s => s >= rough);
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(Number(v.toFixed(10)));
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+};
+
+const Legend = ({ items }) => (
+  <div className="flex flex-wrap gap-4 text-xs text-gray-600 mb-2">
+    {items.map(({ label, color, dashed }) => (
+      <span key={label} className="flex items-center gap-1">
+        <svg width="14" height="8"><line x1="0" y1="4" x2="14" y2="4" stroke={color} strokeWidth={dashed ? 2 : 6} strokeDasharray={dashed ? '3 2' : undefined} /></svg>
+        {label}
+      </span>
+    ))}
+  </div>
+);
+
+// Bars and lines by year on one value axis. series: [{ label, color, type: 'bar' | 'line', values, dashed }]
+const YearChart = ({ title, years, series, format }) => {
+  const all = series.flatMap(s => s.values).filter(Number.isFinite);
+  const ticks = niceTicks(Math.min(0, ...all), Math.max(0, ...all));
+  const lo = ticks[0];
+  const hi = ticks[ticks.length - 1];
+  const y = (v) => PAD.top + PLOT_H * (1 - (v - lo) / (hi - lo));
+  const band = PLOT_W / years.length;
+  const x = (i) => PAD.left + band * (i + 0.5);
+  const bars = series.filter(s => s.type === 'bar');
+  const barW = (band * 0.7) / Math.max(bars.length, 1);
+
+  return (
+    <div>
+      <h4 className="text-xs font-bold text-gray-500 uppercase mb-1">{title}</h4>
+      <Legend items={series} />
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+        {ticks.map(t => (
+          <g key={t}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(t)} y2={y(t)} stroke={t === 0 ? '#6b7280' : '#e5e7eb'} />
+            <text x={PAD.left - 6} y={y(t) + 4} textAnchor="end" fontSize="11" fill="#6b7280">{format(t)}</text>
+          </g>
+        ))}
+        {years.map((year, i) => (
+          <text key={year} x={x(i)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#6b7280">{year === 0 ? 'Close' : `Yr ${year}`}</text>
+        ))}
+        {bars.map((s, b) => s.values.map((v, i) => (
+          <rect
+            key={`${s.label}-${i}`}
+            x={x(i) - (barW * bars.length) / 2 + barW * b}
+            y={Math.min(y(v), y(0))}
+            width={barW - 1}
+            height={Math.abs(y(v) - y(0))}
+            fill={s.color}
+          >
+            <title>{`${s.label}, ${years[i] === 0 ? 'closing' : `Year ${years[i]}`}: ${format(v)}`}</title>
+          </rect>
+        )))}
+        {series.filter(s => s.type === 'line').map(s => (
+          <g key={s.label}>
+            <polyline
+              points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(' ')}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              strokeDasharray={s.dashed ? '6 4' : undefined}
+            />
+            {!s.dashed && s.values.map((v, i) => (
+              <circle key={i} cx={x(i)} cy={y(v)} r="3" fill={s.color}>
+                <title>{`${s.label}, ${years[i] === 0 ? 'closing' : `Year ${years[i]}`}: ${format(v)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// One horizontal stacked bar per row. rows: [{ label, parts: [{ label, amount, color }] }]
+const StackedBars = ({ title, rows }) => {
+  const scale = Math.max(...rows.map(row => row.parts.reduce((sum, p) => sum + Math.max(p.amount, 0), 0)), 1);
+  return (
+    <div>
+      <h4 className="text-xs font-bold text-gray-500 uppercase mb-3">{title}</h4>
+      <div className="space-y-4">
+        {rows.map(row => (
+          <div key={row.label}>
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span className="font-medium">{row.label}</span>
+              <span>{formatCurrency(row.parts.reduce((sum, p) => sum + p.amount, 0))}</span>
+            </div>
+            <div className="flex h-6 rounded overflow-hidden bg-gray-100">
+              {row.parts.filter(p => p.amount > 0).map(p => (
+                <div key={p.label} style={{ width: `${(p.amount / scale) * 100}%`, backgroundColor: p.color }} title={`${p.label}: ${formatCurrency(p.amount)}`} />
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-x-4 text-[11px] text-gray-500 mt-1">
+              {row.parts.map(p => (
+                <span key={p.label} className={p.amount < 0 ? 'text-red-600' : ''}>
+                  <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: p.color }} />
+                  {p.label} {formatCurrency(p.amount)}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default function ChartsPanel({ inputs, calculated }) {
+  const hold = calculated.schedule.slice(0, inputs.holdPeriod);
+  const years = hold.map(row => row.year);
+  const multiple = (v) => `${v.toFixed(2)}x`;
+
+  // Value at each year end is the next year's NOI at the exit cap, as the sale is priced
+  const valueYears = [0, ...years];
+  const propertyValue = valueYears.map(year => (year === 0 ? inputs.purchasePrice : calculated.schedule[year].noi / (inputs.exitCap / 100)));
+  // The closing balance includes any future funding drawn at closing (Year 1 draws come after)
+  const loanBalance = valueYears.map(year => (year === 0 ? calculated.schedule[0].startLoanBal - calculated.schedule[0].futureFunding : calculated.schedule[year - 1].endLoanBal));
+
+  const { sources, uses } = calculated.sourcesAndUses;
+  const palette = [COLORS.blue, COLORS.green, COLORS.purple, COLORS.orange];
+  const withColors = (items) => items.map((item, i) => ({ ...item, color: palette[i % palette.length] }));
+  const { operations, appreciation, loanPaydown } = calculated.profitAttribution;
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="Charts" icon={BarChart3} />
+      <div className="grid grid-cols-1 lg:grid-cols-2 print:grid-cols-2 gap-8">
+        <YearChart
+          title="NOI & Levered Cash Flow"
+          years={years}
+          format={formatShortCurrency}
+          series={[
+            { label: 'NOI', color: COLORS.blue, type: 'bar', values: hold.map(row => row.noi) },
+            { label: 'Cash Flow After Debt', color: COLORS.green, type: 'bar', values: hold.map(row => row.cfLevered) },
+          ]}
+        />
+        <YearChart
+          title="Loan Balance vs. Property Value"
+          years={valueYears}
+          format={formatShortCurrency}
+          series={[
+            { label: 'Property Value (fwd NOI / exit cap)', color: COLORS.purple, type: 'line', values: propertyValue },
+            { label: 'Loan Balance', color: COLORS.orange, type: 'line', values: loanBalance },
+          ]}
+        />
+        <YearChart
+          title="DSCR vs. Minimum"
+          years={years}
+          format={multiple}
+          series={[
+            { label: 'DSCR', color: COLORS.blue, type: 'line', values: hold.map(row => row.dscr) },
+            { label: `Min DSCR (${multiple(inputs.minDscr)})`, color: COLORS.red, type: 'line', dashed: true, values: hold.map(() => inputs.minDscr) },
+          ]}
+        />
+        <YearChart
+          title="Debt Yield vs. Minimum"
+          years={years}
+          format={v => formatPercent(v)}
+          series={[
+            { label: 'Debt Yield', color: COLORS.green, type: 'line', values: hold.map(row => row.debtYield) },
+            { label: `Min Debt Yield (${inputs.minDebtYield}%)`, color: COLORS.red, type: 'line', dashed: true, values: hold.map(() => inputs.minDebtYield / 100) },
+          ]}
+        />
+        <StackedBars
+          title="Sources & Uses"
+          rows={[
+            { label: 'Sources', parts: withColors(sources) },
+            { label: 'Uses', parts: withColors(uses) },
+          ]}
+        />
+        <StackedBars
+          title="Equity Returned"
+          rows={[{
+            label: 'Distributions',
+            parts: [
+              { label: 'Return of Equity', amount: calculated.totalEquity, color: COLORS.gray },
+              { label: 'Operations', amount: operations, color: COLORS.blue },
+              { label: 'Appreciation', amount: appreciation, color: COLORS.green },
+              { label: 'Loan Paydown', amount: loanPaydown, color: COLORS.purple },
+            ],
+          }]}
+        />
+      </div>
+    </Card>
+  );
+}
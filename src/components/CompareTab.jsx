@@ -0,0 +1,154 @@
+import { useMemo } from 'react';
+import { Columns3, Plus, Trash2, X } from 'lucide-react';
+import { Card, SectionHeader } from './ui.jsx';
+import { INPUT_LABELS, NUMERIC_INPUT_KEYS } from '../engine/inputs.js';
+import { SCENARIO_PRESETS, COMPARE_METRICS, COMPARE_ROWS, createScenario, runScenarios } from '../engine/scenarios.js';
+import { formatValue, formatDelta } from '../format.js';
+
+// Green when the scenario beats base in the metric's good direction, red when it trails
+const deltaColor = (better, delta) => {
+  if (!better || !Number.isFinite(delta) || Math.abs(delta) < 1e-9) return 'text-gray-400';
+  return (better === 'higher') === (delta > 0) ? 'text-green-600' : 'text-red-600';
+};
+
+const CompareCell = ({ format, better, value, base, isBase }) => {
+  const delta = Number.isFinite(value) && Number.isFinite(base) ? value - base : null;
+  return (
+    <td className="px-4 py-2 align-top">
+      <div>{formatValue(format, value)}</div>
+      {!isBase && <div className={`text-xs ${deltaColor(better, delta)}`}>{formatDelta(format, delta)}</div>}
+    </td>
+  );
+};
+
+const ScenarioEditor = ({ scenario, inputs, onChange, onDelete }) => {
+  const overrides = Object.entries(scenario.overrides);
+  const setOverrides = (next) => onChange({ ...scenario, overrides: next });
+  const setOverride = (key, value) => setOverrides({ ...scenario.overrides, [key]: value });
+  const removeOverride = (key) => setOverrides(Object.fromEntries(overrides.filter(([k]) => k !== key)));
+  const available = NUMERIC_INPUT_KEYS.filter(key => !(key in scenario.overrides));
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={scenario.name}
+          onChange={(e) => onChange({ ...scenario, name: e.target.value })}
+          className="flex-1 border border-gray-300 rounded-md py-1 px-2 text-sm font-semibold"
+        />
+        <button onClick={onDelete} className="text-gray-400 hover:text-red-500" title="Delete scenario">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+      {overrides.length === 0 && <p className="text-xs text-gray-400">No overrides yet; this scenario matches the base case.</p>}
+      {overrides.map(([key, value]) => (
+        <div key={key} className="flex items-center gap-2 text-xs">
+          <span className="flex-1 text-gray-600">{INPUT_LABELS[key] || key}</span>
+          <span className="text-gray-400" title="Base case value">{inputs[key]}</span>
+          <input
+            type="number"
+            step="any"
+            value={value}
+            onChange={(e) => setOverride(key, parseFloat(e.target.value) || 0)}
+            className="w-24 border border-gray-300 rounded-md py-1 px-1 bg-gray-50 text-right"
+          />
+          <button onClick={() => removeOverride(key)} className="text-gray-400 hover:text-red-500" title="Use base value">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      {available.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => setOverride(e.target.value, inputs[e.target.value])}
+          className="w-full border border-gray-300 rounded-md py-1 px-2 text-xs bg-gray-50 text-gray-500"
+        >
+          <option value="">+ Override an input...</option>
+          {available.map(key => <option key={key} value={key}>{INPUT_LABELS[key]}</option>)}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default function CompareTab({ inputs, scenarios, onChange }) {
+  const results = useMemo(() => runScenarios(inputs, scenarios), [inputs, scenarios]);
+  const base = results[0].result;
+  const years = Math.max(...results.map(r => r.inputs.holdPeriod));
+
+  const addScenario = (name, overrides = {}) => onChange([...scenarios, createScenario(name, overrides)]);
+  const updateScenario = (idx, next) => onChange(scenarios.map((s, i) => (i === idx ? next : s)));
+  const removeScenario = (idx) => onChange(scenarios.filter((_, i) => i !== idx));
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-4">
+        <SectionHeader title="Scenarios" icon={Columns3} />
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {scenarios.map((scenario, idx) => (
+            <ScenarioEditor
+              key={scenario.id}
+              scenario={scenario}
+              inputs={inputs}
+              onChange={next => updateScenario(idx, next)}
+              onDelete={() => removeScenario(idx)}
+            />
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-4 mt-4">
+          <button onClick={() => addScenario(`Scenario ${scenarios.length + 1}`)} className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 font-medium">
+            <Plus className="w-4 h-4" /> Add Scenario
+          </button>
+          {Object.entries(SCENARIO_PRESETS).map(([name, preset]) => (
+            <button key={name} onClick={() => addScenario(name, preset(inputs))} className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 font-medium">
+              <Plus className="w-4 h-4" /> Add {name}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-400 mt-3">Scenarios inherit every base-case input they do not override, so changes on the Model tab carry through. Presets start from the current base values.</p>
+      </Card>
+
+      <Card className="overflow-hidden">
+        <div className="p-4 border-b bg-gray-50">
+          <h3 className="font-bold text-gray-800">Scenario Comparison</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-right">
+            <thead>
+              <tr className="bg-gray-100 text-gray-600 text-xs uppercase">
+                <th className="px-4 py-3 text-left">Metric</th>
+                {results.map(r => <th key={r.id} className="px-4 py-3">{r.name || 'Untitled'}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {COMPARE_METRICS.map(metric => (
+                <tr key={metric.key}>
+                  <td className="px-4 py-2 text-left font-medium text-gray-700">{metric.label}</td>
+                  {results.map((r, i) => (
+                    <CompareCell key={r.id} format={metric.format} better={metric.better} value={metric.value(r.result)} base={metric.value(base)} isBase={i === 0} />
+                  ))}
+                </tr>
+              ))}
+              {COMPARE_ROWS.map(row => [
+                <tr key={row.key} className="bg-gray-50">
+                  <td colSpan={results.length + 1} className="px-4 py-2 text-left text-xs font-bold text-gray-500 uppercase">{row.label}</td>
+                </tr>,
+                ...Array.from({ length: years }, (_, i) => (
+                  <tr key={`${row.key}-${i}`} className="text-xs text-gray-600">
+                    <td className="px-4 py-1 text-left pl-8">Year {i + 1}</td>
+                    {results.map((r, c) => (
+                      i < r.inputs.holdPeriod
+                        ? <CompareCell key={r.id} format={row.format} better={row.better} value={r.result.schedule[i][row.key]} base={i < inputs.holdPeriod ? base.schedule[i][row.key] : null} isBase={c === 0} />
+                        : <td key={r.id} className="px-4 py-1 text-gray-300">&mdash;</td>
+                    ))}
+                  </tr>
+                )),
+              ])}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+}
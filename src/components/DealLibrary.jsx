@@ -0,0 +1,99 @@
+import { useState, useRef } from 'react';
+import { FolderOpen, Plus, Copy, Trash2, Upload, Download, Link } from 'lucide-react';
+import { Card } from './ui.jsx';
+import { createDeal, fileSlug, shareUrl } from '../dealLibrary.js';
+import { toDealFile, parseDealFile, encodeDealParam } from '../engine/dealFile.js';
+import { downloadFile } from '../export/download.js';
+
+const ToolbarButton = ({ icon: Icon, label, onClick, danger = false }) => (
+  <button
+    onClick={onClick}
+    title={label}
+    className={`flex items-center gap-1 px-2 py-1.5 rounded-md text-xs font-medium border border-gray-200 bg-white ${danger ? 'text-gray-500 hover:text-red-600' : 'text-gray-600 hover:bg-gray-50'}`}
+  >
+    <Icon className="w-4 h-4" /> <span className="hidden lg:inline">{label}</span>
+  </button>
+);
+
+export default function DealLibrary({ library, onChange }) {
+  const [status, setStatus] = useState(null); // { tone: 'ok' | 'error', text }
+  const fileRef = useRef(null);
+  const active = library.deals.find(deal => deal.id === library.activeId);
+
+  const addDeal = (deal) => onChange({ ...library, deals: [...library.deals, deal], activeId: deal.id });
+  const updateActive = (patch) => onChange({ ...library, deals: library.deals.map(deal => (deal.id === active.id ? { ...deal, ...patch } : deal)) });
+
+  const deleteActive = () => {
+    if (!window.confirm(`Delete "${active.name}"? This cannot be undone.`)) return;
+    const deals = library.deals.filter(deal => deal.id !== active.id);
+    if (deals.length === 0) deals.push(createDeal('Untitled Deal'));
+    onChange({ deals, activeId: deals[0].id, portfolio: library.portfolio.filter(holding => holding.dealId !== active.id) });
+  };
+
+  const importFile = async (file) => {
+    try {
+      const deal = parseDealFile(JSON.parse(await file.text()), file.name.replace(/\.json$/i, ''));
+      addDeal(createDeal(deal.name, deal));
+      setStatus({ tone: 'ok', text: `Imported "${deal.name}"` });
+    } catch (err) {
+      setStatus({ tone: 'error', text: `Could not import ${file.name}: ${err.message}` });
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(encodeDealParam(active)));
+      setStatus({ tone: 'ok', text: 'Link copied. It carries the full input set.' });
+    } catch {
+      setStatus({ tone: 'error', text: 'Clipboard unavailable in this browser' });
+    }
+  };
+
+  return (
+    <Card className="p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <FolderOpen className="w-5 h-5 text-blue-600" />
+        <select
+          value={library.activeId}
+          onChange={(e) => onChange({ ...library, activeId: e.target.value })}
+          className="border border-gray-300 rounded-md py-1.5 px-2 text-sm bg-gray-50 max-w-[14rem]"
+        >
+          {library.deals.map(deal => <option key={deal.id} value={deal.id}>{deal.name || 'Untitled Deal'}</option>)}
+        </select>
+        <input
+          type="text"
+          value={active.name}
+          onChange={(e) => updateActive({ name: e.target.value })}
+          placeholder="Deal name"
+          title="Rename deal"
+          className="border border-gray-300 rounded-md py-1.5 px-2 text-sm w-48"
+        />
+        <ToolbarButton icon={Plus} label="New" onClick={() => addDeal(createDeal(`Deal ${library.deals.length + 1}`))} />
+        <ToolbarButton icon={Copy} label="Duplicate" onClick={() => addDeal(createDeal(`${active.name} (copy)`, active))} />
+        <ToolbarButton icon={Trash2} label="Delete" onClick={deleteActive} danger />
+        <span className="w-px h-6 bg-gray-200 mx-1" />
+        <ToolbarButton icon={Upload} label="Import JSON" onClick={() => fileRef.current?.click()} />
+        <ToolbarButton
+          icon={Download}
+          label="Export JSON"
+          onClick={() => downloadFile(`${fileSlug(active.name)}.json`, JSON.stringify(toDealFile(active), null, 2), 'application/json')}
+        />
+        <ToolbarButton icon={Link} label="Copy Link" onClick={copyLink} />
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) importFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {status && (
+          <span className={`text-xs ml-2 ${status.tone === 'error' ? 'text-red-600' : 'text-green-700'}`}>{status.text}</span>
+        )}
+        <span className="text-xs text-gray-400 ml-auto">Saved in this browser</span>
+      </div>
+    </Card>
+  );
+}
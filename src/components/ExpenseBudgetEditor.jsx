@@ -0,0 +1,96 @@
+import { Plus, Trash2, Receipt } from 'lucide-react';
+import { Card, SectionHeader, NumberCell, Toggle, YearValuesInput } from './ui.jsx';
+import { DEFAULT_EXPENSE_LINE } from '../engine/expenses.js';
+import { EXPENSE_GROWTH_TYPES } from '../engine/growth.js';
+import { LIST_INPUT_RANGES, CURVE_RANGES } from '../engine/inputs.js';
+import { formatCurrency } from '../format.js';
+
+// [key, header, input type, step]
+const COLUMNS = [
+  ['name', 'Expense Line', 'text'],
+  ['amount', 'Year 1 ($)', 'number', '100'],
+  ['growthRate', 'Growth %', 'number', '0.25'],
+  ['fixedPct', 'Fixed %', 'number', '5'],
+];
+
+export default function ExpenseBudgetEditor({ expenseLines, onChange, growthType, growthSchedule, onGrowthChange, years }) {
+  const total = expenseLines.reduce((sum, line) => sum + line.amount, 0);
+  // A shared schedule replaces the per-line growth rates
+  const bySchedule = growthType === 'Schedule';
+
+  const updateLine = (idx, key, val) => onChange(expenseLines.map((line, i) => (
+    i === idx ? { ...line, [key]: val } : line
+  )));
+  const addLine = () => onChange([...expenseLines, { ...DEFAULT_EXPENSE_LINE, name: 'New Expense' }]);
+  const removeLine = (idx) => onChange(expenseLines.filter((_, i) => i !== idx));
+
+  return (
+    <Card className="p-4">
+      <div className="flex justify-between items-start">
+        <SectionHeader title="Operating Expense Budget" icon={Receipt} />
+        <div className="w-48">
+          <Toggle options={EXPENSE_GROWTH_TYPES} value={growthType} onChange={expenseGrowthType => onGrowthChange({ expenseGrowthType })} />
+        </div>
+      </div>
+      {bySchedule && (
+        <div className="max-w-md">
+          <YearValuesInput label="Expense Growth into Year (%)" values={growthSchedule} years={years} firstYear={2} step="0.25" range={CURVE_RANGES.expenseGrowthSchedule} onChange={expenseGrowthSchedule => onGrowthChange({ expenseGrowthSchedule })} />
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-500 uppercase tracking-wide">
+              {COLUMNS.map(([key, header]) => (
+                <th key={key} className="px-1 pb-2 text-left font-medium">{header}</th>
+              ))}
+              <th className="px-1 pb-2 text-center font-medium">Recoverable</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {expenseLines.map((line, idx) => (
+              <tr key={idx}>
+                {COLUMNS.map(([key, , type, step]) => (
+                  <td key={key} className="px-1 py-1">
+                    {type === 'number' ? (
+                      <NumberCell
+                        value={line[key]}
+                        step={step}
+                        range={LIST_INPUT_RANGES.expenseLines[key]}
+                        disabled={bySchedule && key === 'growthRate'}
+                        onChange={val => updateLine(idx, key, val)}
+                        className="block w-full px-2 min-w-[72px]"
+                      />
+                    ) : (
+                      <input
+                        type={type}
+                        value={line[key]}
+                        onChange={(e) => updateLine(idx, key, e.target.value)}
+                        className="block w-full border border-gray-300 rounded-md py-1 px-2 bg-gray-50 focus:ring-blue-500 focus:border-blue-500 min-w-[160px]"
+                      />
+                    )}
+                  </td>
+                ))}
+                <td className="px-1 py-1 text-center">
+                  <input type="checkbox" checked={line.recoverable} onChange={(e) => updateLine(idx, 'recoverable', e.target.checked)} />
+                </td>
+                <td className="px-1 py-1">
+                  <button onClick={() => removeLine(idx)} className="text-gray-400 hover:text-red-500" title="Remove line">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex justify-between items-center mt-3 text-xs text-gray-500">
+        <button onClick={addLine} className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-medium">
+          <Plus className="w-4 h-4" /> Add Expense Line
+        </button>
+        <span>{formatCurrency(total)} budgeted before management fee</span>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { Target } from 'lucide-react';
+import { Card, SectionHeader, InputField } from './ui.jsx';
+import { GOAL_METRICS, GOAL_INPUTS, goalSeek } from '../engine/goalSeek.js';
+import { formatCurrency, formatPercent } from '../format.js';
+
+const formatGoalMetric = (metricKey, val) => {
+  if (val === null || !Number.isFinite(val)) return 'n/a';
+  return GOAL_METRICS[metricKey].unit === '%' ? formatPercent(val) : `${val.toFixed(2)}x`;
+};
+
+const formatGoalInput = (inputKey, val) => (inputKey === 'purchasePrice' ? formatCurrency(val) : `${val}%`);
+
+export default function GoalSeekPanel({ inputs, onApply }) {
+  const [metricKey, setMetricKey] = useState('leveredIRR');
+  const [target, setTarget] = useState(15);
+  const [inputKey, setInputKey] = useState('purchasePrice');
+  const [solution, setSolution] = useState(null); // goalSeek() result plus the request that produced it
+
+  const solve = () => setSolution({ metricKey, target, inputKey, ...goalSeek(inputs, metricKey, target, inputKey) });
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="Goal Seek" icon={Target} />
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div className="mb-3">
+          <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Target Metric</label>
+          <select
+            value={metricKey}
+            onChange={(e) => setMetricKey(e.target.value)}
+            className="block w-full sm:text-sm border border-gray-300 rounded-md py-2 px-3 bg-gray-50"
+          >
+            {Object.entries(GOAL_METRICS).map(([key, metric]) => <option key={key} value={key}>{metric.label}</option>)}
+          </select>
+        </div>
+        <InputField label={`Target (${GOAL_METRICS[metricKey].unit})`} value={target} onChange={v => setTarget(parseFloat(v) || 0)} step="0.25" />
+        <div className="mb-3">
+          <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Solve For</label>
+          <select
+            value={inputKey}
+            onChange={(e) => setInputKey(e.target.value)}
+            className="block w-full sm:text-sm border border-gray-300 rounded-md py-2 px-3 bg-gray-50"
+          >
+            {Object.entries(GOAL_INPUTS).map(([key, input]) => <option key={key} value={key}>{input.label}</option>)}
+          </select>
+        </div>
+        <button onClick={solve} className="mb-3 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700">
+          Solve
+        </button>
+      </div>
+
+      {solution && (solution.status === 'solved' ? (
+        <div className="flex flex-wrap items-center gap-4 text-sm bg-blue-50 rounded-md px-4 py-3">
+          <span>
+            {GOAL_INPUTS[solution.inputKey].label} of <strong>{formatGoalInput(solution.inputKey, solution.value)}</strong>
+            {' '}gives {GOAL_METRICS[solution.metricKey].label} of <strong>{formatGoalMetric(solution.metricKey, solution.achieved)}</strong>
+            <span className="text-gray-500"> (currently {formatGoalInput(solution.inputKey, inputs[solution.inputKey])})</span>
+          </span>
+          <button
+            onClick={() => { onApply(solution.inputKey, solution.value); setSolution(null); }}
+            className="ml-auto px-3 py-1.5 rounded-md text-xs font-medium bg-white border border-blue-300 text-blue-700 hover:bg-blue-100"
+          >
+            Apply to Model
+          </button>
+        </div>
+      ) : (
+        <div className="text-sm bg-red-50 text-red-700 rounded-md px-4 py-3">
+          No {GOAL_INPUTS[solution.inputKey].label.toLowerCase()} reaches {solution.target}{GOAL_METRICS[solution.metricKey].unit} {GOAL_METRICS[solution.metricKey].label}.
+          {solution.min !== null && ` Across the search range it runs from ${formatGoalMetric(solution.metricKey, solution.min)} to ${formatGoalMetric(solution.metricKey, solution.max)}.`}
+        </div>
+      ))}
+      <p className="text-xs text-gray-400 mt-3">Re-runs the full model across the input&apos;s range and bisects to the target. In Cap Rate mode, solving for price holds NOI constant.</p>
+    </Card>
+  );
+}
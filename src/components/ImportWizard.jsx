@@ -0,0 +1,288 @@
+import { useState, useRef } from 'react';
+import { FileUp, X, AlertTriangle } from 'lucide-react';
+import { Card, SectionHeader, Toggle } from './ui.jsx';
+import {
+  parseCsv, guessT12Columns, guessRentRollColumns, readT12, summarizeT12, applyT12, readRentRoll,
+  T12_CATEGORIES, RENT_ROLL_FIELDS, RENT_BASES,
+} from '../engine/csvImport.js';
+import { DEFAULT_INPUTS } from '../engine/underwrite.js';
+import { closingDateOf } from '../engine/inputs.js';
+import { formatCurrency } from '../format.js';
+
+const IMPORT_KINDS = ['T-12', 'Rent Roll'];
+
+const selectClass = 'border border-gray-300 rounded-md py-1 px-2 text-xs bg-gray-50';
+
+const ColumnSelect = ({ header, value, onChange, allowNone = true }) => (
+  <select value={value} onChange={(e) => onChange(Number(e.target.value))} className={selectClass}>
+    {allowNone && <option value={-1}>(not in file)</option>}
+    {header.map((h, col) => <option key={col} value={col}>{h || `Column ${col + 1}`}</option>)}
+  </select>
+);
+
+const Step = ({ n, title, children }) => (
+  <div>
+    <h4 className="text-xs font-bold text-gray-500 uppercase mb-2">{n}. {title}</h4>
+    {children}
+  </div>
+);
+
+const SummaryRow = ({ label, value, bold }) => (
+  <tr className={bold ? 'font-semibold border-t' : ''}>
+    <td className="py-1 text-gray-600">{label}</td>
+    <td className="py-1 text-right">{value}</td>
+  </tr>
+);
+
+// 1. Load -> 2. Map columns -> 3. Classify & preview -> Apply
+export default function ImportWizard({ inputs, onApply, onClose }) {
+  const [kind, setKind] = useState('T-12');
+  const [text, setText] = useState('');
+  const [hasHeader, setHasHeader] = useState(true);
+  const [t12Map, setT12Map] = useState({ labelCol: 0, amountCols: [] });
+  const [rentRollMap, setRentRollMap] = useState({ columns: {}, rentBasis: 'annual' });
+  const [categories, setCategories] = useState({}); // row -> category, overriding the automatic one
+  const fileRef = useRef(null);
+
+  const rows = parseCsv(text);
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const header = hasHeader && rows.length > 0
+    ? Array.from({ length: width }, (_, col) => rows[0][col] ?? '')
+    : Array.from({ length: width }, (_, col) => `Column ${col + 1}`);
+  const data = hasHeader ? rows.slice(1) : rows;
+  const firstRow = hasHeader ? 2 : 1;
+
+  // Re-guess the mapping whenever the file, header row or import type changes
+  const load = (nextText, nextKind = kind, nextHasHeader = hasHeader) => {
+    const nextRows = parseCsv(nextText);
+    const nextHeader = nextHasHeader && nextRows.length > 0 ? nextRows[0] : [];
+    const nextData = nextHasHeader ? nextRows.slice(1) : nextRows;
+    setText(nextText);
+    setKind(nextKind);
+    setHasHeader(nextHasHeader);
+    setCategories({});
+    if (nextKind === 'T-12') setT12Map(guessT12Columns(nextHeader, nextData));
+    else setRentRollMap(guessRentRollColumns(nextHeader));
+  };
+
+  const loadFile = async (file) => load(await file.text());
+
+  const lines = kind === 'T-12'
+    ? readT12(data, t12Map, firstRow).map(line => ({ ...line, category: line.row in categories ? categories[line.row] : line.category }))
+    : [];
+  const summary = summarizeT12(lines);
+  const rentRoll = kind === 'Rent Roll' ? readRentRoll(data, rentRollMap, closingDateOf(inputs, DEFAULT_INPUTS), firstRow) : { tenants: [], flagged: [] };
+
+  const apply = () => {
+    if (kind === 'T-12') onApply(applyT12(inputs, summary));
+    else onApply({ incomeMode: 'Rent Roll', rentRoll: rentRoll.tenants });
+  };
+  const canApply = kind === 'T-12' ? summary.income > 0 : rentRoll.tenants.length > 0;
+
+  const toggleAmountCol = (col) => setT12Map(prev => ({
+    ...prev,
+    amountCols: prev.amountCols.includes(col) ? prev.amountCols.filter(c => c !== col) : [...prev.amountCols, col].sort((a, b) => a - b),
+  }));
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-start justify-between">
+        <SectionHeader title="Import CSV" icon={FileUp} />
+        <button onClick={onClose} title="Close" className="text-gray-400 hover:text-gray-600"><X className="w-5 h-5" /></button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Step n={1} title="Load">
+          <div className="w-48 mb-3">
+            <Toggle options={IMPORT_KINDS} value={kind} onChange={(next) => load(text, next)} />
+          </div>
+          <textarea
+            value={text}
+            onChange={(e) => load(e.target.value)}
+            placeholder={kind === 'T-12' ? 'Paste a trailing-12 operating statement (line items down, months or a total across)...' : 'Paste a rent roll (one row per suite)...'}
+            rows={8}
+            className="block w-full text-xs font-mono border border-gray-300 rounded-md py-2 px-3 bg-gray-50"
+          />
+          <div className="flex items-center gap-3 mt-2 text-xs">
+            <button onClick={() => fileRef.current?.click()} className="px-2 py-1.5 rounded-md font-medium border border-gray-200 bg-white text-gray-600 hover:bg-gray-50">
+              Choose .csv file
+            </button>
+            <label className="flex items-center gap-1 text-gray-600">
+              <input type="checkbox" checked={hasHeader} onChange={(e) => load(text, kind, e.target.checked)} /> First row is a header
+            </label>
+            <input
+              ref={fileRef}
+              type="file"
+              accept=".csv,text/csv"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) loadFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
+        </Step>
+
+        <Step n={2} title="Map Columns">
+          {rows.length === 0 ? (
+            <p className="text-xs text-gray-400">Load a file to map its columns.</p>
+          ) : kind === 'T-12' ? (
+            <div className="space-y-3 text-xs">
+              <label className="flex items-center justify-between gap-2">
+                <span className="text-gray-600">Line item labels</span>
+                <ColumnSelect header={header} value={t12Map.labelCol} onChange={(labelCol) => setT12Map(prev => ({ ...prev, labelCol }))} allowNone={false} />
+              </label>
+              <div>
+                <span className="block text-gray-600 mb-1">Amounts (checked columns are summed: pick the months or one total)</span>
+                <div className="grid grid-cols-3 gap-1">
+                  {header.map((h, col) => col !== t12Map.labelCol && (
+                    <label key={col} className="flex items-center gap-1 truncate">
+                      <input type="checkbox" checked={t12Map.amountCols.includes(col)} onChange={() => toggleAmountCol(col)} /> {h || `Column ${col + 1}`}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-2 text-xs">
+              {RENT_ROLL_FIELDS.map(([key, label]) => (
+                <label key={key} className="flex items-center justify-between gap-2">
+                  <span className="text-gray-600">{label}</span>
+                  <ColumnSelect
+                    header={header}
+                    value={rentRollMap.columns[key] ?? -1}
+                    onChange={(col) => setRentRollMap(prev => ({ ...prev, columns: { ...prev.columns, [key]: col } }))}
+                  />
+                </label>
+              ))}
+              <label className="flex items-center justify-between gap-2">
+                <span className="text-gray-600">Rent is quoted as</span>
+                <select value={rentRollMap.rentBasis} onChange={(e) => setRentRollMap(prev => ({ ...prev, rentBasis: e.target.value }))} className={selectClass}>
+                  {Object.entries(RENT_BASES).map(([key, basis]) => <option key={key} value={key}>{basis.label}</option>)}
+                </select>
+              </label>
+              <p className="text-gray-400">Unmapped lease terms take the rent roll defaults; market rent defaults to the contract rent.</p>
+            </div>
+          )}
+        </Step>
+
+        <Step n={3} title="Preview">
+          {kind === 'T-12' ? (
+            <table className="w-full text-xs">
+              <tbody>
+                <SummaryRow label="Rental / Other Income" value={formatCurrency(summary.income)} />
+                <SummaryRow label="Vacancy & Credit Loss" value={`(${formatCurrency(summary.vacancy)})`} />
+                <SummaryRow label="Expense Recoveries" value={formatCurrency(summary.recoveries)} />
+                <SummaryRow label="Effective Gross Income" value={formatCurrency(summary.egi)} bold />
+                <SummaryRow label="Management Fee" value={`(${formatCurrency(summary.management)})`} />
+                {Object.entries(summary.expenses).map(([name, amount]) => <SummaryRow key={name} label={name} value={`(${formatCurrency(amount)})`} />)}
+                <SummaryRow label="Net Operating Income" value={formatCurrency(summary.noi)} bold />
+                {summary.reserves > 0 && <SummaryRow label="Replacement Reserves (below NOI)" value={`(${formatCurrency(summary.reserves)})`} />}
+              </tbody>
+            </table>
+          ) : (
+            <table className="w-full text-xs">
+              <tbody>
+                <SummaryRow label="Suites" value={rentRoll.tenants.length} />
+                <SummaryRow label="Vacant Suites" value={rentRoll.tenants.filter(t => t.tenant === 'Vacant').length} />
+                <SummaryRow label="Total SF" value={rentRoll.tenants.reduce((sum, t) => sum + t.sf, 0).toLocaleString()} />
+                <SummaryRow label="In-Place Rent (Annual)" value={formatCurrency(rentRoll.tenants.reduce((sum, t) => sum + t.sf * t.baseRent, 0))} bold />
+              </tbody>
+            </table>
+          )}
+        </Step>
+      </div>
+
+      {/* Row-level review */}
+      {kind === 'T-12' && lines.length > 0 && (
+        <div className="mt-6 max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 text-gray-500 uppercase sticky top-0">
+              <tr>
+                <th className="px-2 py-1 text-left">Row</th>
+                <th className="px-2 py-1 text-left">Line Item</th>
+                <th className="px-2 py-1 text-right">Amount</th>
+                <th className="px-2 py-1 text-left">Category</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {lines.map(line => (
+                <tr key={line.row} className={line.category === null ? 'bg-red-50' : ''}>
+                  <td className="px-2 py-1 text-gray-400">{line.row}</td>
+                  <td className="px-2 py-1">{line.label}</td>
+                  <td className="px-2 py-1 text-right">{formatCurrency(line.amount)}</td>
+                  <td className="px-2 py-1">
+                    <select
+                      value={line.category ?? ''}
+                      onChange={(e) => setCategories(prev => ({ ...prev, [line.row]: e.target.value || null }))}
+                      className={`${selectClass} ${line.category === null ? 'border-red-400 text-red-700' : ''}`}
+                    >
+                      <option value="">Unclassified (left out)</option>
+                      {Object.entries(T12_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.label}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {kind === 'Rent Roll' && rentRoll.tenants.length > 0 && (
+        <div className="mt-6 max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 text-gray-500 uppercase sticky top-0">
+              <tr>
+                <th className="px-2 py-1 text-left">Suite</th>
+                <th className="px-2 py-1 text-left">Tenant</th>
+                <th className="px-2 py-1 text-right">SF</th>
+                <th className="px-2 py-1 text-right">Rent $/SF</th>
+                <th className="px-2 py-1 text-right">Market $/SF</th>
+                <th className="px-2 py-1 text-right">Start</th>
+                <th className="px-2 py-1 text-right">Expiry</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rentRoll.tenants.map((t, i) => (
+                <tr key={i} className={t.tenant === 'Vacant' ? 'text-gray-400' : ''}>
+                  <td className="px-2 py-1">{t.suite}</td>
+                  <td className="px-2 py-1">{t.tenant}</td>
+                  <td className="px-2 py-1 text-right">{t.sf.toLocaleString()}</td>
+                  <td className="px-2 py-1 text-right">{t.baseRent.toFixed(2)}</td>
+                  <td className="px-2 py-1 text-right">{t.marketRent.toFixed(2)}</td>
+                  <td className="px-2 py-1 text-right">{t.tenant === 'Vacant' ? '-' : t.leaseStart}</td>
+                  <td className="px-2 py-1 text-right">{t.tenant === 'Vacant' ? 'Vacant at closing' : t.leaseExpiry}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {(summary.unclassified > 0 || rentRoll.flagged.length > 0) && (
+        <div className="mt-4 flex items-start gap-2 text-xs bg-red-50 text-red-700 rounded-md px-3 py-2">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <div>
+            {kind === 'T-12'
+              ? `${summary.unclassified} line${summary.unclassified === 1 ? '' : 's'} could not be classified and will be left out. Pick a category above to include them.`
+              : rentRoll.flagged.map(flag => <div key={`${flag.row}-${flag.reason}`}>Row {flag.row}: {flag.reason}</div>)}
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4">
+        <p className="text-xs text-gray-400">
+          {kind === 'T-12'
+            ? `Replaces the expense budget and sets vacancy and the management fee from the statement${inputs.incomeMode === 'Cap Rate' ? '; the going-in cap is set to the statement NOI over the purchase price' : ''}. Reserves go to the capital plan, and recoveries are recomputed from the recovery type.`
+            : 'Replaces the rent roll and switches income to Rent Roll mode. Vacant suites lease up at market after the usual downtime.'}
+        </p>
+        <button
+          onClick={apply}
+          disabled={!canApply}
+          className="ml-4 px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply to Model
+        </button>
+      </div>
+    </Card>
+  );
+}
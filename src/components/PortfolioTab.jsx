@@ -0,0 +1,193 @@
+import { useMemo } from 'react';
+import { Layers } from 'lucide-react';
+import { Card, SectionHeader } from './ui.jsx';
+import { addHolding, portfolioAssets, rollupPortfolio } from '../engine/portfolio.js';
+import { DEFAULT_INPUTS } from '../engine/underwrite.js';
+import { closingDateOf } from '../engine/inputs.js';
+import { formatCurrency, formatPercent, formatIRR, formatMultiple } from '../format.js';
+
+// [label, key, bold]: fund-level rows of the annual cash flow
+const CASH_FLOW_ROWS = [
+  ['Equity Invested', 'equity'],
+  ['Net Operating Income', 'noi'],
+  ['Debt Service', 'debtService'],
+  ['Cash Flow After Debt', 'cfLevered'],
+  ['Net Sale Proceeds', 'saleProceeds'],
+  ['Net Cash Flow', 'netCashFlow', true],
+];
+
+const closingDate = (deal) => closingDateOf(deal.inputs, DEFAULT_INPUTS);
+
+const Stat = ({ label, value, sub }) => (
+  <div>
+    <span className="block text-gray-500 text-xs uppercase">{label}</span>
+    <span className="font-semibold text-base">{value}</span>
+    {sub && <span className="block text-xs text-gray-400">{sub}</span>}
+  </div>
+);
+
+export default function PortfolioTab({ library, onChange }) {
+  const holdings = library.portfolio;
+  const portfolio = useMemo(() => rollupPortfolio(portfolioAssets(library.portfolio, library.deals)), [library.portfolio, library.deals]);
+
+  const setHoldings = (next) => onChange({ ...library, portfolio: next });
+  const holdingFor = (deal) => holdings.find(holding => holding.dealId === deal.id);
+  const removeHolding = (deal) => setHoldings(holdings.filter(holding => holding.dealId !== deal.id));
+  const setAcquisitionYear = (deal, year) => setHoldings(holdings.map(holding => (holding.dealId === deal.id ? { ...holding, acquisitionYear: year } : holding)));
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-4">
+        <SectionHeader title="Portfolio" icon={Layers} />
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div>
+            <span className="block text-gray-500 text-xs uppercase mb-2">Saved Deals</span>
+            <table className="w-full text-sm">
+              <tbody className="divide-y divide-gray-100">
+                {library.deals.map(deal => {
+                  const holding = holdingFor(deal);
+                  return (
+                    <tr key={deal.id}>
+                      <td className="py-1 w-6">
+                        <input type="checkbox" checked={Boolean(holding)} onChange={(e) => (e.target.checked ? setHoldings(addHolding(holdings, library.deals, deal)) : removeHolding(deal))} />
+                      </td>
+                      <td className="py-1">
+                        <span className="block text-gray-800">{deal.name || 'Untitled'}</span>
+                        <span className="block text-xs text-gray-400">Closes {closingDate(deal)} · {deal.inputs.holdPeriod}-year hold</span>
+                      </td>
+                      <td className="py-1 text-right">
+                        {holding && (
+                          <label className="text-xs text-gray-500">
+                            Fund Year{' '}
+                            <input
+                              type="number"
+                              min="1"
+                              step="1"
+                              value={holding.acquisitionYear}
+                              onChange={(e) => setAcquisitionYear(deal, Math.max(1, parseInt(e.target.value, 10) || 1))}
+                              className="w-14 border border-gray-300 rounded-md py-1 px-1 text-xs text-center bg-gray-50"
+                            />
+                          </label>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-400 mt-2">Each deal&apos;s equity goes in at the start of its fund year; Year 0 is the start of the first.</p>
+          </div>
+
+          <div className="lg:col-span-2 grid grid-cols-2 md:grid-cols-3 gap-4 text-sm content-start">
+            <Stat label="Total Equity" value={formatCurrency(portfolio.totalEquity)} sub={`${portfolio.assets.length} ${portfolio.assets.length === 1 ? 'asset' : 'assets'}`} />
+            <Stat label="Blended Levered IRR" value={formatIRR(portfolio.leveredIRR)} sub="On the combined annual cash flow" />
+            <Stat label="Equity Multiple" value={formatMultiple(portfolio.equityMultiple)} sub={`${formatCurrency(portfolio.profit)} profit`} />
+            <Stat label="Weighted DSCR" value={formatMultiple(portfolio.weightedDscr)} sub="Year 1 NOI / Year 1 debt service" />
+            <Stat label="Weighted LTV" value={formatPercent(portfolio.weightedLtv)} sub="Acquisition loans / purchase prices" />
+            <Stat label="Distributions" value={formatCurrency(portfolio.totalDistributions)} />
+          </div>
+        </div>
+      </Card>
+
+      {portfolio.assets.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center">Tick saved deals above to roll them up into a portfolio.</p>
+      ) : (
+        <>
+          <Card className="overflow-hidden">
+            <div className="p-4 border-b bg-gray-50">
+              <h3 className="font-bold text-gray-800">Aggregated Cash Flow</h3>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-right">
+                <thead>
+                  <tr className="bg-gray-100 text-gray-600 text-xs uppercase">
+                    <th className="px-4 py-3 text-left">Fund Year</th>
+                    {portfolio.years.map(year => <th key={year.period} className="px-4 py-3">Year {year.period}</th>)}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {CASH_FLOW_ROWS.map(([label, key, bold]) => (
+                    <tr key={key} className={bold ? 'font-semibold bg-gray-50' : ''}>
+                      <td className="px-4 py-2 text-left text-gray-700">{label}</td>
+                      {portfolio.years.map(year => (
+                        <td key={year.period} className={`px-4 py-2 ${year[key] < 0 ? 'text-red-600' : ''}`}>
+                          {year[key] === 0 ? '-' : key === 'equity' || key === 'debtService' ? `(${formatCurrency(year[key])})` : formatCurrency(year[key])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr className="text-xs text-gray-500">
+                    <td className="px-4 py-2 text-left">DSCR</td>
+                    {portfolio.years.map(year => <td key={year.period} className="px-4 py-2">{year.dscr === null ? '-' : formatMultiple(year.dscr)}</td>)}
+                  </tr>
+                  <tr className="text-xs text-gray-500">
+                    <td className="px-4 py-2 text-left">Assets Held</td>
+                    {portfolio.years.map(year => <td key={year.period} className="px-4 py-2">{year.assetsHeld || '-'}</td>)}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </Card>
+
+          <Card className="overflow-hidden">
+            <div className="p-4 border-b bg-gray-50">
+              <h3 className="font-bold text-gray-800">Contribution by Asset</h3>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-right">
+                <thead>
+                  <tr className="bg-gray-100 text-gray-600 text-xs uppercase">
+                    <th className="px-4 py-3 text-left">Deal</th>
+                    <th className="px-4 py-3">Held</th>
+                    <th className="px-4 py-3">Equity</th>
+                    <th className="px-4 py-3">% of Equity</th>
+                    <th className="px-4 py-3">Distributions</th>
+                    <th className="px-4 py-3">Profit</th>
+                    <th className="px-4 py-3">% of Profit</th>
+                    <th className="px-4 py-3">Levered IRR</th>
+                    <th className="px-4 py-3">Multiple</th>
+                    <th className="px-4 py-3">Yr 1 DSCR</th>
+                    <th className="px-4 py-3">LTV</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {portfolio.assets.map(asset => (
+                    <tr key={asset.id}>
+                      <td className="px-4 py-2 text-left font-medium text-gray-700">{asset.name || 'Untitled'}</td>
+                      <td className="px-4 py-2 text-gray-500">Years {asset.acquisitionYear}-{asset.exitYear}</td>
+                      <td className="px-4 py-2">{formatCurrency(asset.equity)}</td>
+                      <td className="px-4 py-2">{formatPercent(asset.equityShare)}</td>
+                      <td className="px-4 py-2">{formatCurrency(asset.distributions)}</td>
+                      <td className={`px-4 py-2 ${asset.profit < 0 ? 'text-red-600' : ''}`}>{formatCurrency(asset.profit)}</td>
+                      <td className="px-4 py-2">{formatPercent(asset.profitShare)}</td>
+                      <td className="px-4 py-2">{formatIRR(asset.leveredIRR)}</td>
+                      <td className="px-4 py-2">{formatMultiple(asset.equityMultiple)}</td>
+                      <td className="px-4 py-2">{formatMultiple(asset.year1Dscr)}</td>
+                      <td className="px-4 py-2">{formatPercent(asset.ltv)}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold bg-gray-50">
+                    <td className="px-4 py-2 text-left">Portfolio</td>
+                    <td className="px-4 py-2 text-gray-500">Years 1-{portfolio.years.length - 1}</td>
+                    <td className="px-4 py-2">{formatCurrency(portfolio.totalEquity)}</td>
+                    <td className="px-4 py-2">{formatPercent(1)}</td>
+                    <td className="px-4 py-2">{formatCurrency(portfolio.totalDistributions)}</td>
+                    <td className={`px-4 py-2 ${portfolio.profit < 0 ? 'text-red-600' : ''}`}>{formatCurrency(portfolio.profit)}</td>
+                    <td className="px-4 py-2">{formatPercent(1)}</td>
+                    <td className="px-4 py-2">{formatIRR(portfolio.leveredIRR)}</td>
+                    <td className="px-4 py-2">{formatMultiple(portfolio.equityMultiple)}</td>
+                    <td className="px-4 py-2">{formatMultiple(portfolio.weightedDscr)}</td>
+                    <td className="px-4 py-2">{formatPercent(portfolio.weightedLtv)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-400 p-4">
+              Each asset&apos;s figures are its own underwriting (levered cash flow and sale, as on the Model tab). Portfolio DSCR and LTV weight each asset by its debt service and purchase price.
+            </p>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
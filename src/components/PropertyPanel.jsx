@@ -0,0 +1,78 @@
+import { Building2 } from 'lucide-react';
+import { Card, SectionHeader, InputField } from './ui.jsx';
+import { PROPERTY_TYPES, perSf, perUnit } from '../engine/property.js';
+import { formatCurrency, formatPerSf, formatPerUnit } from '../format.js';
+
+export default function PropertyPanel({ property, onChange, inputs, calculated }) {
+  const update = (patch) => onChange({ ...property, ...patch });
+  const rentRollSf = inputs.rentRoll.reduce((sum, t) => sum + t.sf, 0);
+  const year1 = calculated.schedule[0];
+  // [label, total]: shown per SF and per unit
+  const basis = [
+    ['Purchase Price', inputs.purchasePrice],
+    ['All-In Basis', calculated.allInBasis],
+    ['Exit Price', calculated.salePrice],
+    ['Year 1 NOI', year1.noi],
+    ['Year 1 Expenses', year1.expenses],
+  ];
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="Property" icon={Building2} />
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div>
+          <div className="mb-3">
+            <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Property Type</label>
+            <select
+              value={property.type}
+              onChange={(e) => update({ type: e.target.value })}
+              className="w-full border border-gray-300 rounded-md py-1.5 px-2 text-sm bg-gray-50"
+            >
+              {PROPERTY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </div>
+          <InputField label="Location" type="text" value={property.location} onChange={v => update({ location: v })} />
+        </div>
+
+        <div>
+          <InputField label="Rentable SF" value={property.rentableSf} onChange={v => update({ rentableSf: v })} range={{ min: 0, max: 1e8 }} step="100" />
+          {inputs.incomeMode === 'Rent Roll' && rentRollSf !== property.rentableSf && (
+            <button onClick={() => update({ rentableSf: rentRollSf })} className="-mt-2 mb-3 text-xs text-blue-600 hover:underline">
+              Use rent roll total ({rentRollSf.toLocaleString('en-US')} SF)
+            </button>
+          )}
+          <div className="grid grid-cols-2 gap-2">
+            <InputField label="Units" value={property.units} onChange={v => update({ units: v })} range={{ min: 0, max: 1e6, integer: true }} step="1" />
+            <InputField label="Year Built" value={property.yearBuilt} onChange={v => update({ yearBuilt: v })} range={{ min: 0, max: 2100, integer: true }} step="1" tooltip="0 if unknown" />
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 overflow-x-auto">
+          <table className="w-full text-sm text-right">
+            <thead>
+              <tr className="bg-gray-50 text-gray-500 text-xs uppercase">
+                <th className="px-2 py-1 text-left">Basis</th>
+                <th className="px-2 py-1">Total</th>
+                <th className="px-2 py-1">Per SF</th>
+                <th className="px-2 py-1">Per Unit</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {basis.map(([label, total]) => (
+                <tr key={label}>
+                  <td className="px-2 py-1 text-left text-gray-600">{label}</td>
+                  <td className="px-2 py-1">{formatCurrency(total)}</td>
+                  <td className="px-2 py-1 font-semibold">{formatPerSf(perSf(total, property))}</td>
+                  <td className="px-2 py-1 font-semibold">{formatPerUnit(perUnit(total, property))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-2">
+            All-in basis adds closing costs, the loan fee and the capital plan to the price. Exit price is the Year {inputs.holdPeriod} sale.
+          </p>
+        </div>
+      </div>
+    </Card>
+  );
+}
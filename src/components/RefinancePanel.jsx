@@ -0,0 +1,111 @@
+import { RefreshCw } from 'lucide-react';
+import { Card, SectionHeader, InputField, NumberCell, Toggle } from './ui.jsx';
+import { REFI_SIZING_MODES, PREPAY_TYPES } from '../engine/refinance.js';
+import { NESTED_INPUT_RANGES } from '../engine/inputs.js';
+import { formatCurrency } from '../format.js';
+
+const RANGES = NESTED_INPUT_RANGES.refinance;
+
+export default function RefinancePanel({ terms, onChange, holdPeriod, refinance }) {
+  const update = (patch) => onChange({ ...terms, ...patch });
+  const updateStepDown = (idx, pct) => update({ stepDown: Array.from({ length: Math.max(terms.stepDown.length, idx + 1) }, (_, i) => (i === idx ? pct : terms.stepDown[i] ?? 0)) });
+
+  return (
+    <Card className="p-4">
+      <div className="flex justify-between items-start">
+        <SectionHeader title="Refinance" icon={RefreshCw} />
+        <label className="flex items-center gap-2 text-xs font-medium text-gray-500 uppercase">
+          <input type="checkbox" checked={terms.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          Refinance mid-hold
+        </label>
+      </div>
+      {terms.enabled && (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div>
+            <InputField label="Refinance at End of Year" value={terms.year} onChange={v => update({ year: v })} range={{ ...RANGES.year, max: Math.max(1, holdPeriod - 1) }} step="1" />
+            <div className="mb-3">
+              <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Sizing</label>
+              <Toggle options={REFI_SIZING_MODES} value={terms.sizing} onChange={sizing => update({ sizing })} />
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <InputField label="Refi Cap" value={terms.refiCap} onChange={v => update({ refiCap: v })} range={RANGES.refiCap} suffix="%" step="0.25" tooltip="Values the property at the refinance year's NOI" />
+              <InputField label="Max LTV" value={terms.ltv} onChange={v => update({ ltv: v })} range={RANGES.ltv} suffix="%" step="1" />
+              <InputField label="Min DSCR" value={terms.minDscr} onChange={v => update({ minDscr: v })} range={RANGES.minDscr} suffix="x" step="0.05" />
+            </div>
+          </div>
+
+          <div>
+            <div className="grid grid-cols-2 gap-2">
+              <InputField label="Rate" value={terms.rate} onChange={v => update({ rate: v })} range={RANGES.rate} suffix="%" step="0.125" />
+              <InputField label="Amortization" value={terms.amortization} onChange={v => update({ amortization: v })} range={RANGES.amortization} suffix="yrs" step="1" />
+              <InputField label="Interest-Only" value={terms.ioMonths} onChange={v => update({ ioMonths: v })} range={RANGES.ioMonths} suffix="mos" step="6" />
+              <InputField label="Term" value={terms.term} onChange={v => update({ term: v })} range={RANGES.term} suffix="yrs" step="1" />
+            </div>
+            <InputField label="Closing Costs (% of Loan)" value={terms.costsPct} onChange={v => update({ costsPct: v })} range={RANGES.costsPct} suffix="%" step="0.25" />
+          </div>
+
+          <div>
+            <div className="mb-3">
+              <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Prepayment Penalty</label>
+              <select
+                value={terms.prepayType}
+                onChange={(e) => update({ prepayType: e.target.value })}
+                className="w-full border border-gray-300 rounded-md py-1.5 px-2 text-sm bg-gray-50"
+              >
+                {PREPAY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </div>
+            {terms.prepayType === 'Step-Down' && (
+              <div className="mb-3">
+                <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Penalty by Loan Year (%)</label>
+                <div className="grid grid-cols-5 gap-1">
+                  {Array.from({ length: Math.max(5, terms.stepDown.length) }, (_, i) => (
+                    <div key={i}>
+                      <span className="block text-[10px] text-gray-400 text-center">Y{i + 1}</span>
+                      <NumberCell
+                        value={terms.stepDown[i] ?? 0}
+                        step="1"
+                        range={RANGES.stepDown}
+                        onChange={pct => updateStepDown(i, pct)}
+                        className="w-full px-1 text-xs text-center"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {(terms.prepayType === 'Yield Maintenance' || terms.prepayType === 'Defeasance') && (
+              <div className="grid grid-cols-2 gap-2">
+                <InputField label="Treasury Rate" value={terms.treasuryRate} onChange={v => update({ treasuryRate: v })} range={RANGES.treasuryRate} suffix="%" step="0.125" tooltip="Replacement yield the remaining payments are discounted at" />
+                {terms.prepayType === 'Yield Maintenance' && (
+                  <InputField label="YM Floor" value={terms.ymFloorPct} onChange={v => update({ ymFloorPct: v })} range={RANGES.ymFloorPct} suffix="%" step="0.5" tooltip="Minimum penalty as a % of the balance" />
+                )}
+              </div>
+            )}
+          </div>
+
+          <div>
+            {refinance ? (
+              <table className="w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  <tr><td className="py-1 text-gray-600">Year {refinance.year} NOI</td><td className="py-1 text-right">{formatCurrency(refinance.noi)}</td></tr>
+                  <tr><td className="py-1 text-gray-600">Value @ {terms.refiCap}% Cap</td><td className="py-1 text-right">{formatCurrency(refinance.value)}</td></tr>
+                  <tr className="font-semibold"><td className="py-1">New Loan ({refinance.binding})</td><td className="py-1 text-right">{formatCurrency(refinance.loanAmount)}</td></tr>
+                  <tr><td className="py-1 text-gray-600">Loan Payoff</td><td className="py-1 text-right">({formatCurrency(refinance.payoff)})</td></tr>
+                  <tr><td className="py-1 text-gray-600">Prepayment Penalty</td><td className="py-1 text-right">({formatCurrency(refinance.penalty)})</td></tr>
+                  <tr><td className="py-1 text-gray-600">Closing Costs</td><td className="py-1 text-right">({formatCurrency(refinance.costs)})</td></tr>
+                  <tr className="font-semibold border-t">
+                    <td className="py-1">{refinance.cashOut >= 0 ? 'Cash Out to Equity' : 'Cash In from Equity'}</td>
+                    <td className={`py-1 text-right ${refinance.cashOut < 0 ? 'text-red-600' : 'text-green-700'}`}>{formatCurrency(refinance.cashOut)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-xs text-amber-600">The refinance year has to fall before the Year {holdPeriod} exit.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,91 @@
+import { Plus, Trash2, Users } from 'lucide-react';
+import { Card, SectionHeader, NumberCell } from './ui.jsx';
+import { DEFAULT_TENANT } from '../engine/rentRoll.js';
+import { LIST_INPUT_RANGES } from '../engine/inputs.js';
+import { formatCurrency } from '../format.js';
+
+// [key, header, input type, step]
+const COLUMNS = [
+  ['suite', 'Suite', 'text'],
+  ['tenant', 'Tenant', 'text'],
+  ['sf', 'SF', 'number', '100'],
+  ['baseRent', 'Rent $/SF', 'number', '0.25'],
+  ['leaseStart', 'Start', 'date'],
+  ['leaseExpiry', 'Expiry', 'date'],
+  ['bumpPct', 'Bump %', 'number', '0.5'],
+  ['renewalProb', 'Renew %', 'number', '5'],
+  ['marketRent', 'Mkt $/SF', 'number', '0.25'],
+  ['renewalTerm', 'Term Yrs', 'number', '1'],
+  ['downtimeMonths', 'Down Mo', 'number', '1'],
+  ['freeRentMonths', 'Free Mo', 'number', '1'],
+  ['tiPerSf', 'TI $/SF', 'number', '1'],
+  ['lcPct', 'LC %', 'number', '0.5'],
+];
+
+export default function RentRollEditor({ rentRoll, onChange }) {
+  const totalSf = rentRoll.reduce((sum, t) => sum + t.sf, 0);
+  const totalRent = rentRoll.reduce((sum, t) => sum + t.sf * t.baseRent, 0);
+
+  const updateTenant = (idx, key, val) => onChange(rentRoll.map((t, i) => (
+    i === idx ? { ...t, [key]: val } : t
+  )));
+  const addTenant = () => onChange([...rentRoll, { ...DEFAULT_TENANT, suite: String((rentRoll.length + 1) * 100) }]);
+  const removeTenant = (idx) => onChange(rentRoll.filter((_, i) => i !== idx));
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="Rent Roll" icon={Users} />
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-500 uppercase tracking-wide">
+              {COLUMNS.map(([key, header]) => (
+                <th key={key} className="px-1 pb-2 text-left font-medium">{header}</th>
+              ))}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rentRoll.map((t, idx) => (
+              <tr key={idx}>
+                {COLUMNS.map(([key, , type, step]) => (
+                  <td key={key} className="px-1 py-1">
+                    {type === 'number' ? (
+                      <NumberCell
+                        value={t[key]}
+                        step={step}
+                        range={LIST_INPUT_RANGES.rentRoll[key]}
+                        onChange={val => updateTenant(idx, key, val)}
+                        className="block w-full px-2 min-w-[64px]"
+                      />
+                    ) : (
+                      <input
+                        type={type}
+                        value={t[key]}
+                        onChange={(e) => updateTenant(idx, key, e.target.value)}
+                        className="block w-full border border-gray-300 rounded-md py-1 px-2 bg-gray-50 focus:ring-blue-500 focus:border-blue-500 min-w-[80px]"
+                      />
+                    )}
+                  </td>
+                ))}
+                <td className="px-1 py-1">
+                  <button onClick={() => removeTenant(idx)} className="text-gray-400 hover:text-red-500" title="Remove tenant">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex justify-between items-center mt-3 text-xs text-gray-500">
+        <button onClick={addTenant} className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-medium">
+          <Plus className="w-4 h-4" /> Add Tenant
+        </button>
+        <span>
+          {totalSf.toLocaleString('en-US')} SF &middot; {formatCurrency(totalRent)} in-place rent
+        </span>
+      </div>
+    </Card>
+  );
+}
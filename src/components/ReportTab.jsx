@@ -0,0 +1,269 @@
+import { Printer, NotebookPen } from 'lucide-react';
+import { Card, SectionHeader } from './ui.jsx';
+import ChartsPanel from './ChartsPanel.jsx';
+import { INPUT_LABELS } from '../engine/inputs.js';
+import { perSf, perUnit, hasPropertySize, describeProperty } from '../engine/property.js';
+import { SENSITIVITY_METRICS, buildRange, defaultRange, runSensitivity } from '../engine/sensitivity.js';
+import { formatCurrency, formatPercent, formatIRR, formatMetric, formatInputValue, formatPerSf, formatPerUnit } from '../format.js';
+
+// Pro Forma columns per printed table; longer holds continue on the next page
+const YEARS_PER_PAGE = 10;
+
+const NARRATIVE_FIELDS = [
+  ['description', 'Property Description', 'Location, asset type, size, tenancy, condition...'],
+  ['thesis', 'Investment Thesis', 'Why this deal, why now, how the business plan creates value...'],
+  ['risks', 'Key Risks & Mitigants', 'Leasing, capital markets, execution, exit...'],
+];
+
+const PRO_FORMA_ROWS = [
+  ['Gross Potential Income', 'gpi', formatCurrency],
+  ['Vacancy Loss', 'vacancy', v => `(${formatCurrency(v)})`],
+  ['Expense Reimbursements', 'reimbursements', formatCurrency],
+  ['Effective Gross Income', 'egi', formatCurrency, true],
+  ['Operating Expenses', 'expenses', v => `(${formatCurrency(v)})`],
+  ['Net Operating Income', 'noi', formatCurrency, true],
+  ['Leasing Costs (TI/LC)', 'leasingCosts', v => `(${formatCurrency(v)})`],
+  ['Replacement Reserves', 'reserves', v => `(${formatCurrency(v)})`],
+  ['Renovation Capex', 'capex', v => (v > 0 ? `(${formatCurrency(v)})` : '-')],
+  ['Debt Service', 'debtService', v => `(${formatCurrency(v)})`],
+  ['Balloon Payment', 'balloon', v => (v > 0 ? `(${formatCurrency(v)})` : '-')],
+  ['Future Funding Draws', 'futureFunding', v => (v > 0 ? formatCurrency(v) : '-')],
+  ['Refinance Proceeds', 'refiProceeds', v => (v > 0 ? formatCurrency(v) : '-')],
+  ['Loan Payoff', 'refiPayoff', v => (v > 0 ? `(${formatCurrency(v)})` : '-')],
+  ['Prepayment Penalty', 'prepaymentPenalty', v => (v > 0 ? `(${formatCurrency(v)})` : '-')],
+  ['Refinance Costs', 'refiCosts', v => (v > 0 ? `(${formatCurrency(v)})` : '-')],
+  ['Cash Flow After Debt', 'cfLevered', formatCurrency, true],
+  ['DSCR', 'dscr', v => `${v.toFixed(2)}x`],
+  ['Debt Yield', 'debtYield', formatPercent],
+];
+// Printed only when the deal refinances
+const REFI_ROWS = ['refiProceeds', 'refiPayoff', 'prepaymentPenalty', 'refiCosts'];
+
+// The grids printed in the memo: the two questions IC always asks
+const REPORT_SENSITIVITIES = [
+  { metricKey: 'leveredIRR', rowKey: 'exitCap', colKey: 'purchasePrice' },
+  { metricKey: 'equityMultiple', rowKey: 'exitCap', colKey: 'vacancyRate' },
+];
+
+const MODE_ASSUMPTIONS = [
+  ['Income Basis', 'incomeMode'],
+  ['Growth', 'growthType'],
+  ['Expense Growth', 'expenseGrowthType'],
+  ['Vacancy', 'vacancyType'],
+  ['Loan Sizing', 'loanSizing'],
+  ['Rate Type', 'rateType'],
+  ['Expense Recovery', 'recoveryType'],
+  ['Closing Date', 'closingDate'],
+];
+
+// '$143.78/SF · $575,108/unit', for whichever sizes the profile has
+const perSize = (amount, property) => [
+  property.rentableSf > 0 && `${formatPerSf(perSf(amount, property))}/SF`,
+  property.units > 0 && `${formatPerUnit(perUnit(amount, property))}/unit`,
+].filter(Boolean).join(' · ');
+
+const ReportSection = ({ title, children, className = '' }) => (
+  <section className={`break-inside-avoid ${className}`}>
+    <h2 className="text-sm font-bold text-gray-900 uppercase tracking-wide border-b-2 border-gray-800 pb-1 mb-3">{title}</h2>
+    {children}
+  </section>
+);
+
+const KeyValueTable = ({ rows }) => (
+  <table className="w-full text-sm">
+    <tbody className="divide-y divide-gray-100">
+      {rows.map(([label, value, bold]) => (
+        <tr key={label} className={bold ? 'font-semibold' : ''}>
+          <td className="py-1 text-gray-600">{label}</td>
+          <td className="py-1 text-right">{value}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const rangeFor = (key, inputs) => {
+  const { from, to, step } = defaultRange(key, inputs[key]);
+  return buildRange(from, to, step);
+};
+
+const SensitivityGrid = ({ inputs, metricKey, rowKey, colKey }) => {
+  const rowValues = rangeFor(rowKey, inputs);
+  const colValues = rangeFor(colKey, inputs);
+  const grid = runSensitivity(inputs, rowKey, rowValues, colKey, colValues, metricKey);
+  const isBase = (key, val) => Math.abs(val - inputs[key]) < 1e-9;
+  return (
+    <div className="break-inside-avoid">
+      <h3 className="text-xs font-bold text-gray-600 mb-1">
+        {SENSITIVITY_METRICS[metricKey].label}: {INPUT_LABELS[rowKey]} (rows) vs. {INPUT_LABELS[colKey]} (columns)
+      </h3>
+      <table className="w-full text-xs text-right border border-gray-200">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="px-2 py-1" />
+            {colValues.map(v => <th key={v} className={`px-2 py-1 ${isBase(colKey, v) ? 'text-blue-700' : ''}`}>{formatInputValue(v)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rowValues.map((rv, r) => (
+            <tr key={rv} className="border-t border-gray-100">
+              <th className={`px-2 py-1 bg-gray-50 ${isBase(rowKey, rv) ? 'text-blue-700' : ''}`}>{formatInputValue(rv)}</th>
+              {colValues.map((cv, c) => (
+                <td key={cv} className={`px-2 py-1 ${isBase(rowKey, rv) && isBase(colKey, cv) ? 'font-bold bg-blue-50' : ''}`}>{formatMetric(metricKey, grid[r][c])}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default function ReportTab({ deal, inputs, calculated, onNarrativeChange }) {
+  const { narrative } = deal;
+  const hold = calculated.schedule.slice(0, inputs.holdPeriod);
+  const pages = [];
+  for (let i = 0; i < hold.length; i += YEARS_PER_PAGE) pages.push(hold.slice(i, i + YEARS_PER_PAGE));
+
+  const { sources, uses } = calculated.sourcesAndUses;
+  const total = (items) => items.reduce((sum, item) => sum + item.amount, 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Narrative editor: screen only */}
+      <Card className="p-4 print:hidden">
+        <SectionHeader title="Memo Narrative" icon={NotebookPen} />
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {NARRATIVE_FIELDS.map(([key, label, placeholder]) => (
+            <div key={key}>
+              <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">{label}</label>
+              <textarea
+                value={narrative[key]}
+                onChange={(e) => onNarrativeChange({ ...narrative, [key]: e.target.value })}
+                placeholder={placeholder}
+                rows={6}
+                className="block w-full text-sm border border-gray-300 rounded-md py-2 px-3 bg-gray-50"
+              />
+            </div>
+          ))}
+        </div>
+        <div className="flex items-center justify-between mt-4">
+          <p className="text-xs text-gray-400">Saved with the deal. The report below prints on its own; use your browser&apos;s &quot;Save as PDF&quot; for a file.</p>
+          <button onClick={() => window.print()} className="flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700">
+            <Printer className="w-4 h-4" /> Print / Save as PDF
+          </button>
+        </div>
+      </Card>
+
+      {/* The report itself */}
+      <div className="bg-white border border-gray-200 rounded-lg p-8 space-y-8 print:border-0 print:p-0 print:space-y-6">
+        <header className="border-b-4 border-blue-700 pb-4">
+          <div className="text-xs uppercase tracking-widest text-gray-500">Investment Memo</div>
+          <h1 className="text-3xl font-bold text-gray-900">{deal.name || 'Untitled Deal'}</h1>
+          {describeProperty(inputs.property) && <div className="text-sm font-medium text-gray-700 mt-1">{describeProperty(inputs.property)}</div>}
+          <div className="text-sm text-gray-600 mt-1">
+            {`${formatCurrency(inputs.purchasePrice)} acquisition closing ${inputs.closingDate} · ${inputs.holdPeriod}-year hold · exit ${calculated.exitDate}`}
+          </div>
+        </header>
+
+        <div className="grid grid-cols-4 gap-4 text-center">
+          {[
+            ['Levered IRR', formatIRR(calculated.leveredIRR)],
+            ['Equity Multiple', `${calculated.equityMultiple.toFixed(2)}x`],
+            ['Avg Cash-on-Cash', formatPercent(calculated.avgCoC)],
+            ['Total Equity', formatCurrency(calculated.totalEquity)],
+          ].map(([label, value]) => (
+            <div key={label} className="border border-gray-200 rounded-md py-3">
+              <div className="text-xs uppercase text-gray-500">{label}</div>
+              <div className="text-xl font-bold text-gray-900">{value}</div>
+            </div>
+          ))}
+        </div>
+
+        {NARRATIVE_FIELDS.some(([key]) => narrative[key].trim()) && (
+          <div className="space-y-6">
+            {NARRATIVE_FIELDS.filter(([key]) => narrative[key].trim()).map(([key, label]) => (
+              <ReportSection key={key} title={label}>
+                <p className="text-sm text-gray-800 whitespace-pre-line">{narrative[key]}</p>
+              </ReportSection>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-8">
+          <ReportSection title="Sources & Uses">
+            <KeyValueTable rows={[
+              ...sources.map(item => [item.label, formatCurrency(item.amount)]),
+              ['Total Sources', formatCurrency(total(sources)), true],
+              ...uses.map(item => [item.label, formatCurrency(item.amount)]),
+              ['Total Uses', formatCurrency(total(uses)), true],
+            ]} />
+          </ReportSection>
+          <ReportSection title="Returns Summary">
+            <KeyValueTable rows={[
+              ['Levered IRR / XIRR', `${formatIRR(calculated.leveredIRR)} / ${formatIRR(calculated.leveredXIRR)}`],
+              ['Levered MIRR', formatIRR(calculated.leveredMIRR)],
+              ['After-Tax IRR / Multiple', `${formatIRR(calculated.tax.irr)} / ${calculated.tax.equityMultiple.toFixed(2)}x`],
+              ['Unlevered IRR / Multiple', `${formatIRR(calculated.unleveredIRR)} / ${calculated.unleveredMultiple.toFixed(2)}x`],
+              [`NPV @ ${inputs.discountRate}% (Levered)`, formatCurrency(calculated.leveredNPV)],
+              ['Going-In Cap / Yield on Cost', `${formatPercent(calculated.impliedCapRate)} / ${formatPercent(calculated.yieldOnCost)}`],
+              ['Exit Price', formatCurrency(calculated.salePrice)],
+              ['Net Sale Proceeds', formatCurrency(calculated.netSaleProceeds)],
+              ...(hasPropertySize(inputs.property) ? [
+                ['Going-In Basis', perSize(inputs.purchasePrice, inputs.property)],
+                ['All-In Basis', perSize(calculated.allInBasis, inputs.property)],
+                ['Exit Basis', perSize(calculated.salePrice, inputs.property)],
+                ['Year 1 NOI', perSize(calculated.year1NOI, inputs.property)],
+              ] : []),
+              ['Min DSCR', calculated.lowestDscr === null ? 'No debt' : `${calculated.lowestDscr.toFixed(2)}x`],
+              ['LP / GP IRR', `${formatIRR(calculated.waterfall.lp.irr)} / ${formatIRR(calculated.waterfall.gp.irr)}`],
+              ['Payback', calculated.paybackYear === null ? 'Not within hold' : `Year ${calculated.paybackYear}`],
+            ]} />
+          </ReportSection>
+        </div>
+
+        <ReportSection title="Assumptions">
+          <div className="grid grid-cols-2 gap-x-8">
+            <KeyValueTable rows={MODE_ASSUMPTIONS.map(([label, key]) => [label, inputs[key]])} />
+            <KeyValueTable rows={Object.entries(INPUT_LABELS).map(([key, label]) => [label, formatInputValue(inputs[key])])} />
+          </div>
+        </ReportSection>
+
+        {pages.map((years, p) => (
+          <ReportSection
+            key={years[0].year}
+            title={pages.length > 1 ? `Pro Forma (Years ${years[0].year}-${years[years.length - 1].year})` : 'Pro Forma'}
+            className={p > 0 ? 'break-before-page' : ''}
+          >
+            <table className="w-full text-xs text-right">
+              <thead>
+                <tr className="bg-gray-100 text-gray-600 uppercase">
+                  <th className="px-2 py-1 text-left">Line Item</th>
+                  {years.map(row => <th key={row.year} className="px-2 py-1">{row.label}</th>)}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {PRO_FORMA_ROWS.filter(([, key]) => calculated.refinance || !REFI_ROWS.includes(key)).map(([label, key, format, bold]) => (
+                  <tr key={key} className={bold ? 'font-semibold bg-gray-50' : ''}>
+                    <td className="px-2 py-1 text-left">{label}</td>
+                    {years.map(row => <td key={row.year} className="px-2 py-1">{format(row[key])}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </ReportSection>
+        ))}
+
+        <ReportSection title="Sensitivity" className="break-before-page">
+          <div className="space-y-6">
+            {REPORT_SENSITIVITIES.map(grid => <SensitivityGrid key={grid.metricKey} inputs={inputs} {...grid} />)}
+          </div>
+        </ReportSection>
+
+        <div className="break-before-page">
+          <ChartsPanel inputs={inputs} calculated={calculated} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { PieChart } from 'lucide-react';
+import { Card, SectionHeader, InputField } from './ui.jsx';
+import { inputRange } from '../engine/inputs.js';
+import { formatCurrency, formatPercent, formatIRR } from '../format.js';
+
+const ATTRIBUTION = [
+  { key: 'operations', label: 'Operating Cash Flow', color: 'bg-blue-500' },
+  { key: 'appreciation', label: 'Appreciation (net of costs)', color: 'bg-green-500' },
+  { key: 'loanPaydown', label: 'Loan Paydown', color: 'bg-purple-500' },
+];
+
+const Stat = ({ label, value, sub }) => (
+  <div>
+    <span className="block text-gray-500 text-xs uppercase">{label}</span>
+    <span className="font-semibold text-base">{value}</span>
+    {sub && <span className="block text-xs text-gray-400">{sub}</span>}
+  </div>
+);
+
+export default function ReturnsPanel({ calculated, inputs, onInputChange }) {
+  const { profitAttribution } = calculated;
+  // Bar widths use the positive parts; a negative part (a sale below cost) is listed but not drawn
+  const positiveTotal = ATTRIBUTION.reduce((sum, part) => sum + Math.max(profitAttribution[part.key], 0), 0);
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="Returns Breakdown" icon={PieChart} />
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="grid grid-cols-2 gap-4 text-sm">
+          <Stat label="Unlevered IRR" value={formatIRR(calculated.unleveredIRR)} sub={calculated.unleveredIRRs.length > 1 ? `Multiple IRRs: ${calculated.unleveredIRRs.map(formatPercent).join(', ')}` : 'All-cash, incl. closing costs'} />
+          <Stat label="Unlevered Multiple" value={`${calculated.unleveredMultiple.toFixed(2)}x`} />
+          <Stat label="Yield on Cost" value={formatPercent(calculated.yieldOnCost)} sub="Year 1 NOI / all-in basis" />
+          <Stat label="Payback" value={calculated.paybackYear === null ? 'Not within hold' : `Year ${calculated.paybackYear}`} />
+          <Stat label="Levered NPV" value={formatCurrency(calculated.leveredNPV)} />
+          <Stat label="Unlevered NPV" value={formatCurrency(calculated.unleveredNPV)} />
+          <Stat label="Levered MIRR" value={formatIRR(calculated.leveredMIRR)} />
+          <Stat label="Unlevered MIRR" value={formatIRR(calculated.unleveredMIRR)} />
+          <div className="col-span-2 grid grid-cols-3 gap-2">
+            <InputField label="Discount" value={inputs.discountRate} onChange={v => onInputChange('discountRate', v)} range={inputRange('discountRate')} suffix="%" step="0.25" tooltip="NPV discount rate" />
+            <InputField label="Finance" value={inputs.financeRate} onChange={v => onInputChange('financeRate', v)} range={inputRange('financeRate')} suffix="%" step="0.25" tooltip="MIRR: rate paid to fund negative cash flows" />
+            <InputField label="Reinvest" value={inputs.reinvestRate} onChange={v => onInputChange('reinvestRate', v)} range={inputRange('reinvestRate')} suffix="%" step="0.25" tooltip="MIRR: rate earned on distributions until exit" />
+          </div>
+        </div>
+
+        <div>
+          <span className="block text-gray-500 text-xs uppercase mb-2">Cash-on-Cash by Year</span>
+          <table className="w-full text-sm">
+            <tbody className="divide-y divide-gray-100">
+              {calculated.cocByYear.map((coc, i) => (
+                <tr key={i}>
+                  <td className="py-1 text-gray-600">Year {i + 1}</td>
+                  <td className="py-1 text-right">{formatCurrency(calculated.schedule[i].cfLevered)}</td>
+                  <td className="py-1 text-right font-medium">{formatPercent(coc)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div>
+          <span className="block text-gray-500 text-xs uppercase mb-2">Profit Attribution</span>
+          <div className="flex h-4 rounded overflow-hidden bg-gray-100 mb-3">
+            {positiveTotal > 0 && ATTRIBUTION.map(part => (
+              <div
+                key={part.key}
+                className={part.color}
+                style={{ width: `${(Math.max(profitAttribution[part.key], 0) / positiveTotal) * 100}%` }}
+                title={part.label}
+              />
+            ))}
+          </div>
+          <table className="w-full text-sm">
+            <tbody>
+              {ATTRIBUTION.map(part => (
+                <tr key={part.key}>
+                  <td className="py-1 text-gray-600"><span className={`inline-block w-2 h-2 rounded-full mr-2 ${part.color}`} />{part.label}</td>
+                  <td className={`py-1 text-right ${profitAttribution[part.key] < 0 ? 'text-red-600' : ''}`}>{formatCurrency(profitAttribution[part.key])}</td>
+                  <td className="py-1 text-right text-gray-500 w-16">
+                    {profitAttribution.total !== 0 ? formatPercent(profitAttribution[part.key] / profitAttribution.total) : ''}
+                  </td>
+                </tr>
+              ))}
+              <tr className="border-t font-semibold">
+                <td className="py-1">Total Profit</td>
+                <td className="py-1 text-right">{formatCurrency(profitAttribution.total)}</td>
+                <td />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,145 @@
+import { useState, useMemo } from 'react';
+import { Grid3x3, Play } from 'lucide-react';
+import { Card, SectionHeader, InputField } from './ui.jsx';
+import { INPUT_LABELS, NUMERIC_INPUT_KEYS } from '../engine/inputs.js';
+import { SENSITIVITY_METRICS, buildRange, defaultRange, runSensitivity } from '../engine/sensitivity.js';
+import { formatMetric, formatInputValue } from '../format.js';
+
+// Red (worst) -> yellow -> green (best) across the grid's own range
+const heatColor = (val, min, max) => {
+  if (val === null || !Number.isFinite(val)) return undefined;
+  const t = max > min ? (val - min) / (max - min) : 0.5;
+  return `hsl(${Math.round(t * 120)}, 70%, 85%)`;
+};
+
+const AxisControls = ({ title, axis, onChange, inputs }) => (
+  <div>
+    <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">{title}</label>
+    <select
+      value={axis.key}
+      onChange={(e) => onChange({ key: e.target.value, ...defaultRange(e.target.value, inputs[e.target.value]) })}
+      className="block w-full sm:text-sm border border-gray-300 rounded-md py-2 px-3 bg-gray-50 mb-3"
+    >
+      {NUMERIC_INPUT_KEYS.map(key => (
+        <option key={key} value={key}>{INPUT_LABELS[key]}</option>
+      ))}
+    </select>
+    <div className="grid grid-cols-3 gap-2">
+      <InputField label="From" value={axis.from} onChange={v => onChange({ ...axis, from: parseFloat(v) || 0 })} step="any" />
+      <InputField label="To" value={axis.to} onChange={v => onChange({ ...axis, to: parseFloat(v) || 0 })} step="any" />
+      <InputField label="Step" value={axis.step} onChange={v => onChange({ ...axis, step: parseFloat(v) || 0 })} step="any" />
+    </div>
+  </div>
+);
+
+export default function SensitivityTab({ inputs }) {
+  const [rowAxis, setRowAxis] = useState(() => ({ key: 'exitCap', ...defaultRange('exitCap', inputs.exitCap) }));
+  const [colAxis, setColAxis] = useState(() => ({ key: 'purchasePrice', ...defaultRange('purchasePrice', inputs.purchasePrice) }));
+  const [metricKey, setMetricKey] = useState('leveredIRR');
+
+  const rowValues = useMemo(() => buildRange(rowAxis.from, rowAxis.to, rowAxis.step), [rowAxis]);
+  const colValues = useMemo(() => buildRange(colAxis.from, colAxis.to, colAxis.step), [colAxis]);
+  // A full grid is up to 625 underwrites, so it runs on demand rather than on
+  // every keystroke; the small default grid runs when the tab opens
+  const gridFor = () => ({
+    inputs,
+    rowKey: rowAxis.key,
+    colKey: colAxis.key,
+    rowValues,
+    colValues,
+    metricKey,
+    grid: runSensitivity(inputs, rowAxis.key, rowValues, colAxis.key, colValues, metricKey),
+  });
+  const [run, setRun] = useState(gridFor);
+  const [running, setRunning] = useState(false);
+  const runGrid = () => {
+    setRunning(true);
+    // Let the button show its running state before the grid blocks the thread
+    setTimeout(() => {
+      setRun(gridFor());
+      setRunning(false);
+    }, 0);
+  };
+  const stale = run.inputs !== inputs || run.rowKey !== rowAxis.key || run.colKey !== colAxis.key
+    || run.rowValues.join() !== rowValues.join() || run.colValues.join() !== colValues.join() || run.metricKey !== metricKey;
+
+  const { grid } = run;
+  const finite = grid.flat().filter(Number.isFinite);
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const isBase = (key, val) => Math.abs(val - run.inputs[key]) < 1e-9;
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-4">
+        <SectionHeader title="Sensitivity Setup" icon={Grid3x3} />
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <AxisControls title="Rows" axis={rowAxis} onChange={setRowAxis} inputs={inputs} />
+          <AxisControls title="Columns" axis={colAxis} onChange={setColAxis} inputs={inputs} />
+          <div>
+            <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Output Metric</label>
+            <select
+              value={metricKey}
+              onChange={(e) => setMetricKey(e.target.value)}
+              className="block w-full sm:text-sm border border-gray-300 rounded-md py-2 px-3 bg-gray-50"
+            >
+              {Object.entries(SENSITIVITY_METRICS).map(([key, metric]) => (
+                <option key={key} value={key}>{metric.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-400 mt-3">Each cell re-runs the full model with the row and column inputs overridden. The base case is outlined. In Cap Rate mode, repricing the deal holds NOI constant.</p>
+            <button
+              onClick={runGrid}
+              disabled={running}
+              className="mt-3 w-full flex items-center justify-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+            >
+              <Play className="w-4 h-4" />
+              {running ? 'Running…' : `Run Grid (${rowValues.length * colValues.length} runs)`}
+            </button>
+          </div>
+        </div>
+      </Card>
+
+      {stale && (
+        <div className="text-xs text-orange-700 bg-orange-50 border border-orange-200 rounded-md p-2">
+          Inputs or grid settings have changed since this run. Run the grid again to refresh it.
+        </div>
+      )}
+
+      <Card className="overflow-hidden">
+        <div className="p-4 border-b bg-gray-50 flex justify-between items-center">
+          <h3 className="font-bold text-gray-800">{SENSITIVITY_METRICS[run.metricKey].label}</h3>
+          <span className="text-xs text-gray-500">{INPUT_LABELS[run.rowKey]} (rows) vs. {INPUT_LABELS[run.colKey]} (columns)</span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-right">
+            <thead>
+              <tr className="bg-gray-100 text-gray-600 text-xs uppercase">
+                <th className="px-4 py-3 text-left sticky left-0 bg-gray-100 z-10">{INPUT_LABELS[run.rowKey]}</th>
+                {run.colValues.map(colValue => (
+                  <th key={colValue} className={`px-2 py-3 ${isBase(run.colKey, colValue) ? 'text-blue-700' : ''}`}>{formatInputValue(colValue)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {run.rowValues.map((rowValue, r) => (
+                <tr key={rowValue}>
+                  <td className={`px-4 py-2 text-left font-medium sticky left-0 bg-white z-10 ${isBase(run.rowKey, rowValue) ? 'text-blue-700' : 'text-gray-700'}`}>{formatInputValue(rowValue)}</td>
+                  {run.colValues.map((colValue, c) => (
+                    <td
+                      key={colValue}
+                      style={{ backgroundColor: heatColor(grid[r][c], min, max) }}
+                      className={`px-2 py-2 ${isBase(run.rowKey, rowValue) && isBase(run.colKey, colValue) ? 'font-bold outline outline-2 outline-blue-600 -outline-offset-2' : ''}`}
+                    >
+                      {formatMetric(run.metricKey, grid[r][c])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import { useState, useRef, useEffect } from 'react';
+import { Dices, Play, AlertTriangle } from 'lucide-react';
+import { Card, SectionHeader, InputField } from './ui.jsx';
+import { DISTRIBUTIONS, SIM_VARIABLES, defaultSimVariables } from '../engine/simulation.js';
+import { formatPercent, formatIRR } from '../format.js';
+
+// Which parameters each distribution needs
+const DIST_PARAMS = {
+  Normal: [['mean', 'Mean'], ['sd', 'Std Dev']],
+  Triangular: [['min', 'Min'], ['mode', 'Mode'], ['max', 'Max']],
+  Uniform: [['min', 'Min'], ['max', 'Max']],
+};
+
+const Histogram = ({ title, summary, format }) => {
+  const peak = Math.max(...summary.histogram.map(bin => bin.count), 1);
+  return (
+    <Card className="p-4">
+      <h4 className="text-xs font-bold text-gray-500 uppercase mb-3">{title}</h4>
+      <div className="flex items-end gap-px h-40">
+        {summary.histogram.map((bin, i) => (
+          <div
+            key={i}
+            title={`${format(bin.from)} – ${format(bin.to)}: ${bin.count}`}
+            className="flex-1 bg-blue-500 hover:bg-blue-700 rounded-t-sm"
+            style={{ height: `${(bin.count / peak) * 100}%` }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-400 mt-1">
+        <span>{summary.histogram.length > 0 ? format(summary.histogram[0].from) : ''}</span>
+        <span>{summary.histogram.length > 0 ? format(summary.histogram[summary.histogram.length - 1].to) : ''}</span>
+      </div>
+    </Card>
+  );
+};
+
+export default function SimulationTab({ inputs }) {
+  const [variables, setVariables] = useState(() => defaultSimVariables(inputs));
+  const [correlations, setCorrelations] = useState({});
+  const [settings, setSettings] = useState({ trials: 5000, seed: 1, dscrThreshold: 1.2 });
+  const [progress, setProgress] = useState(null);
+  const [run, setRun] = useState(null); // { inputs, result } or { error }
+  const workerRef = useRef(null);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  // The index shift only means something for floating-rate debt
+  const activeVariables = { ...variables, indexShift: { ...variables.indexShift, enabled: variables.indexShift.enabled && inputs.rateType === 'Floating' } };
+  const enabledKeys = Object.keys(SIM_VARIABLES).filter(key => activeVariables[key].enabled);
+  const pairs = enabledKeys.flatMap((a, i) => enabledKeys.slice(i + 1).map(b => `${a}:${b}`));
+
+  const updateVariable = (key, patch) => setVariables(prev => ({ ...prev, [key]: { ...prev[key], ...patch } }));
+
+  const runSimulation = () => {
+    workerRef.current?.terminate();
+    const worker = new Worker(new URL('../engine/simulation.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    const ranInputs = inputs;
+    setProgress(0);
+
+    const finish = (nextRun) => {
+      setRun(nextRun);
+      setProgress(null);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.onmessage = (e) => {
+      if (e.data.type === 'progress') {
+        setProgress(e.data.done);
+        return;
+      }
+      finish(e.data.type === 'result' ? { inputs: ranInputs, result: e.data.result } : { error: e.data.message });
+    };
+    // The worker failed to load or threw outside its own try, or a message could not be read
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish({ error: `Simulation worker failed: ${e.message || 'could not start'}` });
+    };
+    worker.onmessageerror = () => finish({ error: 'Simulation worker sent a result that could not be read' });
+    worker.postMessage({ inputs, variables: activeVariables, correlations, ...settings });
+  };
+
+  const result = run?.result;
+
+  return (
+    <div className="space-y-6">
+      <Card className="p-4">
+        <SectionHeader title="Risk Variables" icon={Dices} />
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 uppercase tracking-wide text-left">
+                <th className="px-1 pb-2 font-medium">Variable</th>
+                <th className="px-1 pb-2 font-medium">Distribution</th>
+                <th className="px-1 pb-2 font-medium">Parameters</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(SIM_VARIABLES).map(([key, def]) => {
+                const cfg = variables[key];
+                const disabled = key === 'indexShift' && inputs.rateType !== 'Floating';
+                return (
+                  <tr key={key} className={cfg.enabled && !disabled ? '' : 'text-gray-400'}>
+                    <td className="px-1 py-1 whitespace-nowrap">
+                      <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={cfg.enabled && !disabled} disabled={disabled} onChange={(e) => updateVariable(key, { enabled: e.target.checked })} />
+                        {def.label}{disabled ? ' (floating debt only)' : ''}
+                      </label>
+                    </td>
+                    <td className="px-1 py-1">
+                      <select
+                        value={cfg.dist}
+                        onChange={(e) => updateVariable(key, { dist: e.target.value })}
+                        className="border border-gray-300 rounded-md py-1 px-2 bg-gray-50"
+                      >
+                        {DISTRIBUTIONS.map(dist => <option key={dist} value={dist}>{dist}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-1 py-1">
+                      <div className="flex gap-2">
+                        {DIST_PARAMS[cfg.dist].map(([param, label]) => (
+                          <label key={param} className="flex items-center gap-1">
+                            <span className="text-gray-500">{label}</span>
+                            <input
+                              type="number"
+                              step="0.1"
+                              value={cfg[param]}
+                              onChange={(e) => updateVariable(key, { [param]: parseFloat(e.target.value) || 0 })}
+                              className="w-20 border border-gray-300 rounded-md py-1 px-2 bg-gray-50"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {pairs.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-100">
+            <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-2">Correlations (-1 to 1)</label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+              {pairs.map(pair => {
+                const [a, b] = pair.split(':');
+                return (
+                  <label key={pair} className="flex items-center justify-between gap-2">
+                    <span className="text-gray-600">{SIM_VARIABLES[a].label.split(' (')[0]} / {SIM_VARIABLES[b].label.split(' (')[0]}</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="-1"
+                      max="1"
+                      value={correlations[pair] ?? 0}
+                      onChange={(e) => setCorrelations(prev => ({ ...prev, [pair]: parseFloat(e.target.value) || 0 }))}
+                      className="w-16 border border-gray-300 rounded-md py-1 px-2 bg-gray-50"
+                    />
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        <div className="mt-4 pt-4 border-t border-gray-100 grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+          <InputField label="Trials" value={settings.trials} onChange={v => setSettings(p => ({ ...p, trials: Math.max(parseInt(v, 10) || 0, 1) }))} step="1000" />
+          <InputField label="Random Seed" value={settings.seed} onChange={v => setSettings(p => ({ ...p, seed: parseInt(v, 10) || 0 }))} step="1" />
+          <InputField label="DSCR Threshold (x)" value={settings.dscrThreshold} onChange={v => setSettings(p => ({ ...p, dscrThreshold: parseFloat(v) || 0 }))} step="0.05" />
+          <button
+            onClick={runSimulation}
+            disabled={progress !== null}
+            className="mb-3 flex items-center justify-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+          >
+            <Play className="w-4 h-4" />
+            {progress !== null ? `Running… ${Math.round((progress / settings.trials) * 100)}%` : 'Run Simulation'}
+          </button>
+        </div>
+      </Card>
+
+      {run?.error && (
+        <div className="flex items-center gap-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-3">
+          <AlertTriangle className="w-4 h-4" /> {run.error}
+        </div>
+      )}
+
+      {result && (
+        <>
+          {run.inputs !== inputs && (
+            <div className="text-xs text-orange-700 bg-orange-50 border border-orange-200 rounded-md p-2">
+              Inputs have changed since this run. Run the simulation again to refresh the results.
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Card className="p-4 border-l-4 border-l-green-500">
+              <div className="text-gray-500 text-xs uppercase font-bold">Median Levered IRR</div>
+              <div className="text-xl font-bold text-green-700 mt-1">{formatIRR(result.irr.percentiles.find(p => p.p === 0.5)?.value ?? null)}</div>
+            </Card>
+            <Card className="p-4 border-l-4 border-l-purple-500">
+              <div className="text-gray-500 text-xs uppercase font-bold">Mean Equity Multiple</div>
+              <div className="text-xl font-bold text-purple-700 mt-1">{result.equityMultiple.mean.toFixed(2)}x</div>
+            </Card>
+            <Card className="p-4 border-l-4 border-l-red-500">
+              <div className="text-gray-500 text-xs uppercase font-bold">P(Loss of Equity)</div>
+              <div className="text-xl font-bold text-red-700 mt-1">{formatPercent(result.probEquityLoss)}</div>
+            </Card>
+            <Card className="p-4 border-l-4 border-l-orange-500">
+              <div className="text-gray-500 text-xs uppercase font-bold">P(DSCR &lt; {settings.dscrThreshold.toFixed(2)}x Any Year)</div>
+              <div className="text-xl font-bold text-orange-700 mt-1">{formatPercent(result.probDscrBreach)}</div>
+            </Card>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Histogram title="Levered IRR Distribution" summary={result.irr} format={formatIRR} />
+            <Histogram title="Equity Multiple Distribution" summary={result.equityMultiple} format={v => `${v.toFixed(2)}x`} />
+          </div>
+
+          <Card className="overflow-hidden">
+            <table className="w-full text-sm text-right">
+              <thead>
+                <tr className="bg-gray-100 text-gray-600 text-xs uppercase">
+                  <th className="px-4 py-3 text-left">Percentile</th>
+                  {result.irr.percentiles.map(({ p }) => <th key={p} className="px-2 py-3">P{Math.round(p * 100)}</th>)}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                <tr>
+                  <td className="px-4 py-2 text-left font-medium">Levered IRR</td>
+                  {result.irr.percentiles.map(({ p, value }) => <td key={p} className="px-2 py-2">{formatIRR(value)}</td>)}
+                </tr>
+                <tr>
+                  <td className="px-4 py-2 text-left font-medium">Equity Multiple</td>
+                  {result.equityMultiple.percentiles.map(({ p, value }) => <td key={p} className="px-2 py-2">{value.toFixed(2)}x</td>)}
+                </tr>
+              </tbody>
+            </table>
+            <div className="px-4 py-2 text-xs text-gray-400 border-t">
+              {result.trials.toLocaleString('en-US')} trials{result.unsolvedIrr > 0 ? ` · IRR did not solve in ${result.unsolvedIrr} trials (excluded from the IRR distribution)` : ''}
+            </div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { Landmark } from 'lucide-react';
+import { Card, SectionHeader, InputField, Toggle } from './ui.jsx';
+import { RECOVERY_PERIODS } from '../engine/tax.js';
+import { inputRange } from '../engine/inputs.js';
+import { formatCurrency, formatIRR } from '../format.js';
+
+// [label, byYear key, shown as a deduction]
+const ROWS = [
+  ['Net Operating Income', 'noi'],
+  ['Leasing Costs (TI/LC)', 'leasingCosts', true],
+  ['Replacement Reserves', 'reserves', true],
+  ['Interest', 'interest', true],
+  ['Prepayment Penalty', 'prepaymentPenalty', true],
+  ['Depreciation', 'depreciation', true],
+  ['Loan Cost Amortization', 'loanCostAmortization', true],
+  ['Taxable Income', 'taxableIncome'],
+  ['Income Tax', 'tax', true],
+  ['Pre-Tax Cash Flow', 'cfLevered'],
+  ['After-Tax Cash Flow', 'cfAfterTax'],
+];
+const BOLD_ROWS = ['taxableIncome', 'cfAfterTax'];
+
+const signed = (val, deduction) => (deduction ? `(${formatCurrency(val)})` : formatCurrency(val));
+
+export default function TaxPanel({ calculated, inputs, onInputChange }) {
+  const { tax } = calculated;
+  const { sale } = tax;
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="After-Tax Analysis" icon={Landmark} />
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div>
+          <InputField label="Land Allocation" value={inputs.landPct} onChange={v => onInputChange('landPct', v)} range={inputRange('landPct')} suffix="%" step="1" tooltip="Share of price and closing costs that is land and can't be depreciated" />
+          <div className="mb-3">
+            <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">Depreciation Period</label>
+            <Toggle
+              options={RECOVERY_PERIODS.map(years => `${years} yrs`)}
+              value={`${inputs.depreciationYears} yrs`}
+              onChange={v => onInputChange('depreciationYears', parseFloat(v))}
+            />
+          </div>
+          <InputField label="Ordinary Tax Rate" value={inputs.ordinaryTaxRate} onChange={v => onInputChange('ordinaryTaxRate', v)} range={inputRange('ordinaryTaxRate')} suffix="%" step="0.5" />
+          <div className="grid grid-cols-2 gap-2">
+            <InputField label="Recapture" value={inputs.recaptureRate} onChange={v => onInputChange('recaptureRate', v)} range={inputRange('recaptureRate')} suffix="%" step="0.5" tooltip="Rate on gain up to the depreciation taken" />
+            <InputField label="Capital Gains" value={inputs.capitalGainsRate} onChange={v => onInputChange('capitalGainsRate', v)} range={inputRange('capitalGainsRate')} suffix="%" step="0.5" />
+          </div>
+          <div className="grid grid-cols-2 gap-4 text-sm mt-2">
+            <div>
+              <span className="block text-gray-500 text-xs uppercase">After-Tax IRR</span>
+              <span className="font-semibold text-base">{formatIRR(tax.irr)}</span>
+              <span className="block text-xs text-gray-400">Pre-tax {formatIRR(calculated.leveredIRR)}</span>
+            </div>
+            <div>
+              <span className="block text-gray-500 text-xs uppercase">After-Tax Multiple</span>
+              <span className="font-semibold text-base">{tax.equityMultiple.toFixed(2)}x</span>
+              <span className="block text-xs text-gray-400">Pre-tax {calculated.equityMultiple.toFixed(2)}x</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 overflow-x-auto">
+          <table className="w-full text-xs text-right">
+            <thead>
+              <tr className="bg-gray-50 text-gray-500 uppercase">
+                <th className="px-2 py-1 text-left">Line Item</th>
+                {tax.byYear.map(row => <th key={row.year} className="px-2 py-1">Year {row.year}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {ROWS.filter(([, key]) => key !== 'prepaymentPenalty' || calculated.refinance).map(([label, key, deduction]) => (
+                <tr key={key} className={BOLD_ROWS.includes(key) ? 'font-semibold bg-gray-50' : ''}>
+                  <td className="px-2 py-1 text-left whitespace-nowrap">{label}</td>
+                  {tax.byYear.map(row => (
+                    <td key={row.year} className={`px-2 py-1 ${row[key] < 0 ? 'text-red-600' : ''}`}>{signed(row[key], deduction && row[key] !== 0)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-2">
+            Straight-line over {inputs.depreciationYears} years on {formatCurrency(tax.depreciableBasis)} of improvements ({formatCurrency(tax.annualDepreciation)}/yr).
+            Losses are assumed to offset other income, so a negative tax is a benefit.
+          </p>
+        </div>
+
+        <div>
+          <span className="block text-gray-500 text-xs uppercase mb-2">Tax on Sale (Year {inputs.holdPeriod})</span>
+          <table className="w-full text-sm">
+            <tbody className="divide-y divide-gray-100">
+              <tr><td className="py-1 text-gray-600">Sale Price less Costs</td><td className="py-1 text-right">{formatCurrency(sale.amountRealized)}</td></tr>
+              <tr><td className="py-1 text-gray-600">Adjusted Basis</td><td className="py-1 text-right">({formatCurrency(sale.adjustedBasis)})</td></tr>
+              <tr className="font-semibold"><td className="py-1">Taxable Gain</td><td className={`py-1 text-right ${sale.gain < 0 ? 'text-red-600' : ''}`}>{formatCurrency(sale.gain)}</td></tr>
+              <tr><td className="py-1 text-gray-600">Recapture @ {inputs.recaptureRate}%</td><td className="py-1 text-right">{formatCurrency(sale.recaptureTax)}</td></tr>
+              <tr>
+                <td className="py-1 text-gray-600">{sale.capitalGain >= 0 ? `Capital Gain @ ${inputs.capitalGainsRate}%` : `Loss @ ${inputs.ordinaryTaxRate}%`}</td>
+                <td className="py-1 text-right">{formatCurrency(sale.capitalGainsTax)}</td>
+              </tr>
+              <tr className="font-semibold border-t"><td className="py-1">Total Tax on Sale</td><td className="py-1 text-right">{formatCurrency(sale.tax)}</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </Card>
+  );
+}
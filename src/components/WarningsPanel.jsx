@@ -0,0 +1,31 @@
+import { AlertTriangle, CheckCircle2, XCircle } from 'lucide-react';
+import { Card } from './ui.jsx';
+
+const LEVELS = {
+  error: { icon: XCircle, className: 'text-red-700 bg-red-50 border-red-200' },
+  warning: { icon: AlertTriangle, className: 'text-orange-700 bg-orange-50 border-orange-200' },
+};
+
+export default function WarningsPanel({ warnings }) {
+  if (warnings.length === 0) {
+    return (
+      <Card className="px-4 py-2 flex items-center gap-2 text-xs text-green-700">
+        <CheckCircle2 className="w-4 h-4" /> Model checks pass: inputs in range, no negative cash flow years, coverage above minimum.
+      </Card>
+    );
+  }
+  return (
+    <Card className="p-3 space-y-2">
+      <div className="text-xs font-bold text-gray-500 uppercase">Model Checks ({warnings.length})</div>
+      {warnings.map(({ level, message }) => {
+        const { icon: Icon, className } = LEVELS[level];
+        return (
+          <div key={message} className={`flex items-start gap-2 text-xs border rounded-md p-2 ${className}`}>
+            <Icon className="w-4 h-4 flex-shrink-0" />
+            <span>{message}</span>
+          </div>
+        );
+      })}
+    </Card>
+  );
+}
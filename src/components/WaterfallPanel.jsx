@@ -0,0 +1,125 @@
+import { Plus, Trash2, Layers } from 'lucide-react';
+import { Card, SectionHeader, InputField, NumberCell, Toggle } from './ui.jsx';
+import { PREF_TYPES, HURDLE_TYPES } from '../engine/waterfall.js';
+import { NESTED_INPUT_RANGES, TIER_RANGES } from '../engine/inputs.js';
+import { formatCurrency } from '../format.js';
+
+const RANGES = NESTED_INPUT_RANGES.waterfall;
+
+export default function WaterfallPanel({ terms, onChange, waterfall }) {
+  const update = (patch) => onChange({ ...terms, ...patch });
+  const updateTier = (idx, patch) => update({ tiers: terms.tiers.map((tier, i) => (i === idx ? { ...tier, ...patch } : tier)) });
+  const addTier = () => {
+    const last = terms.tiers[terms.tiers.length - 1];
+    update({ tiers: [...terms.tiers, { hurdleType: last?.hurdleType ?? 'IRR', hurdle: (last?.hurdle ?? terms.prefRate) + 3, promote: Math.min((last?.promote ?? 10) + 10, 100) }] });
+  };
+  const removeTier = (idx) => update({ tiers: terms.tiers.filter((_, i) => i !== idx) });
+
+  // Tier names in the order cash first reached them
+  const tierNames = [...new Set(waterfall.byYear.flatMap(row => row.tiers.map(t => t.name)))];
+  const tierAmount = (row, name, side) => row.tiers.filter(t => t.name === name).reduce((sum, t) => sum + t[side], 0);
+  const distributions = waterfall.byYear.filter(row => row.year > 0);
+
+  return (
+    <Card className="p-4">
+      <SectionHeader title="Equity Waterfall (LP / GP)" icon={Layers} />
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            <InputField label="LP Equity (%)" value={terms.lpEquityPct} onChange={v => update({ lpEquityPct: v })} range={RANGES.lpEquityPct} step="1" />
+            <InputField label="Pref Rate (%)" value={terms.prefRate} onChange={v => update({ prefRate: v })} range={RANGES.prefRate} step="0.5" />
+          </div>
+          <div className="mb-2">
+            <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Preferred Return</label>
+            <Toggle options={PREF_TYPES} value={terms.prefType} onChange={prefType => update({ prefType })} />
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <label className="flex items-center gap-2 text-xs font-medium text-gray-500 uppercase">
+              <input type="checkbox" checked={terms.catchUp} onChange={(e) => update({ catchUp: e.target.checked })} />
+              GP Catch-Up
+            </label>
+            {terms.catchUp && (
+              <div className="w-24">
+                <InputField label="To GP (%)" value={terms.catchUpPct} onChange={v => update({ catchUpPct: v })} range={RANGES.catchUpPct} step="5" />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-500 uppercase mb-2">Promote Tiers</label>
+            <div className="space-y-2">
+              {terms.tiers.map((tier, idx) => (
+                <div key={idx} className="flex items-center gap-1 text-xs">
+                  <span className="text-gray-500 whitespace-nowrap">Above</span>
+                  <NumberCell
+                    step="0.5"
+                    value={tier.hurdle}
+                    range={TIER_RANGES.hurdle}
+                    onChange={hurdle => updateTier(idx, { hurdle })}
+                    className="w-14 px-1"
+                  />
+                  <select
+                    value={tier.hurdleType}
+                    onChange={(e) => updateTier(idx, { hurdleType: e.target.value })}
+                    className="border border-gray-300 rounded-md py-1 px-1 bg-gray-50"
+                  >
+                    {HURDLE_TYPES.map(type => <option key={type} value={type}>{type === 'IRR' ? '% IRR' : 'x Multiple'}</option>)}
+                  </select>
+                  <span className="text-gray-500 whitespace-nowrap">GP gets</span>
+                  <NumberCell
+                    step="5"
+                    value={tier.promote}
+                    range={TIER_RANGES.promote}
+                    onChange={promote => updateTier(idx, { promote })}
+                    className="w-12 px-1"
+                  />
+                  <span className="text-gray-500">%</span>
+                  <button onClick={() => removeTier(idx)} className="text-gray-400 hover:text-red-500 ml-auto" title="Remove tier">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button onClick={addTier} className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 font-medium mt-2">
+              <Plus className="w-4 h-4" /> Add Tier
+            </button>
+          </div>
+        </div>
+
+        <div className="lg:col-span-3 overflow-x-auto">
+          <table className="w-full text-sm text-right">
+            <thead>
+              <tr className="bg-gray-100 text-gray-600 text-xs uppercase">
+                <th className="px-4 py-3 text-left">Distributions</th>
+                {distributions.map(row => <th key={row.year} className="px-2 py-3">Year {row.year}</th>)}
+                <th className="px-2 py-3">Total</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {tierNames.map(name => ['lp', 'gp'].map(side => (
+                <tr key={`${name}-${side}`} className="text-xs text-gray-600">
+                  <td className="px-4 py-1 text-left">{name} &middot; {side.toUpperCase()}</td>
+                  {distributions.map(row => <td key={row.year} className="px-2 py-1">{formatCurrency(tierAmount(row, name, side))}</td>)}
+                  <td className="px-2 py-1 font-medium">{formatCurrency(distributions.reduce((sum, row) => sum + tierAmount(row, name, side), 0))}</td>
+                </tr>
+              )))}
+              <tr className="bg-blue-50 font-semibold text-blue-900">
+                <td className="px-4 py-2 text-left">Total to LP</td>
+                {distributions.map(row => <td key={row.year} className="px-2 py-2">{formatCurrency(row.lp)}</td>)}
+                <td className="px-2 py-2">{formatCurrency(waterfall.lp.distributed)}</td>
+              </tr>
+              <tr className="bg-green-50 font-semibold text-green-900">
+                <td className="px-4 py-2 text-left">Total to GP</td>
+                {distributions.map(row => <td key={row.year} className="px-2 py-2">{formatCurrency(row.gp)}</td>)}
+                <td className="px-2 py-2">{formatCurrency(waterfall.gp.distributed)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-2 px-4">
+            LP contributes {formatCurrency(waterfall.lp.contributed)}, GP {formatCurrency(waterfall.gp.contributed)}. Pref and hurdles are measured on LP cash flows; promote is taken off the top of each tier.
+          </p>
+        </div>
+      </div>
+    </Card>
+  );
+}
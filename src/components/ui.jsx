@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { rangeError } from '../engine/inputs.js';
+
+export const Card = ({ children, className = "" }) => (
+  <div className={`bg-white rounded-lg border border-gray-200 shadow-sm ${className}`}>
+    {children}
+  </div>
+);
+
+export const SectionHeader = ({ title, icon: Icon }) => (
+  <div className="flex items-center gap-2 mb-4 pb-2 border-b border-gray-100">
+    {Icon && <Icon className="w-5 h-5 text-blue-600" />}
+    <h3 className="font-semibold text-gray-800">{title}</h3>
+  </div>
+);
+
+// Typed text of a number box and its range error (see InputField)
+const useNumberDraft = (onChange, range) => {
+  const [draft, setDraft] = useState(null);
+  const error = draft === null ? null : draft.trim() === '' ? 'Required' : rangeError(Number(draft), range);
+
+  const handleChange = (text) => {
+    setDraft(text);
+    if (text.trim() !== '' && !rangeError(Number(text), range)) onChange(Number(text));
+  };
+
+  return { draft, error, handleChange, clearDraft: () => setDraft(null) };
+};
+
+// Number fields hand onChange a parsed number, and only once it is valid for
+// `range` ({ min, max, integer }); until then the typed text stays in the box
+// with an inline error, and leaving the field restores the model's value.
+// Other types (e.g. date) pass the raw string through.
+export const InputField = ({ label, value, onChange, type = "number", prefix = "", suffix = "", step = "0.01", tooltip, range }) => {
+  const { draft, error, handleChange, clearDraft } = useNumberDraft(onChange, range);
+
+  return (
+    <div className="mb-3">
+      <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1 flex justify-between">
+        {label}
+        {tooltip && <span title={tooltip} className="cursor-help text-gray-400">ⓘ</span>}
+      </label>
+      <div className="relative rounded-md shadow-sm">
+        {prefix && (
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <span className="text-gray-500 sm:text-sm">{prefix}</span>
+          </div>
+        )}
+        <input
+          type={type}
+          value={draft ?? value}
+          onChange={(e) => (type === 'number' ? handleChange(e.target.value) : onChange(e.target.value))}
+          onBlur={clearDraft}
+          step={step}
+          min={range?.min}
+          max={range?.max}
+          aria-invalid={error ? true : undefined}
+          className={`focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm rounded-md py-2 ${prefix ? 'pl-7' : 'pl-3'} ${suffix ? 'pr-8' : 'pr-3'} bg-gray-50 border ${error ? 'border-red-400' : 'border-gray-300'}`}
+        />
+        {suffix && (
+          <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
+            <span className="text-gray-500 sm:text-sm">{suffix}</span>
+          </div>
+        )}
+      </div>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export const Toggle = ({ options, value, onChange }) => (
+  <div className="flex rounded-md shadow-sm">
+    {options.map((option, i) => (
+      <button
+        key={option}
+        onClick={() => onChange(option)}
+        className={`flex-1 py-1.5 text-xs font-medium border ${i === 0 ? 'rounded-l-md' : ''} ${i === options.length - 1 ? 'rounded-r-md' : ''} ${value === option ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'}`}
+      >
+        {option}
+      </button>
+    ))}
+  </div>
+);
+
+// Label-less number box for table cells and per-year grids, validated the same
+// way as InputField; the error shows as a red border and the box's tooltip.
+// `className` sets the width, padding and text.
+export const NumberCell = ({ value, onChange, range, step = "0.01", disabled = false, className = "" }) => {
+  const { draft, error, handleChange, clearDraft } = useNumberDraft(onChange, range);
+  return (
+    <input
+      type="number"
+      value={draft ?? value}
+      onChange={(e) => handleChange(e.target.value)}
+      onBlur={clearDraft}
+      step={step}
+      min={range?.min}
+      max={range?.max}
+      disabled={disabled}
+      title={error ?? undefined}
+      aria-invalid={error ? true : undefined}
+      className={`border rounded-md py-1 bg-gray-50 focus:ring-blue-500 focus:border-blue-500 disabled:text-gray-300 ${error ? 'border-red-400' : 'border-gray-300'} ${className}`}
+    />
+  );
+};
+
+// One small input per model year (e.g. a forward rate curve); values past the
+// end of the array carry the last entry forward in the engine. Curves that
+// start at Year 2 (growth into a year) pass firstYear={2}.
+export const YearValuesInput = ({ label, values, years, onChange, step = "0.05", firstYear = 1, range }) => (
+  <div className="mb-3">
+    <label className="block text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">{label}</label>
+    <div className="grid grid-cols-5 gap-1">
+      {Array.from({ length: years }, (_, i) => (
+        <div key={i}>
+          <span className="block text-[10px] text-gray-400 text-center">Y{i + firstYear}</span>
+          <NumberCell
+            value={values[Math.min(i, values.length - 1)] ?? 0}
+            step={step}
+            range={range}
+            onChange={(value) => {
+              const next = Array.from({ length: years }, (_, j) => values[Math.min(j, values.length - 1)] ?? 0);
+              next[i] = value;
+              onChange(next);
+            }}
+            className="block w-full text-xs px-1 text-center"
+          />
+        </div>
+      ))}
+    </div>
+  </div>
+);
@@ -0,0 +1,80 @@
+import { DEFAULT_INPUTS } from './engine/underwrite.js';
+import { DEFAULT_NARRATIVE, toDealFile, parseDealFile, decodeDealParam } from './engine/dealFile.js';
+
+// --- Saved Deal Library ---
+//
+// Deals persist in localStorage as versioned deal files, so stored deals go
+// through the same schema migrations as imported ones.
+// Library: { deals: [{ id, name, inputs, scenarios, narrative }], activeId,
+//            portfolio: [{ dealId, acquisitionYear }] }
+// The portfolio lists the deals rolled up in the Portfolio view (see portfolio.js).
+
+const STORAGE_KEY = 'cre-underwriting:deals';
+const SHARE_PARAM = 'deal';
+
+const newId = () => `deal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const createDeal = (name, { inputs = DEFAULT_INPUTS, scenarios = [], narrative = DEFAULT_NARRATIVE } = {}) => ({
+  id: newId(),
+  name,
+  inputs,
+  scenarios,
+  narrative,
+});
+
+// Deal name -> safe file name stem
+export const fileSlug = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'deal';
+
+// A deal shared by link (#deal=...), if the page was opened with one
+export const readSharedDeal = () => {
+  const param = new URLSearchParams(window.location.hash.slice(1)).get(SHARE_PARAM);
+  if (!param) return null;
+  try {
+    return decodeDealParam(param);
+  } catch {
+    return null;
+  }
+};
+
+export const shareUrl = (encoded) => `${window.location.origin}${window.location.pathname}#${SHARE_PARAM}=${encoded}`;
+
+export const loadLibrary = () => {
+  let library = null;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored?.deals?.length > 0) {
+      const deals = stored.deals.map(({ id, file }) => ({ id, ...parseDealFile(file) }));
+      library = {
+        deals,
+        activeId: deals.some(d => d.id === stored.activeId) ? stored.activeId : deals[0].id,
+        portfolio: (stored.portfolio ?? []).filter(holding => deals.some(d => d.id === holding.dealId)),
+      };
+    }
+  } catch {
+    // Unreadable storage: start a fresh library rather than failing to load
+  }
+  if (!library) {
+    const deal = createDeal('Untitled Deal');
+    library = { deals: [deal], activeId: deal.id, portfolio: [] };
+  }
+
+  // Opening a share link adds that deal to the library and selects it
+  const shared = readSharedDeal();
+  if (shared) {
+    const deal = createDeal(shared.name, shared);
+    library = { ...library, deals: [...library.deals, deal], activeId: deal.id };
+  }
+  return library;
+};
+
+export const saveLibrary = ({ deals, activeId, portfolio }) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      activeId,
+      portfolio,
+      deals: deals.map(deal => ({ id: deal.id, file: toDealFile(deal) })),
+    }));
+  } catch {
+    // Storage full or disabled (e.g. private browsing): keep working in memory
+  }
+};
@@ -0,0 +1,52 @@
+// --- Value-Add Capital Plan ---
+//
+// Capital spent below the NOI line, and the rent it buys:
+//   renovationBudget    Total renovation spend ($)
+//   timing              'At Close' (funded in the closing equity) or
+//                       'By Year' (spent out of cash flow per `schedule`)
+//   schedule[]          Share of the budget spent in Year 1, 2, ... (%);
+//                       years past the end of the list spend nothing
+//   premiumUnits        Units / suites renovated
+//   premiumPerUnit      Monthly rent premium per renovated unit ($, today's
+//                       dollars; grown with revenue growth)
+//   reserves            Replacement reserves, Year 1 ($)
+//   reserveGrowthRate   Annual growth of the reserves (%)
+//   futureFundingPct    Share of renovation spend the lender funds (%),
+//                       drawn on the loan while it is outstanding
+//
+// Premiums phase in with completed work: a unit earns its premium from the
+// year after the spend (from Year 1 when renovated at closing).
+
+export const CAPEX_TIMINGS = ['At Close', 'By Year'];
+
+export const DEFAULT_CAPITAL_PLAN = {
+  renovationBudget: 0,
+  timing: 'By Year',
+  schedule: [50, 50],
+  premiumUnits: 0,
+  premiumPerUnit: 0,
+  reserves: 2400,
+  reserveGrowthRate: 2.0,
+  futureFundingPct: 0,
+};
+
+// { atClose, years: [{ capex, renovatedShare, premium, reserves }] } by projection
+// year; premium is in today's dollars. Spend after the hold is dropped.
+export const projectCapitalPlan = (plan, projectionYears, holdPeriod) => {
+  const byYear = plan.timing === 'By Year';
+  const fullPremium = plan.premiumUnits * plan.premiumPerUnit * 12;
+  let completed = byYear ? 0 : 1;
+  const years = [];
+  for (let year = 1; year <= projectionYears; year++) {
+    const share = byYear && year <= holdPeriod ? (plan.schedule[year - 1] ?? 0) / 100 : 0;
+    const renovatedShare = Math.min(1, completed);
+    years.push({
+      capex: plan.renovationBudget * share,
+      renovatedShare,
+      premium: fullPremium * renovatedShare,
+      reserves: plan.reserves * Math.pow(1 + plan.reserveGrowthRate / 100, year - 1),
+    });
+    completed += share;
+  }
+  return { atClose: byYear ? 0 : plan.renovationBudget, years };
+};
@@ -0,0 +1,277 @@
+import { DEFAULT_EXPENSE_LINE, DEFAULT_EXPENSE_LINES, calculateReimbursements } from './expenses.js';
+import { DEFAULT_TENANT } from './rentRoll.js';
+
+// --- CSV Import: T-12 Operating Statements & Rent Rolls ---
+//
+// Turns a pasted or uploaded CSV into model inputs in three steps, each of
+// which the import wizard lets the user review:
+//   1. parseCsv          text -> rows of cells
+//   2. column mapping    which columns hold labels / amounts (T-12) or which
+//                        tenant field each column feeds (rent roll); guessed
+//                        from the header row by guessT12Columns / guessRentRollColumns
+//   3. classification    each T-12 line gets a category (income, vacancy, an
+//                        expense line, ...); rent roll rows become tenants.
+//                        Rows that can't be read are returned as `flagged`.
+
+// --- 1. Parsing ---
+
+// RFC 4180-ish: quoted cells may hold commas, newlines and "" escapes
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter(r => r.some(c => c !== ''));
+};
+
+// "$1,234.50", "(1,200)", "-5%", "12.5" -> number; blanks and text -> null
+export const parseAmount = (cell) => {
+  if (cell === undefined || cell === null) return null;
+  const text = String(cell).trim();
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text.replace(/^\$/, ''));
+  const cleaned = text.replace(/[$,%()\s]/g, '').replace(/^-/, '').replace(/^\$/, '');
+  if (cleaned === '' || !/^\d*\.?\d+$/.test(cleaned)) return null;
+  return negative ? -parseFloat(cleaned) : parseFloat(cleaned);
+};
+
+// YYYY-MM-DD, M/D/YYYY or M/D/YY -> YYYY-MM-DD; anything else -> null
+export const parseDate = (cell) => {
+  const text = String(cell ?? '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return [match[1], match[2].padStart(2, '0'), match[3].padStart(2, '0')].join('-');
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return [year, match[1].padStart(2, '0'), match[2].padStart(2, '0')].join('-');
+  }
+  return null;
+};
+
+// --- 2. Column Mapping ---
+
+// A T-12 is one label column plus one or more amount columns; monthly columns
+// are summed, so map either the twelve months or a single total column.
+export const guessT12Columns = (header, rows) => {
+  const numericShare = (col) => rows.filter(r => parseAmount(r[col]) !== null).length / Math.max(rows.length, 1);
+  const labelCol = Math.max(0, header.findIndex((_, col) => numericShare(col) < 0.5));
+  const totalCol = header.findIndex(h => /total|t-?12|ttm|annual/i.test(h));
+  if (totalCol >= 0 && totalCol !== labelCol) return { labelCol, amountCols: [totalCol] };
+  return { labelCol, amountCols: header.map((_, col) => col).filter(col => col !== labelCol && numericShare(col) >= 0.5) };
+};
+
+// Tenant fields a rent roll column can feed: [key, label, header pattern]
+export const RENT_ROLL_FIELDS = [
+  ['suite', 'Suite', /suite|unit|space/i],
+  ['tenant', 'Tenant', /tenant|lessee|name/i],
+  ['sf', 'SF', /\bsf\b|sq\.? ?ft|square|area|rsf|nra/i],
+  ['rent', 'Rent', /rent|rate/i],
+  ['leaseStart', 'Lease Start', /start|commence/i],
+  ['leaseExpiry', 'Lease Expiry', /expir|end|maturity/i],
+  ['bumpPct', 'Bump %', /bump|escalat|increase/i],
+  ['marketRent', 'Market Rent $/SF', /market/i],
+];
+
+// How the mapped rent column is quoted
+export const RENT_BASES = {
+  psf: { label: '$/SF/yr', toPsf: (rent) => rent },
+  annual: { label: 'Annual $', toPsf: (rent, sf) => (sf > 0 ? rent / sf : 0) },
+  monthly: { label: 'Monthly $', toPsf: (rent, sf) => (sf > 0 ? (rent * 12) / sf : 0) },
+};
+
+export const guessRentRollColumns = (header) => {
+  const taken = new Set();
+  const columns = {};
+  // Market rent first so its column isn't claimed as the contract rent
+  [...RENT_ROLL_FIELDS].sort(([a], [b]) => (b === 'marketRent') - (a === 'marketRent')).forEach(([key, , pattern]) => {
+    const col = header.findIndex((h, i) => !taken.has(i) && pattern.test(h));
+    columns[key] = col;
+    if (col >= 0) taken.add(col);
+  });
+  const rentHeader = columns.rent >= 0 ? header[columns.rent] : '';
+  const rentBasis = /sf|psf|\/ ?ft/i.test(rentHeader) ? 'psf' : /month|mo\b/i.test(rentHeader) ? 'monthly' : 'annual';
+  return { columns, rentBasis };
+};
+
+// --- 3. Classification ---
+
+// Category -> how it feeds the model. Expense categories become budget lines.
+export const T12_CATEGORIES = {
+  income: { label: 'Rental / Other Income', kind: 'income' },
+  vacancy: { label: 'Vacancy & Credit Loss', kind: 'vacancy' },
+  recoveries: { label: 'Expense Recoveries', kind: 'recoveries' },
+  ...Object.fromEntries(DEFAULT_EXPENSE_LINES.map(line => [line.name, { label: line.name, kind: 'expense' }])),
+  'General & Administrative': { label: 'General & Administrative', kind: 'expense' },
+  'Other Expense': { label: 'Other Expense', kind: 'expense' },
+  management: { label: 'Management Fee', kind: 'management' },
+  reserves: { label: 'Replacement Reserves (below NOI)', kind: 'reserves' },
+  ignore: { label: 'Ignore (subtotal / below NOI)', kind: 'ignore' },
+};
+
+// First match wins: subtotals and below-the-line items before the income words they contain
+const CATEGORY_RULES = [
+  ['ignore', /total|subtotal|net operating|\bnoi\b|debt service|mortgage|interest|principal|capital|capex|depreciation|amortization|distribution/i],
+  ['vacancy', /vacan|credit loss|bad debt|concession|loss to lease|free rent|collection loss/i],
+  ['recoveries', /reimburs|recover|\bcam\b|pass.?through/i],
+  ['management', /manage/i],
+  ['Real Estate Taxes', /tax/i],
+  ['Insurance', /insur/i],
+  ['Utilities', /utilit|electric|water|sewer|\bgas\b|trash|refuse/i],
+  ['Repairs & Maintenance', /repair|maint|r ?& ?m|landscap|janitor|clean|snow|hvac|elevator|security|contract/i],
+  ['Payroll', /payroll|salar|wage|personnel|benefit/i],
+  ['reserves', /reserve|replacement/i],
+  ['General & Administrative', /admin|g ?& ?a|legal|accounting|professional|marketing|advertis|office|licen|permit/i],
+  ['income', /rent|income|revenue|parking|laundry|storage|fee/i],
+];
+
+export const classifyLine = (label) => CATEGORY_RULES.find(([, pattern]) => pattern.test(label))?.[0] ?? null;
+
+// Rows -> [{ row, label, amount, category }], numbered from `firstRow` to match
+// the file; category is null for lines the rules don't recognize. Section
+// headings (no amount) are dropped.
+export const readT12 = (rows, { labelCol, amountCols }, firstRow = 1) => rows.flatMap((cells, i) => {
+  const amounts = amountCols.map(col => parseAmount(cells[col])).filter(v => v !== null);
+  const label = cells[labelCol] ?? '';
+  if (amounts.length === 0 || label === '') return [];
+  return [{ row: firstRow + i, label, amount: amounts.reduce((sum, v) => sum + v, 0), category: classifyLine(label) }];
+});
+
+// Category totals for the preview. Vacancy and expenses are stated as positive
+// amounts whatever sign the statement uses.
+export const summarizeT12 = (lines) => {
+  const totals = { income: 0, vacancy: 0, recoveries: 0, management: 0, reserves: 0, expenses: {}, unclassified: 0 };
+  lines.forEach(({ category, amount }) => {
+    if (category === null) {
+      totals.unclassified += 1;
+      return;
+    }
+    const { kind } = T12_CATEGORIES[category];
+    if (kind === 'expense') totals.expenses[category] = (totals.expenses[category] ?? 0) + Math.abs(amount);
+    else if (kind === 'vacancy' || kind === 'management' || kind === 'reserves') totals[kind] += Math.abs(amount);
+    else if (kind !== 'ignore') totals[kind] += amount;
+  });
+  const totalExpenses = Object.values(totals.expenses).reduce((sum, v) => sum + v, 0);
+  const egi = totals.income - totals.vacancy + totals.recoveries;
+  return { ...totals, totalExpenses, egi, noi: egi - totals.management - totalExpenses };
+};
+
+// T-12 totals -> input changes. The budget is replaced by the statement's
+// expense lines (keeping growth / fixed / recoverable settings for lines of the
+// same name), vacancy (flat, replacing any lease-up path) and the management
+// fee become rates, and in Cap Rate mode the going-in cap is set so the model
+// backs out the statement's income.
+// Reserves on the statement replace the capital plan's, below NOI. Recoveries
+// are not imported: the model recomputes them from the recovery type.
+export const applyT12 = (inputs, summary) => {
+  const expenseLines = Object.entries(summary.expenses).map(([name, amount]) => {
+    const existing = inputs.expenseLines.find(line => line.name === name);
+    return { ...DEFAULT_EXPENSE_LINE, ...existing, name, amount: Math.round(amount) };
+  });
+  const occupancy = summary.income > 0 ? 1 - summary.vacancy / summary.income : 0;
+  const vacancyRate = (1 - occupancy) * 100;
+  const recoverable = expenseLines.filter(line => line.recoverable).reduce((sum, line) => sum + line.amount, 0);
+  const egi = summary.income * occupancy + calculateReimbursements(inputs.recoveryType, recoverable, recoverable, occupancy);
+  const managementFeePct = summary.egi > 0 ? (summary.management / summary.egi) * 100 : inputs.managementFeePct;
+  const changes = {
+    expenseLines,
+    vacancyType: 'Flat',
+    vacancyRate: Number(vacancyRate.toFixed(2)),
+    managementFeePct: Number(managementFeePct.toFixed(2)),
+  };
+  if (summary.reserves > 0) changes.capitalPlan = { ...inputs.capitalPlan, reserves: Math.round(summary.reserves) };
+  if (inputs.incomeMode === 'Cap Rate' && inputs.purchasePrice > 0) {
+    const noi = egi * (1 - managementFeePct / 100) - expenseLines.reduce((sum, line) => sum + line.amount, 0);
+    changes.capRate = Number(((noi / inputs.purchasePrice) * 100).toFixed(4));
+  }
+  return changes;
+};
+
+// Rows -> { tenants, flagged: [{ row, reason }] }. Vacant suites become leases
+// that expired the month before closing with no renewal, so they lease up at
+// market after the usual downtime, free rent and TI/LC.
+export const readRentRoll = (rows, { columns, rentBasis }, closingDate, firstRow = 1) => {
+  const cell = (cells, key) => (columns[key] >= 0 ? cells[columns[key]] ?? '' : '');
+  const tenants = [];
+  const flagged = [];
+  const [year, month] = closingDate.split('-').map(Number);
+  const dayBefore = new Date(Date.UTC(year, month - 1, 0)).toISOString().slice(0, 10);
+
+  rows.forEach((cells, i) => {
+    const row = firstRow + i;
+    const suite = cell(cells, 'suite');
+    const name = cell(cells, 'tenant');
+    const sf = parseAmount(cell(cells, 'sf'));
+    if (/total/i.test(`${suite} ${name}`)) return;
+    if (!(sf > 0)) {
+      flagged.push({ row, reason: `No square footage for "${name || suite || `row ${row}`}"` });
+      return;
+    }
+    const rent = parseAmount(cell(cells, 'rent'));
+    const marketRent = parseAmount(cell(cells, 'marketRent'));
+    const vacant = /vacant/i.test(name) || !(rent > 0);
+    if (vacant) {
+      tenants.push({
+        ...DEFAULT_TENANT,
+        suite: suite || String(row),
+        tenant: 'Vacant',
+        sf,
+        baseRent: 0,
+        leaseStart: dayBefore,
+        leaseExpiry: dayBefore,
+        renewalProb: 0,
+        marketRent: marketRent ?? DEFAULT_TENANT.marketRent,
+      });
+      if (marketRent === null) flagged.push({ row, reason: `Vacant suite ${suite || row} has no market rent; using $${DEFAULT_TENANT.marketRent}/SF` });
+      return;
+    }
+    const leaseExpiry = parseDate(cell(cells, 'leaseExpiry'));
+    if (!leaseExpiry) {
+      flagged.push({ row, reason: `No readable lease expiry for "${name || suite}"` });
+      return;
+    }
+    const baseRent = RENT_BASES[rentBasis].toPsf(rent, sf);
+    const bump = parseAmount(cell(cells, 'bumpPct'));
+    tenants.push({
+      ...DEFAULT_TENANT,
+      suite: suite || String(row),
+      tenant: name,
+      sf,
+      baseRent: Number(baseRent.toFixed(2)),
+      leaseStart: parseDate(cell(cells, 'leaseStart')) ?? closingDate,
+      leaseExpiry,
+      bumpPct: bump ?? DEFAULT_TENANT.bumpPct,
+      marketRent: marketRent ?? Number(baseRent.toFixed(2)),
+    });
+  });
+  return { tenants, flagged };
+};
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { guessRentRollColumns, guessT12Columns, parseAmount, parseCsv, readRentRoll, readT12 } from './csvImport.js';
+
+describe('parseCsv', () => {
+  it('reads quoted fields with embedded commas, quotes and newlines', () => {
+    const text = 'Suite,Tenant,Notes\r\n100,"Smith, Jones & Co","Says ""hi"""\n200,"Acme\nHoldings",\n\n';
+    expect(parseCsv(text)).toEqual([
+      ['Suite', 'Tenant', 'Notes'],
+      ['100', 'Smith, Jones & Co', 'Says "hi"'],
+      ['200', 'Acme\nHoldings', ''],
+    ]);
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads currency, accounting negatives and percents', () => {
+    expect(parseAmount('$1,234.50')).toBe(1234.5);
+    expect(parseAmount('(1,200)')).toBe(-1200);
+    expect(parseAmount('-$75')).toBe(-75);
+    expect(parseAmount('3.5%')).toBe(3.5);
+    expect(parseAmount('-5%')).toBe(-5);
+  });
+
+  it('is null for blanks and text', () => {
+    ['', ' ', 'n/a', 'TBD', undefined].forEach(cell => expect(parseAmount(cell)).toBeNull());
+  });
+});
+
+describe('readT12', () => {
+  it('sums the monthly currency columns and classifies each line', () => {
+    const [header, ...rows] = parseCsv([
+      'Account,Jan,Feb,Mar',
+      'Income,,,',
+      'Base Rent,"$10,000","$10,000","$10,500"',
+      'Vacancy Loss,(500),(500),(250)',
+      'Property Taxes,"$1,200.00","$1,200.00","$1,200.00"',
+      'Widget Fund,10,10,10',
+      'Total Expenses,"$1,210","$1,210","$1,210"',
+    ].join('\n'));
+    const columns = guessT12Columns(header, rows);
+    expect(columns).toEqual({ labelCol: 0, amountCols: [1, 2, 3] });
+    expect(readT12(rows, columns, 2)).toEqual([
+      { row: 3, label: 'Base Rent', amount: 30500, category: 'income' },
+      { row: 4, label: 'Vacancy Loss', amount: -1250, category: 'vacancy' },
+      { row: 5, label: 'Property Taxes', amount: 3600, category: 'Real Estate Taxes' },
+      { row: 6, label: 'Widget Fund', amount: 30, category: null },
+      { row: 7, label: 'Total Expenses', amount: 3630, category: 'ignore' },
+    ]);
+  });
+});
+
+describe('readRentRoll', () => {
+  const [header, ...rows] = parseCsv([
+    'Suite,Tenant,RSF,Monthly Rent,Lease Start,Lease Expiration,Bump,Market Rent',
+    '100,"Smith, Jones & Co","1,500","$2,500.00",1/1/2024,12/31/2028,3%,$21',
+    '200,Acme,"2,000","$3,000",2025-03-01,,,',
+    '300,Vacant,800,,,,,',
+    '400,Beta LLC,,"$1,000",,6/30/27,,',
+    'Total,,"4,300","$6,500",,,,',
+  ].join('\n'));
+  const mapping = guessRentRollColumns(header);
+  const { tenants, flagged } = readRentRoll(rows, mapping, '2026-07-01', 2);
+
+  it('maps the columns from the header', () => {
+    expect(mapping.rentBasis).toBe('monthly');
+    expect(mapping.columns).toMatchObject({ suite: 0, tenant: 1, sf: 2, rent: 3, leaseStart: 4, leaseExpiry: 5, bumpPct: 6, marketRent: 7 });
+  });
+
+  it('reads currency, percent and date cells into tenants', () => {
+    expect(tenants[0]).toMatchObject({
+      suite: '100', tenant: 'Smith, Jones & Co', sf: 1500, baseRent: 20, leaseStart: '2024-01-01', leaseExpiry: '2028-12-31', bumpPct: 3, marketRent: 21,
+    });
+    expect(tenants[1]).toMatchObject({ suite: '300', tenant: 'Vacant', sf: 800, baseRent: 0, leaseStart: '2026-06-30', leaseExpiry: '2026-06-30', renewalProb: 0 });
+    expect(tenants).toHaveLength(2);
+  });
+
+  it('flags the rows it cannot read and skips totals', () => {
+    expect(flagged).toEqual([
+      { row: 3, reason: 'No readable lease expiry for "Acme"' },
+      { row: 4, reason: 'Vacant suite 300 has no market rent; using $18/SF' },
+      { row: 5, reason: 'No square footage for "Beta LLC"' },
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+import { DEFAULT_INPUTS } from './underwrite.js';
+import { DEFAULT_CAPITAL_PLAN } from './capitalPlan.js';
+import { EMPTY_PROPERTY } from './property.js';
+
+// --- Deal Files ---
+//
+// A deal is saved, exported and shared as a versioned JSON document:
+//   { format: 'cre-underwriting-deal', version, name, savedAt, inputs,
+//     scenarios: [{ id, name, overrides }] (see scenarios.js),
+//     narrative: { description, thesis, risks } (memo text for the report) }
+// Loading runs the inputs through every migration between the file's version
+// and the current one, then fills any field the file predates from
+// DEFAULT_INPUTS. New fields with a sensible default need no migration; bump
+// DEAL_SCHEMA_VERSION and add a step when a field is renamed or reshaped.
+//
+// A bare inputs object (optionally with a `name`) is read as version 0, the
+// shape the CLI accepted before deal files were versioned.
+
+export const DEAL_FILE_FORMAT = 'cre-underwriting-deal';
+export const DEAL_SCHEMA_VERSION = 3;
+
+// MIGRATIONS[n] upgrades inputs from version n to n + 1
+const MIGRATIONS = [
+  // 0 -> 1: the single expense input became a line-item budget with a management fee
+  ({ annualExpenses, expenseGrowthRate, ...inputs }) => (
+    annualExpenses === undefined || inputs.expenseLines
+      ? inputs
+      : {
+        ...inputs,
+        expenseLines: [{ name: 'Operating Expenses', amount: annualExpenses, growthRate: expenseGrowthRate ?? 2.0, fixedPct: 100, recoverable: false }],
+        managementFeePct: inputs.managementFeePct ?? 0,
+      }
+  ),
+  // 1 -> 2: replacement reserves moved below NOI into the capital plan. A deal
+  // with its own expense budget carried reserves there (if at all), so it starts
+  // with none below the line rather than counting them twice.
+  (inputs) => (inputs.capitalPlan || !inputs.expenseLines ? inputs : { ...inputs, capitalPlan: { ...DEFAULT_CAPITAL_PLAN, reserves: 0 } }),
+  // 2 -> 3: the property profile. The default describes the sample deal, so an
+  // older deal starts without a size instead of borrowing its SF and units.
+  (inputs) => (inputs.property ? inputs : { ...inputs, property: EMPTY_PROPERTY }),
+];
+
+export const migrateInputs = (inputs, version) => {
+  let migrated = inputs;
+  for (let v = version; v < DEAL_SCHEMA_VERSION; v++) migrated = MIGRATIONS[v](migrated);
+  return { ...DEFAULT_INPUTS, ...migrated };
+};
+
+export const DEFAULT_NARRATIVE = { description: '', thesis: '', risks: '' };
+
+export const toDealFile = ({ name, inputs, scenarios = [], narrative = DEFAULT_NARRATIVE }) => ({
+  format: DEAL_FILE_FORMAT,
+  version: DEAL_SCHEMA_VERSION,
+  name,
+  savedAt: new Date().toISOString(),
+  inputs,
+  scenarios,
+  narrative,
+});
+
+const readScenarios = (scenarios) => (Array.isArray(scenarios) ? scenarios : []).map((scenario, i) => ({
+  id: scenario.id || `scenario-${i + 1}`,
+  name: scenario.name || `Scenario ${i + 1}`,
+  overrides: scenario.overrides || {},
+}));
+
+const readNarrative = (narrative) => Object.fromEntries(
+  Object.keys(DEFAULT_NARRATIVE).map(key => [key, typeof narrative?.[key] === 'string' ? narrative[key] : ''])
+);
+
+// Returns { name, inputs, scenarios, narrative } at the current schema version; throws on files it can't read
+export const parseDealFile = (data, fallbackName = 'Untitled Deal') => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Deal file must be a JSON object');
+  }
+  if (data.format === DEAL_FILE_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version < 0) throw new Error(`Invalid deal file version "${data.version}"`);
+    if (data.version > DEAL_SCHEMA_VERSION) {
+      throw new Error(`Deal file version ${data.version} is newer than this app supports (${DEAL_SCHEMA_VERSION})`);
+    }
+    return {
+      name: data.name || fallbackName,
+      inputs: migrateInputs(data.inputs || {}, data.version),
+      scenarios: readScenarios(data.scenarios),
+      narrative: readNarrative(data.narrative),
+    };
+  }
+  const { name, ...fields } = data;
+  return { name: name || fallbackName, inputs: migrateInputs(fields, 0), scenarios: [], narrative: { ...DEFAULT_NARRATIVE } };
+};
+
+// --- Share Links ---
+// The deal file rides in the URL hash as base64url-encoded UTF-8 JSON
+
+export const encodeDealParam = ({ name, inputs, scenarios = [], narrative = DEFAULT_NARRATIVE }) => {
+  const file = { format: DEAL_FILE_FORMAT, version: DEAL_SCHEMA_VERSION, name, inputs, scenarios, narrative };
+  const bytes = new TextEncoder().encode(JSON.stringify(file));
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const decodeDealParam = (param) => {
+  const base64 = param.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  return parseDealFile(JSON.parse(new TextDecoder().decode(bytes)), 'Shared Deal');
+};
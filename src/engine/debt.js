@@ -0,0 +1,116 @@
+import { monthlyPayment } from './finance.js';
+
+// --- Acquisition Loan ---
+//
+// Monthly schedule, rolled up into model years. Supports:
+//   ioMonths            Interest-only months before amortization starts
+//   amortization        Amortization (years), counted from the end of IO
+//   loanTerm            Maturity (years); the remaining balance balloons then
+//   rateType            'Fixed' (interestRate) or 'Floating'
+//   indexCurve[]        Forward index by model year (%); last value carries on
+//   floatSpread         Spread over the index (%)
+//   rateFloor/rateCap   Floor and cap (strike) on the index (%)
+//   draws[]             Future funding: added to the balance at the start of
+//                       each model year (draws[0] in Year 1), before maturity
+//
+// Floating loans re-cast the amortizing payment monthly on the remaining
+// amortization, so a fixed-rate loan gives the same level payment as PMT.
+
+export const RATE_TYPES = ['Fixed', 'Floating'];
+
+export const DEFAULT_INDEX_CURVE = [4.30, 3.90, 3.60, 3.50, 3.50, 3.50, 3.60, 3.70, 3.75, 3.75];
+
+// All-in annual note rate (%) for a model year (1-based)
+export const noteRate = (inputs, year) => {
+  if (inputs.rateType !== 'Floating') return inputs.interestRate;
+  const curve = inputs.indexCurve;
+  const index = curve.length > 0 ? curve[Math.min(year, curve.length) - 1] : 0;
+  return Math.min(Math.max(index, inputs.rateFloor), inputs.rateCap) + inputs.floatSpread;
+};
+
+export const projectDebt = (inputs, loanAmount, projectionYears, draws = []) => {
+  const ioMonths = inputs.ioMonths;
+  const amortMonths = inputs.amortization * 12;
+  const termMonths = inputs.loanTerm * 12;
+  const years = [];
+  let balance = loanAmount;
+
+  for (let year = 1; year <= projectionYears; year++) {
+    const rate = noteRate(inputs, year);
+    const monthlyRate = (rate / 100) / 12;
+    const draw = (year - 1) * 12 < termMonths ? draws[year - 1] ?? 0 : 0;
+    balance += draw;
+    const startBalance = balance;
+    let interestYear = 0;
+    let principalYear = 0;
+    let balloon = 0;
+    const months = [];
+
+    for (let m = 1; m <= 12; m++) {
+      const month = (year - 1) * 12 + m;
+      if (balance <= 0 || month > termMonths) {
+        months.push({ startBalance: 0, draw: 0, interest: 0, principal: 0, balloon: 0, endBalance: 0, rate: 0 });
+        continue;
+      }
+      const monthStartBalance = balance;
+
+      const interest = balance * monthlyRate;
+      let principal = 0;
+      if (month > ioMonths) {
+        const remainingAmort = amortMonths - (month - ioMonths - 1);
+        principal = Math.min(monthlyPayment(balance, monthlyRate, remainingAmort) - interest, balance);
+      }
+      interestYear += interest;
+      principalYear += principal;
+      balance -= principal;
+
+      // Balloon: whatever is left is repaid at maturity
+      let monthBalloon = 0;
+      if (month === termMonths) {
+        monthBalloon = balance;
+        balloon = balance;
+        balance = 0;
+      }
+      months.push({ startBalance: monthStartBalance, draw: m === 1 ? draw : 0, interest, principal, balloon: monthBalloon, endBalance: balance, rate: rate / 100 });
+    }
+
+    years.push({
+      startBalance,
+      draw,
+      interest: interestYear,
+      principal: principalYear,
+      debtService: interestYear + principalYear,
+      balloon,
+      endBalance: balance,
+      rate: startBalance > 0 ? rate / 100 : 0,
+      months,
+    });
+  }
+
+  return years;
+};
+
+// --- Loan Sizing ---
+//
+// 'LTV' takes the loan as price * ltv. 'Constraints' solves the largest loan
+// that satisfies max LTV, min Year 1 DSCR and min debt yield at once, and
+// reports which one binds.
+
+export const LOAN_SIZING_MODES = ['LTV', 'Constraints'];
+
+export const sizeLoan = (inputs, year1NOI) => {
+  const ltvLoan = inputs.purchasePrice * (inputs.ltv / 100);
+  if (inputs.loanSizing !== 'Constraints') {
+    return { loanAmount: ltvLoan, ltvLoan, dscrLoan: null, debtYieldLoan: null, binding: 'LTV' };
+  }
+
+  // Every line of the schedule scales linearly with principal, so size off a $1 loan
+  const debtConstant = projectDebt(inputs, 1, 1)[0].debtService;
+  const dscrLoan = debtConstant > 0 && inputs.minDscr > 0 ? year1NOI / inputs.minDscr / debtConstant : Infinity;
+  const debtYieldLoan = inputs.minDebtYield > 0 ? year1NOI / (inputs.minDebtYield / 100) : Infinity;
+
+  const [binding, loanAmount] = [['LTV', ltvLoan], ['DSCR', dscrLoan], ['Debt Yield', debtYieldLoan]]
+    .reduce((min, candidate) => (candidate[1] < min[1] ? candidate : min));
+
+  return { loanAmount: Math.max(0, loanAmount), ltvLoan, dscrLoan, debtYieldLoan, binding };
+};
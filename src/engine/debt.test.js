@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { projectDebt } from './debt.js';
+
+// Excel's CUMIPMT / CUMPRINC help example: $125,000 at 9% over 30 years
+//   =CUMIPMT(9%/12, 360, 125000, 13, 24, 0)   -11,135.23213
+//   =CUMIPMT(9%/12, 360, 125000, 1, 1, 0)        -937.50
+//   =CUMPRINC(9%/12, 360, 125000, 13, 24, 0)     -934.1071234
+//   =CUMPRINC(9%/12, 360, 125000, 1, 1, 0)        -68.27827118
+const LOAN = { rateType: 'Fixed', interestRate: 9, amortization: 30, loanTerm: 30, ioMonths: 0 };
+
+describe('projectDebt', () => {
+  const years = projectDebt(LOAN, 125000, 2);
+
+  it('matches CUMIPMT / CUMPRINC for the second year', () => {
+    expect(years[1].interest).toBeCloseTo(11135.23213, 5);
+    expect(years[1].principal).toBeCloseTo(934.1071234, 6);
+  });
+
+  it('matches CUMIPMT / CUMPRINC for the first month', () => {
+    expect(years[0].months[0].interest).toBeCloseTo(937.5, 8);
+    expect(years[0].months[0].principal).toBeCloseTo(68.27827118, 7);
+  });
+});
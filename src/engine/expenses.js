@@ -0,0 +1,48 @@
+// --- Operating Expense Budget ---
+//
+// Each line:
+//   name           Label
+//   amount         Year 1 budget ($)
+//   growthRate     Annual growth (%), unless expenseGrowthType is 'Schedule'
+//                  (see growth.js)
+//   fixedPct       Share of the line that is fixed (%); the variable share
+//                  flexes with occupancy relative to Year 1
+//   recoverable    Whether tenants reimburse the line under NNN / modified gross
+//
+// The management fee is not a line: it is a % of EGI (see managementFeePct).
+// Replacement reserves sit below NOI in the capital plan (see capitalPlan.js).
+
+export const RECOVERY_TYPES = ['Gross', 'Modified Gross', 'NNN'];
+
+export const DEFAULT_EXPENSE_LINE = {
+  name: '',
+  amount: 0,
+  growthRate: 2.0,
+  fixedPct: 100,
+  recoverable: false,
+};
+
+export const DEFAULT_EXPENSE_LINES = [
+  { ...DEFAULT_EXPENSE_LINE, name: 'Real Estate Taxes', amount: 18000, growthRate: 3.0, recoverable: true },
+  { ...DEFAULT_EXPENSE_LINE, name: 'Insurance', amount: 6500, growthRate: 4.0, recoverable: true },
+  { ...DEFAULT_EXPENSE_LINE, name: 'Utilities', amount: 5500, growthRate: 2.5, fixedPct: 40, recoverable: true },
+  { ...DEFAULT_EXPENSE_LINE, name: 'Repairs & Maintenance', amount: 6000, growthRate: 2.5, fixedPct: 50, recoverable: true },
+  { ...DEFAULT_EXPENSE_LINE, name: 'Payroll', amount: 4000, growthRate: 3.0 },
+];
+
+// Line amounts for a model year (1-based) at a given occupancy; a shared
+// expenseIndex (by model year) replaces the per-line growth rates
+export const projectExpenseLines = (lines, year, occupancy, baseOccupancy, expenseIndex = null) => lines.map(line => {
+  const grown = line.amount * (expenseIndex ? expenseIndex[year - 1] : Math.pow(1 + line.growthRate / 100, year - 1));
+  const fixedShare = line.fixedPct / 100;
+  const occupancyRatio = baseOccupancy > 0 ? occupancy / baseOccupancy : 1;
+  return grown * (fixedShare + (1 - fixedShare) * occupancyRatio);
+});
+
+// Tenant reimbursements: NNN recovers recoverable lines in full, modified gross
+// only the increase over the Year 1 (base year) amount; both scale with occupancy
+export const calculateReimbursements = (recoveryType, recoverable, baseRecoverable, occupancy) => {
+  if (recoveryType === 'NNN') return recoverable * occupancy;
+  if (recoveryType === 'Modified Gross') return Math.max(0, recoverable - baseRecoverable) * occupancy;
+  return 0;
+};
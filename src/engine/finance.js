@@ -0,0 +1,117 @@
+// --- Financial Helper Functions ---
+
+// --- IRR ---
+//
+// Newton-Raphson from the guess first: fast, and it lands on the conventional
+// root for ordinary deals. When Newton fails (flat NPV curve, a capital call,
+// a big negative sale year) the NPV curve is scanned for sign changes and the
+// bracket nearest the guess is bisected. null means no rate above -100%
+// zeroes the NPV: the IRR is undefined, not 0%.
+
+const IRR_TOLERANCE = 0.0000001;
+const SCAN_STEPS = 400;
+const BISECT_TOLERANCE = 1e-10;
+
+// Rates are scanned evenly in ln(1 + r), from -99% to +1,000%
+const scanRates = () => Array.from({ length: SCAN_STEPS + 1 }, (_, i) => Math.exp(Math.log(0.01) + (Math.log(11) - Math.log(0.01)) * (i / SCAN_STEPS)) - 1);
+
+const bisect = (f, lo, hi) => {
+  let fLo = f(lo);
+  for (let i = 0; i < 200 && hi - lo > BISECT_TOLERANCE; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (fMid === 0) return mid;
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+};
+
+// Every rate on the scan grid where f crosses zero, refined by bisection
+const findRoots = (f) => {
+  const rates = scanRates();
+  const values = rates.map(f);
+  const roots = [];
+  for (let i = 1; i < rates.length; i++) {
+    if (!Number.isFinite(values[i - 1]) || !Number.isFinite(values[i])) continue;
+    if (values[i - 1] === 0) roots.push(rates[i - 1]);
+    else if (Math.sign(values[i - 1]) === -Math.sign(values[i])) roots.push(bisect(f, rates[i - 1], rates[i]));
+  }
+  return roots;
+};
+
+const nearest = (roots, guess) => (roots.length === 0 ? null : roots.reduce((best, r) => (Math.abs(r - guess) < Math.abs(best - guess) ? r : best)));
+
+const newton = (f, df, guess) => {
+  let rate = guess;
+  for (let i = 0; i < 100; i++) {
+    const newRate = rate - f(rate) / df(rate);
+    if (!Number.isFinite(newRate) || newRate <= -1) return null;
+    if (Math.abs(newRate - rate) < IRR_TOLERANCE) return newRate;
+    rate = newRate;
+  }
+  return null;
+};
+
+const npvAt = (cashFlows) => (rate) => cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+const npvSlopeAt = (cashFlows) => (rate) => cashFlows.reduce((sum, cf, t) => sum - (t * cf) / Math.pow(1 + rate, t + 1), 0);
+
+// Sign changes in the flow sequence (zeros skipped); more than one allows more than one IRR
+export const countSignChanges = (cashFlows) => {
+  const signs = cashFlows.filter(cf => cf !== 0).map(Math.sign);
+  return signs.slice(1).filter((sign, i) => sign !== signs[i]).length;
+};
+
+export const calculateIRR = (cashFlows, guess = 0.1) => {
+  if (countSignChanges(cashFlows) === 0) return null;
+  const f = npvAt(cashFlows);
+  return newton(f, npvSlopeAt(cashFlows), guess) ?? nearest(findRoots(f), guess);
+};
+
+// All IRRs of a flow stream, ascending. A single sign change has exactly one
+// (Descartes), so the scan only runs when there could be several.
+export const findIRRs = (cashFlows) => {
+  if (countSignChanges(cashFlows) <= 1) {
+    const irr = calculateIRR(cashFlows);
+    return irr === null ? [] : [irr];
+  }
+  return findRoots(npvAt(cashFlows));
+};
+
+// Excel MIRR: negative flows discounted to t = 0 at the finance rate, positive
+// flows compounded to the last period at the reinvestment rate
+export const calculateMIRR = (cashFlows, financeRate, reinvestRate) => {
+  const n = cashFlows.length - 1;
+  const pvOutflows = cashFlows.reduce((sum, cf, t) => sum + (cf < 0 ? cf / Math.pow(1 + financeRate, t) : 0), 0);
+  const fvInflows = cashFlows.reduce((sum, cf, t) => sum + (cf > 0 ? cf * Math.pow(1 + reinvestRate, n - t) : 0), 0);
+  if (n < 1 || pvOutflows === 0 || fvInflows === 0) return null;
+  return Math.pow(fvInflows / -pvOutflows, 1 / n) - 1;
+};
+
+// NPV with the first flow at t = 0 (unlike Excel NPV, which discounts it a period)
+export const calculateNPV = (rate, cashFlows) => (
+  cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0)
+);
+
+// XIRR on dated flows ([{ date: 'YYYY-MM-DD', amount }]), Actual/365 like
+// Excel, with the same bracketing fallback as calculateIRR
+export const calculateXIRR = (flows, guess = 0.1) => {
+  if (countSignChanges(flows.map(flow => flow.amount)) === 0) return null;
+  const start = Date.parse(flows[0].date);
+  const years = flows.map(flow => (Date.parse(flow.date) - start) / (365 * 86400000));
+  const f = (rate) => flows.reduce((sum, flow, t) => sum + flow.amount / Math.pow(1 + rate, years[t]), 0);
+  const df = (rate) => flows.reduce((sum, flow, t) => sum - (years[t] * flow.amount) / Math.pow(1 + rate, years[t] + 1), 0);
+  return newton(f, df, guess) ?? nearest(findRoots(f), guess);
+};
+
+// Level monthly payment on a fully amortizing loan (Excel PMT, sign flipped).
+// At a 0% rate the PMT formula is 0 / 0; the loan just amortizes straight-line.
+export const monthlyPayment = (principal, monthlyRate, totalMonths) => {
+  if (totalMonths <= 0) return principal;
+  if (monthlyRate === 0) return principal / totalMonths;
+  return (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -totalMonths));
+};
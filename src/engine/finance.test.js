@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { calculateIRR, calculateXIRR, monthlyPayment } from './finance.js';
+
+// Expected values are the worked examples in Excel's function help
+describe('calculateIRR', () => {
+  const flows = [-70000, 12000, 15000, 18000, 21000, 26000];
+
+  it('matches Excel IRR', () => {
+    expect(calculateIRR(flows)).toBeCloseTo(0.086630948, 9); // =IRR(A2:A7)
+    expect(calculateIRR(flows.slice(0, 5))).toBeCloseTo(-0.021244848, 9); // =IRR(A2:A6)
+    expect(calculateIRR(flows.slice(0, 3), -0.1)).toBeCloseTo(-0.443506941, 9); // =IRR(A2:A4,-10%)
+  });
+
+  it('is null when the flows never change sign', () => {
+    expect(calculateIRR([100, 200, 300])).toBeNull();
+  });
+});
+
+describe('monthlyPayment', () => {
+  it('matches Excel PMT', () => {
+    expect(monthlyPayment(10000, 0.08 / 12, 10)).toBeCloseTo(1037.03, 2); // =PMT(8%/12, 10, 10000)
+  });
+});
+
+describe('calculateXIRR', () => {
+  it('matches Excel XIRR', () => {
+    const flows = [
+      { date: '2008-01-01', amount: -10000 },
+      { date: '2008-03-01', amount: 2750 },
+      { date: '2008-10-30', amount: 4250 },
+      { date: '2009-02-15', amount: 3250 },
+      { date: '2009-04-01', amount: 2750 },
+    ];
+    expect(calculateXIRR(flows)).toBeCloseTo(0.373362535, 8); // =XIRR(A3:A7, B3:B7, 0.1)
+  });
+});
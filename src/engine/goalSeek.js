@@ -0,0 +1,78 @@
+import { underwrite } from './underwrite.js';
+import { applyOverrides } from './inputs.js';
+
+// --- Goal Seek ---
+//
+// Back-solves one input for a target output by re-running the full
+// underwriting. The metric is scanned across the input's search range to
+// bracket the target, then the bracket nearest the current value is bisected.
+// Bisection rather than Newton: loan sizing, balloons and IRR failures make
+// the response kinked in places, but it stays monotone between kinks.
+
+// Targets are entered the way they are displayed: percents as whole numbers, multiples as x
+export const GOAL_METRICS = {
+  leveredIRR: { label: 'Levered IRR', unit: '%', value: (r) => r.leveredIRR },
+  unleveredIRR: { label: 'Unlevered IRR', unit: '%', value: (r) => r.unleveredIRR },
+  equityMultiple: { label: 'Equity Multiple', unit: 'x', value: (r) => r.equityMultiple },
+  year1Dscr: { label: 'Year-1 DSCR', unit: 'x', value: (r) => (r.schedule[0].debtService > 0 ? r.schedule[0].dscr : null) },
+  avgCoC: { label: 'Avg Cash-on-Cash', unit: '%', value: (r) => r.avgCoC },
+};
+
+// Inputs that can be solved for, with the range searched and the precision applied
+export const GOAL_INPUTS = {
+  purchasePrice: { label: 'Purchase Price', range: (base) => [base * 0.2, base * 3], decimals: 0 },
+  exitCap: { label: 'Exit Cap Rate', range: () => [2, 20], decimals: 3 },
+  ltv: { label: 'LTV', range: () => [0, 90], decimals: 2 },
+};
+
+const SCAN_POINTS = 40;
+const MAX_ITERATIONS = 60;
+
+export const toMetricValue = (metricKey, target) => (GOAL_METRICS[metricKey].unit === '%' ? target / 100 : target);
+
+// Returns { status: 'solved', value, achieved } or { status: 'unreachable', min, max }
+// where min / max are the metric's extremes over the search range
+export const goalSeek = (inputs, metricKey, target, inputKey) => {
+  const metric = GOAL_METRICS[metricKey];
+  const { range, decimals } = GOAL_INPUTS[inputKey];
+  const goal = toMetricValue(metricKey, target);
+  const evaluate = (x) => {
+    const val = metric.value(underwrite(applyOverrides(inputs, { [inputKey]: x })));
+    return val === null || !Number.isFinite(val) ? null : val - goal;
+  };
+
+  // 1. Scan the range for sign changes
+  const [lo, hi] = range(inputs[inputKey]);
+  const points = Array.from({ length: SCAN_POINTS + 1 }, (_, i) => lo + (hi - lo) * (i / SCAN_POINTS));
+  const gaps = points.map(evaluate);
+  const brackets = [];
+  for (let i = 1; i < points.length; i++) {
+    if (gaps[i - 1] !== null && gaps[i] !== null && Math.sign(gaps[i - 1]) !== Math.sign(gaps[i])) {
+      brackets.push([points[i - 1], points[i], gaps[i - 1]]);
+    }
+  }
+  if (brackets.length === 0) {
+    const finite = gaps.filter(g => g !== null).map(g => g + goal);
+    return { status: 'unreachable', min: finite.length ? Math.min(...finite) : null, max: finite.length ? Math.max(...finite) : null };
+  }
+
+  // 2. Bisect the bracket closest to the current input
+  const distance = ([a, b]) => Math.abs((a + b) / 2 - inputs[inputKey]);
+  let [a, b, gapA] = brackets.reduce((best, br) => (distance(br) < distance(best) ? br : best));
+  const tolerance = Math.pow(10, -decimals) / 2;
+  for (let i = 0; i < MAX_ITERATIONS && b - a > tolerance; i++) {
+    const mid = (a + b) / 2;
+    const gapMid = evaluate(mid);
+    if (gapMid === null) break;
+    if (Math.sign(gapMid) === Math.sign(gapA)) {
+      a = mid;
+      gapA = gapMid;
+    } else {
+      b = mid;
+    }
+  }
+
+  const value = Number(((a + b) / 2).toFixed(decimals));
+  const gap = evaluate(value);
+  return { status: 'solved', value, achieved: gap === null ? null : gap + goal };
+};
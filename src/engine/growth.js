@@ -0,0 +1,64 @@
+// --- Growth & Vacancy Curves ---
+//
+// Revenue growth (growthType), applied to GPI or to market rents:
+//   'Annual'     annualGrowthRate every year
+//   'Step-Up'    stepUpRate every stepUpFreq years
+//   'Schedule'   growthSchedule[]: growth (%) into Year 2, Year 3, ...
+//   'CPI'        cpiPath[]: CPI (%) for Year 2, Year 3, ..., held between
+//                cpiFloor and cpiCap
+// Expense growth (expenseGrowthType):
+//   'By Line'    each budget line grows at its own growthRate
+//   'Schedule'   every line follows expenseGrowthSchedule[] (into Year 2, ...)
+// Vacancy (vacancyType):
+//   'Flat'       vacancyRate every year
+//   'Lease-Up'   vacancyPath[]: vacancy (%) for Year 1, Year 2, ...
+//
+// Past the end of a curve its last value carries on; an empty curve is 0%
+// growth, or the flat vacancyRate.
+
+export const GROWTH_TYPES = ['Annual', 'Step-Up', 'Schedule', 'CPI'];
+export const EXPENSE_GROWTH_TYPES = ['By Line', 'Schedule'];
+export const VACANCY_TYPES = ['Flat', 'Lease-Up'];
+
+export const DEFAULT_GROWTH_SCHEDULE = [0, 3.0, 4.0, 3.0, 2.5];
+export const DEFAULT_CPI_PATH = [3.0, 2.75, 2.5, 2.5, 2.25];
+export const DEFAULT_EXPENSE_GROWTH_SCHEDULE = [3.0];
+export const DEFAULT_VACANCY_PATH = [30, 15, 7.5, 5];
+
+// n-th entry of a curve (0-based), carrying the last value forward
+export const curveValue = (curve, n, fallback = 0) => (curve.length > 0 ? curve[Math.min(n, curve.length - 1)] : fallback);
+
+// Revenue growth (%) from the prior year into `year` (2+)
+export const revenueGrowthRate = (inputs, year) => {
+  if (inputs.growthType === 'Schedule') return curveValue(inputs.growthSchedule, year - 2);
+  if (inputs.growthType === 'CPI') return Math.min(Math.max(curveValue(inputs.cpiPath, year - 2), inputs.cpiFloor), inputs.cpiCap);
+  if (inputs.growthType === 'Step-Up') {
+    // Step Up Logic: Increases only if (Year-1) is divisible by Frequency
+    return (year - 1) % inputs.stepUpFreq === 0 ? inputs.stepUpRate : 0;
+  }
+  return inputs.annualGrowthRate;
+};
+
+// Cumulative factor by model year (Year 1 = 1.0) for a growth rate function
+const growthIndex = (years, rateForYear) => {
+  const index = [];
+  let factor = 1;
+  for (let year = 1; year <= years; year++) {
+    if (year > 1) factor *= (1 + rateForYear(year) / 100);
+    index.push(factor);
+  }
+  return index;
+};
+
+export const revenueGrowthIndex = (inputs, years) => growthIndex(years, year => revenueGrowthRate(inputs, year));
+
+// Shared expense index by model year, or null when each line grows at its own rate
+export const expenseGrowthIndex = (inputs, years) => (inputs.expenseGrowthType === 'Schedule'
+  ? growthIndex(years, year => curveValue(inputs.expenseGrowthSchedule, year - 2))
+  : null);
+
+// Vacancy & credit loss (%) for a model year, clamped to 0-100
+export const vacancyRateForYear = (inputs, year) => {
+  const rate = inputs.vacancyType === 'Lease-Up' ? curveValue(inputs.vacancyPath, year - 1, inputs.vacancyRate) : inputs.vacancyRate;
+  return Math.min(Math.max(rate, 0), 100);
+};
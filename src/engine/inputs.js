@@ -0,0 +1,251 @@
+// --- Input Metadata ---
+//
+// Display labels for the scalar numeric inputs, in the order the input cards
+// show them. Tools that vary one input at a time (sensitivity tables, ...)
+// offer these as their choices.
+
+export const INPUT_LABELS = {
+  purchasePrice: 'Purchase Price ($)',
+  capRate: 'Going-In Cap Rate (%)',
+  closingCostsPct: 'Closing Costs (%)',
+  vacancyRate: 'Vacancy Rate (%)',
+  managementFeePct: 'Management Fee (% of EGI)',
+  annualGrowthRate: 'Annual Growth (%)',
+  stepUpRate: 'Step Increase (%)',
+  stepUpFreq: 'Step-Up Freq (Years)',
+  cpiFloor: 'CPI Floor (%)',
+  cpiCap: 'CPI Cap (%)',
+  holdPeriod: 'Hold Period (Years)',
+  ltv: 'LTV (%)',
+  minDscr: 'Min DSCR (x)',
+  minDebtYield: 'Min Debt Yield (%)',
+  interestRate: 'Interest Rate (%)',
+  floatSpread: 'Floating Spread (%)',
+  rateFloor: 'Index Floor (%)',
+  rateCap: 'Index Cap (%)',
+  amortization: 'Amortization (Yrs)',
+  loanTerm: 'Loan Term (Yrs)',
+  ioMonths: 'Interest-Only (Mos)',
+  originationFee: 'Origination Fee (%)',
+  exitCap: 'Exit Cap (%)',
+  saleCosts: 'Sale Costs (%)',
+  discountRate: 'Discount Rate (%)',
+  financeRate: 'MIRR Finance Rate (%)',
+  reinvestRate: 'MIRR Reinvest Rate (%)',
+  landPct: 'Land Allocation (%)',
+  depreciationYears: 'Depreciation Period (Yrs)',
+  ordinaryTaxRate: 'Ordinary Tax Rate (%)',
+  recaptureRate: 'Recapture Tax Rate (%)',
+  capitalGainsRate: 'Capital Gains Rate (%)',
+};
+
+export const NUMERIC_INPUT_KEYS = Object.keys(INPUT_LABELS);
+
+// Inputs that only make sense as whole numbers
+export const INTEGER_INPUT_KEYS = ['stepUpFreq', 'holdPeriod', 'amortization', 'loanTerm', 'ioMonths'];
+
+// Accepted values for each scalar input. The input cards reject anything
+// outside these, and normalizeInputs clamps what arrives from files, share
+// links and the CLI so the engine never divides by zero or indexes past the
+// projection.
+export const INPUT_RANGES = {
+  purchasePrice: { min: 1, max: 1e10 },
+  capRate: { min: 0, max: 30 },
+  closingCostsPct: { min: 0, max: 20 },
+  vacancyRate: { min: 0, max: 100 },
+  managementFeePct: { min: 0, max: 50 },
+  annualGrowthRate: { min: -50, max: 100 },
+  stepUpRate: { min: -50, max: 200 },
+  stepUpFreq: { min: 1, max: 30 },
+  cpiFloor: { min: -50, max: 100 },
+  cpiCap: { min: -50, max: 100 },
+  holdPeriod: { min: 1, max: 30 },
+  ltv: { min: 0, max: 100 },
+  minDscr: { min: 0, max: 10 },
+  minDebtYield: { min: 0, max: 50 },
+  interestRate: { min: 0, max: 50 },
+  floatSpread: { min: 0, max: 20 },
+  rateFloor: { min: 0, max: 50 },
+  rateCap: { min: 0, max: 50 },
+  amortization: { min: 1, max: 50 },
+  loanTerm: { min: 1, max: 50 },
+  ioMonths: { min: 0, max: 600 },
+  originationFee: { min: 0, max: 10 },
+  exitCap: { min: 0.1, max: 50 },
+  saleCosts: { min: 0, max: 20 },
+  discountRate: { min: -50, max: 100 },
+  financeRate: { min: 0, max: 100 },
+  reinvestRate: { min: 0, max: 100 },
+  landPct: { min: 0, max: 100 },
+  depreciationYears: { min: 1, max: 50 },
+  ordinaryTaxRate: { min: 0, max: 100 },
+  recaptureRate: { min: 0, max: 100 },
+  capitalGainsRate: { min: 0, max: 100 },
+};
+
+// { min, max, integer } for an input, as InputField takes it
+export const inputRange = (key) => ({ ...INPUT_RANGES[key], integer: INTEGER_INPUT_KEYS.includes(key) });
+
+const PCT_RANGE = { min: 0, max: 100 };
+const GROWTH_RANGE = { min: -50, max: 100 };
+const AMOUNT_RANGE = { min: 0, max: 1e10 };
+
+// Accepted values for the fields of the nested inputs, which their panels and
+// normalizeInputs use the same way. A range on a list field (stepDown,
+// schedule) covers every entry.
+export const NESTED_INPUT_RANGES = {
+  refinance: {
+    year: { min: 1, max: 30, integer: true },
+    refiCap: { min: 0.01, max: 100 },
+    ltv: PCT_RANGE,
+    minDscr: { min: 0, max: 10 },
+    rate: { min: 0, max: 50 },
+    amortization: { min: 1, max: 50, integer: true },
+    ioMonths: { min: 0, max: 600, integer: true },
+    term: { min: 1, max: 50, integer: true },
+    costsPct: PCT_RANGE,
+    stepDown: PCT_RANGE,
+    treasuryRate: { min: 0, max: 50 },
+    ymFloorPct: PCT_RANGE,
+  },
+  capitalPlan: {
+    renovationBudget: AMOUNT_RANGE,
+    schedule: PCT_RANGE,
+    premiumUnits: { min: 0, max: 1e6, integer: true },
+    premiumPerUnit: AMOUNT_RANGE,
+    reserves: AMOUNT_RANGE,
+    reserveGrowthRate: { min: -50, max: 50 },
+    futureFundingPct: PCT_RANGE,
+  },
+  waterfall: {
+    lpEquityPct: PCT_RANGE,
+    prefRate: PCT_RANGE,
+    catchUpPct: PCT_RANGE,
+  },
+};
+
+// Each promote tier of the waterfall (a hurdle is an IRR % or a multiple)
+export const TIER_RANGES = {
+  hurdle: PCT_RANGE,
+  promote: PCT_RANGE,
+};
+
+// Each entry of the list inputs: tenants and expense budget lines
+export const LIST_INPUT_RANGES = {
+  rentRoll: {
+    sf: { min: 0, max: 1e8 },
+    baseRent: AMOUNT_RANGE,
+    bumpPct: GROWTH_RANGE,
+    renewalProb: PCT_RANGE,
+    marketRent: AMOUNT_RANGE,
+    renewalTerm: { min: 1, max: 50, integer: true },
+    downtimeMonths: { min: 0, max: 600, integer: true },
+    freeRentMonths: { min: 0, max: 600, integer: true },
+    tiPerSf: AMOUNT_RANGE,
+    lcPct: PCT_RANGE,
+  },
+  expenseLines: {
+    amount: AMOUNT_RANGE,
+    growthRate: GROWTH_RANGE,
+    fixedPct: PCT_RANGE,
+  },
+};
+
+// Each year of the per-year curves
+export const CURVE_RANGES = {
+  vacancyPath: PCT_RANGE,
+  growthSchedule: GROWTH_RANGE,
+  cpiPath: GROWTH_RANGE,
+  expenseGrowthSchedule: GROWTH_RANGE,
+  indexCurve: { min: 0, max: 50 },
+};
+
+// Error message for a value outside its range, or null
+export const rangeError = (value, { min, max, integer } = {}) => {
+  if (!Number.isFinite(value)) return 'Not a number';
+  if (integer && !Number.isInteger(value)) return 'Must be a whole number';
+  if (min !== undefined && value < min) return `Must be at least ${min}`;
+  if (max !== undefined && value > max) return `Must be at most ${max}`;
+  return null;
+};
+
+const clampValue = (value, { min = -Infinity, max = Infinity, integer = false }, fallback) => {
+  let next = Number.isFinite(value) ? value : fallback;
+  if (integer) next = Math.round(next);
+  return Math.min(Math.max(next, min), max);
+};
+
+// Fill a nested object's missing fields from `defaults`, then clamp its ranged
+// fields (every entry of a list field)
+const clampFields = (obj, ranges, defaults = {}) => {
+  const next = { ...defaults, ...obj };
+  Object.entries(ranges).forEach(([key, range]) => {
+    const value = next[key];
+    next[key] = Array.isArray(value) ? value.map(v => clampValue(v, range, 0)) : clampValue(value, range, defaults[key] ?? 0);
+  });
+  return next;
+};
+
+const listOr = (value, fallback = []) => (Array.isArray(value) ? value : fallback);
+
+// A YYYY-MM-DD string naming a real calendar day
+export const isISODate = (value) => {
+  if (typeof value !== 'string' || !/^[1-9]\d{3}-\d{2}-\d{2}$/.test(value)) return false;
+  const [y, m, d] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+};
+
+// The closing date, or the default's when it is missing or malformed: every
+// date in the model counts from it
+export const closingDateOf = (inputs, defaults) => (isISODate(inputs.closingDate) ? inputs.closingDate : defaults.closingDate);
+
+// Clamp every ranged input into range (rounding whole-number inputs), the
+// fields of the nested inputs and the curve entries included; a value that is
+// not a number at all falls back to `defaults` (0 inside lists), as does a
+// closing date that is not a YYYY-MM-DD date. A lease start or expiry that is
+// not a date falls back to the closing date: the lease starts, or rolls over,
+// at closing.
+export const normalizeInputs = (inputs, defaults) => {
+  const next = { ...inputs, closingDate: closingDateOf(inputs, defaults) };
+  Object.entries(INPUT_RANGES).forEach(([key, range]) => {
+    next[key] = clampValue(inputs[key], { ...range, integer: INTEGER_INPUT_KEYS.includes(key) }, defaults[key]);
+  });
+  Object.entries(NESTED_INPUT_RANGES).forEach(([key, ranges]) => {
+    next[key] = clampFields(inputs[key] ?? defaults[key], ranges, defaults[key]);
+  });
+  next.waterfall.tiers = listOr(next.waterfall.tiers, defaults.waterfall.tiers).map(tier => clampFields(tier, TIER_RANGES));
+  Object.entries(LIST_INPUT_RANGES).forEach(([key, ranges]) => {
+    next[key] = listOr(inputs[key], defaults[key]).map(item => clampFields(item, ranges));
+  });
+  next.rentRoll = next.rentRoll.map(tenant => ({
+    ...tenant,
+    leaseStart: isISODate(tenant.leaseStart) ? tenant.leaseStart : next.closingDate,
+    leaseExpiry: isISODate(tenant.leaseExpiry) ? tenant.leaseExpiry : next.closingDate,
+  }));
+  Object.entries(CURVE_RANGES).forEach(([key, range]) => {
+    next[key] = listOr(inputs[key], defaults[key]).map(v => clampValue(v, range, 0));
+  });
+  return next;
+};
+
+// Field-level problems in an input set: { key: message }
+export const validateInputs = (inputs) => {
+  const errors = {};
+  Object.keys(INPUT_RANGES).forEach(key => {
+    const error = rangeError(inputs[key], inputRange(key));
+    if (error) errors[key] = error;
+  });
+  return errors;
+};
+
+// Apply what-if overrides to an input set. In 'Cap Rate' mode NOI is price *
+// cap, so repricing the deal holds NOI and moves the going-in cap instead --
+// otherwise "what if we paid less" would also shrink the income.
+export const applyOverrides = (inputs, overrides) => {
+  const next = { ...inputs, ...overrides };
+  if (inputs.incomeMode === 'Cap Rate' && 'purchasePrice' in overrides && !('capRate' in overrides) && next.purchasePrice !== 0) {
+    next.capRate = inputs.capRate * inputs.purchasePrice / next.purchasePrice;
+  }
+  return next;
+};
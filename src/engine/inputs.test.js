@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeInputs } from './inputs.js';
+import { underwrite, DEFAULT_INPUTS } from './underwrite.js';
+import { modelWarnings } from './warnings.js';
+
+describe('normalizeInputs', () => {
+  it('clamps the nested terms like their panels', () => {
+    const inputs = normalizeInputs({
+      ...DEFAULT_INPUTS,
+      refinance: { ...DEFAULT_INPUTS.refinance, term: 0, ltv: 150, stepDown: [5, -2] },
+      capitalPlan: { ...DEFAULT_INPUTS.capitalPlan, futureFundingPct: 200 },
+      waterfall: { ...DEFAULT_INPUTS.waterfall, lpEquityPct: 'abc', tiers: [{ hurdleType: 'IRR', hurdle: 8, promote: 120 }] },
+      rentRoll: [{ ...DEFAULT_INPUTS.rentRoll[0], renewalTerm: 0, sf: -100 }],
+      vacancyPath: [30, 140],
+    }, DEFAULT_INPUTS);
+    expect(inputs.refinance).toMatchObject({ term: 1, ltv: 100, stepDown: [5, 0] });
+    expect(inputs.capitalPlan.futureFundingPct).toBe(100);
+    expect(inputs.waterfall.lpEquityPct).toBe(DEFAULT_INPUTS.waterfall.lpEquityPct);
+    expect(inputs.waterfall.tiers[0].promote).toBe(100);
+    expect(inputs.rentRoll[0]).toMatchObject({ renewalTerm: 1, sf: 0 });
+    expect(inputs.vacancyPath).toEqual([30, 100]);
+  });
+
+  it('fills the missing fields of a partial nested object from the defaults', () => {
+    const inputs = normalizeInputs({
+      ...DEFAULT_INPUTS,
+      capitalPlan: { renovationBudget: 100000 },
+      refinance: { enabled: true, year: 2 },
+      waterfall: { lpEquityPct: 80 },
+    }, DEFAULT_INPUTS);
+    expect(inputs.capitalPlan).toEqual({ ...DEFAULT_INPUTS.capitalPlan, renovationBudget: 100000 });
+    expect(inputs.refinance).toEqual({ ...DEFAULT_INPUTS.refinance, enabled: true, year: 2 });
+    expect(inputs.waterfall).toEqual({ ...DEFAULT_INPUTS.waterfall, lpEquityPct: 80 });
+    // By Year timing: the renovation comes out of cash flow, not the closing equity
+    const calculated = underwrite({ ...DEFAULT_INPUTS, capitalPlan: { renovationBudget: 100000 } });
+    expect(calculated.totalEquity).toBeCloseTo(underwrite(DEFAULT_INPUTS).totalEquity, 6);
+  });
+
+  // A 0-year refi term used to leave the new loan unpaid at the sale
+  it('underwrites a 0-year refinance term as 1 year', () => {
+    const refinance = { ...DEFAULT_INPUTS.refinance, enabled: true };
+    const zero = underwrite({ ...DEFAULT_INPUTS, refinance: { ...refinance, term: 0 } });
+    const one = underwrite({ ...DEFAULT_INPUTS, refinance: { ...refinance, term: 1 } });
+    expect(zero.leveredIRR).toBe(one.leveredIRR);
+  });
+
+  it('falls back to the default closing date unless it is a real YYYY-MM-DD date', () => {
+    ['', '2026-13-01', '2026-02-30', '1/15/2026', undefined].forEach(closingDate => {
+      expect(normalizeInputs({ ...DEFAULT_INPUTS, closingDate }, DEFAULT_INPUTS).closingDate).toBe(DEFAULT_INPUTS.closingDate);
+    });
+    expect(normalizeInputs({ ...DEFAULT_INPUTS, closingDate: '2024-02-29' }, DEFAULT_INPUTS).closingDate).toBe('2024-02-29');
+    expect(underwrite({ ...DEFAULT_INPUTS, closingDate: 'soon' }).exitDate).toBe(underwrite(DEFAULT_INPUTS).exitDate);
+  });
+
+  it('starts and rolls over a lease at closing when its dates are not YYYY-MM-DD dates', () => {
+    const [anchor, ...rest] = DEFAULT_INPUTS.rentRoll;
+    const withDates = (leaseStart, leaseExpiry) => ({ ...DEFAULT_INPUTS, incomeMode: 'Rent Roll', rentRoll: [{ ...anchor, leaseStart, leaseExpiry }, ...rest] });
+    const bad = withDates('07/01/2021', undefined);
+    expect(normalizeInputs(bad, DEFAULT_INPUTS).rentRoll[0]).toMatchObject({ leaseStart: DEFAULT_INPUTS.closingDate, leaseExpiry: DEFAULT_INPUTS.closingDate });
+    const calculated = underwrite(bad);
+    expect(calculated.leveredIRR).toBe(underwrite(withDates(DEFAULT_INPUTS.closingDate, DEFAULT_INPUTS.closingDate)).leveredIRR);
+    expect(modelWarnings(bad, calculated).map(w => w.message)).toEqual(expect.arrayContaining([
+      `Rent roll row 1 (Anchor Tenant): the lease start is not a YYYY-MM-DD date; the model uses the closing date, ${DEFAULT_INPUTS.closingDate}.`,
+      `Rent roll row 1 (Anchor Tenant): the lease expiry is not a YYYY-MM-DD date; the model uses the closing date, ${DEFAULT_INPUTS.closingDate}.`,
+    ]));
+  });
+});
@@ -0,0 +1,122 @@
+// --- Monthly Projection & Period Rollups ---
+//
+// Operating lines are budgeted by model year and spread evenly over its 12
+// months (capital plan spend included); debt, lender draws, refinance flows
+// (in the refinance year's last month), leasing costs and lease expiries are
+// taken from their own monthly schedules. Monthly rows have the same shape as annual schedule
+// rows, so any rollup (model year, calendar year) can feed the Pro Forma.
+
+export const PRO_FORMA_PERIODS = ['Model Year', 'Calendar Year', 'Quarter', 'Month'];
+
+// Flow fields that sum across months
+const SPREAD_FIELDS = ['rentPremium', 'gpi', 'vacancy', 'reimbursements', 'egi', 'managementFee', 'expenses', 'noi', 'reserves', 'capex'];
+const SUM_FIELDS = [
+  ...SPREAD_FIELDS, 'leasingCosts', 'expiringSf', 'debtService', 'acquisitionDebtService', 'refiDebtService', 'interest', 'principal', 'balloon',
+  'futureFunding', 'refiProceeds', 'refiPayoff', 'prepaymentPenalty', 'refiCosts', 'cfUnlevered', 'cfLevered',
+];
+
+// Dates are plain YYYY-MM-DD strings, handled in UTC to stay clear of time zones
+export const parseDate = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+
+export const toISODate = (date) => date.toISOString().slice(0, 10);
+
+export const addMonths = (iso, months) => {
+  const date = parseDate(iso);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate()));
+};
+
+// Last day of the n-th month after closing (n = 1 is the first month)
+export const monthEndDate = (closingDate, n) => {
+  const end = addMonths(closingDate, n);
+  end.setUTCDate(end.getUTCDate() - 1);
+  return toISODate(end);
+};
+
+export const calendarYearKey = (row) => row.startDate.slice(0, 4);
+export const calendarQuarterKey = (row) => `Q${Math.floor((Number(row.startDate.slice(5, 7)) - 1) / 3) + 1} ${row.startDate.slice(0, 4)}`;
+
+export const buildMonthly = (schedule, debtYears, rentRollYears, closingDate, totalSf) => schedule.flatMap((row, yearIdx) => (
+  debtYears[yearIdx].months.map((debt, m) => {
+    const month = yearIdx * 12 + m + 1;
+    const rr = rentRollYears?.[yearIdx].months[m];
+    const spread = Object.fromEntries(SPREAD_FIELDS.map(key => [key, row[key] / 12]));
+    const leasingCosts = rr ? rr.leasingCosts : 0;
+    const expiringSf = rr ? rr.expiringSf : 0;
+    const debtService = debt.interest + debt.principal;
+    const cfUnlevered = spread.noi - leasingCosts - spread.reserves - spread.capex;
+    const refiCashOut = debt.refiProceeds - debt.refiPayoff - debt.prepaymentPenalty - debt.refiCosts;
+
+    return {
+      month,
+      year: row.year,
+      label: addMonths(closingDate, month - 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+      startDate: toISODate(addMonths(closingDate, month - 1)),
+      endDate: monthEndDate(closingDate, month),
+      months: 1,
+      ...spread,
+      expenseLines: row.expenseLines.map(amt => amt / 12),
+      leasingCosts,
+      expiringSf,
+      rolloverPct: totalSf > 0 ? expiringSf / totalSf : 0,
+      startLoanBal: debt.startBalance,
+      rate: debt.rate,
+      debtService,
+      acquisitionDebtService: debt.acquisitionDebtService,
+      refiDebtService: debt.refiDebtService,
+      interest: debt.interest,
+      principal: debt.principal,
+      balloon: debt.balloon,
+      futureFunding: debt.draw,
+      refiProceeds: debt.refiProceeds,
+      refiPayoff: debt.refiPayoff,
+      prepaymentPenalty: debt.prepaymentPenalty,
+      refiCosts: debt.refiCosts,
+      endLoanBal: debt.endBalance,
+      cfUnlevered,
+      cfLevered: cfUnlevered - debtService - debt.balloon + debt.draw + refiCashOut,
+      dscr: debtService > 0 ? spread.noi / debtService : 0,
+      debtYield: debt.startBalance > 0 ? (spread.noi * 12) / debt.startBalance : 0,
+    };
+  })
+));
+
+// Sum monthly rows into periods keyed by keyOf(row); ratios are recomputed
+// per period and debt yield is annualized so partial years compare fairly
+export const rollup = (monthly, keyOf, totalSf) => {
+  const groups = [];
+  monthly.forEach(row => {
+    const key = keyOf(row);
+    let group = groups[groups.length - 1];
+    if (!group || group.label !== key) {
+      group = { label: key, rows: [] };
+      groups.push(group);
+    }
+    group.rows.push(row);
+  });
+
+  return groups.map(({ label, rows }) => {
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const sums = Object.fromEntries(SUM_FIELDS.map(key => [key, rows.reduce((sum, r) => sum + r[key], 0)]));
+    const annualizedNoi = sums.noi * (12 / rows.length);
+    const interestMonths = rows.filter(r => r.startLoanBal > 0);
+    return {
+      ...sums,
+      year: first.year,
+      label,
+      startDate: first.startDate,
+      endDate: last.endDate,
+      months: rows.length,
+      expenseLines: first.expenseLines.map((_, i) => rows.reduce((sum, r) => sum + r.expenseLines[i], 0)),
+      rolloverPct: totalSf > 0 ? sums.expiringSf / totalSf : 0,
+      startLoanBal: first.startLoanBal,
+      endLoanBal: last.endLoanBal,
+      rate: interestMonths.length > 0 ? interestMonths.reduce((sum, r) => sum + r.rate, 0) / interestMonths.length : 0,
+      dscr: sums.debtService > 0 ? sums.noi / sums.debtService : 0,
+      debtYield: first.startLoanBal > 0 ? annualizedNoi / first.startLoanBal : 0,
+    };
+  });
+};
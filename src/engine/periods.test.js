@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { underwrite, DEFAULT_INPUTS } from './underwrite.js';
+
+// Closing on July 1 splits each 12-month model year across two calendar years
+describe('calendar year rollup', () => {
+  const calculated = underwrite({ ...DEFAULT_INPUTS, closingDate: '2026-07-01', holdPeriod: 3 });
+  const [year1, year2, year3] = calculated.schedule;
+
+  it('makes the first and last calendar years partial', () => {
+    expect(calculated.calendarYears.map(({ label, startDate, endDate, months }) => ({ label, startDate, endDate, months }))).toEqual([
+      { label: '2026', startDate: '2026-07-01', endDate: '2026-12-31', months: 6 },
+      { label: '2027', startDate: '2027-01-01', endDate: '2027-12-31', months: 12 },
+      { label: '2028', startDate: '2028-01-01', endDate: '2028-12-31', months: 12 },
+      { label: '2029', startDate: '2029-01-01', endDate: '2029-06-30', months: 6 },
+    ]);
+    expect(calculated.exitDate).toBe('2029-06-30');
+  });
+
+  it('splits each model year between the calendar years it spans', () => {
+    const noi = calculated.calendarYears.map(yr => yr.noi);
+    [year1.noi / 2, (year1.noi + year2.noi) / 2, (year2.noi + year3.noi) / 2, year3.noi / 2].forEach((expected, i) => {
+      expect(noi[i]).toBeCloseTo(expected, 6);
+    });
+    const total = (rows) => rows.reduce((sum, row) => sum + row.cfLevered, 0);
+    expect(total(calculated.calendarYears)).toBeCloseTo(total(calculated.schedule.slice(0, 3)), 6);
+  });
+});
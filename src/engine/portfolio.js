@@ -0,0 +1,133 @@
+import { calculateIRR } from './finance.js';
+import { underwrite, DEFAULT_INPUTS } from './underwrite.js';
+import { normalizeInputs, closingDateOf } from './inputs.js';
+
+// --- Portfolio Rollup ---
+//
+// Combines underwritten deals bought in different years into one fund-level
+// annual cash flow. A holding is a saved deal and the fund year it closes in:
+//   { dealId, acquisitionYear }          (1 = the first year of the fund)
+// and each asset is that deal underwritten:
+//   { id, name, acquisitionYear, inputs (normalized), calculated }
+// An asset's equity goes in at the start of its acquisition year (fund period
+// acquisitionYear - 1) and its Year k cash flow, sale included, lands at the
+// end of fund year acquisitionYear - 1 + k -- the same timing as each deal's
+// cfStream.
+//
+// Output:
+//   years[]             One row per fund period 0..N: { period, equity, noi,
+//                         debtService, cfLevered, saleProceeds, netCashFlow,
+//                         dscr, assetsHeld }; netCashFlow is the sum of the
+//                         assets' cfStream entries for the period
+//   cfStream            netCashFlow by period, for the blended IRR
+//   totalEquity, totalDistributions, profit
+//   leveredIRR          IRR of cfStream; null when undefined
+//   equityMultiple      Total distributions / total equity
+//   weightedDscr        Year 1 NOI / Year 1 debt service over every asset
+//                       (each asset's DSCR weighted by its debt service);
+//                       null without debt
+//   weightedLtv         Acquisition loans / purchase prices
+//   assets[]            Per-asset contribution: { id, name, acquisitionYear,
+//                         exitYear, equity, equityShare, distributions, profit,
+//                         profitShare, leveredIRR, equityMultiple, year1Dscr,
+//                         ltv }
+
+const closingYear = (deal) => Number(closingDateOf(deal.inputs, DEFAULT_INPUTS).slice(0, 4));
+
+// Hold `deal` in the fund year of its closing date, counted from when the
+// fund's first deal closed. A deal that closes before every holding becomes
+// fund year 1 and the other holdings move later by the difference, keeping
+// each deal's real offset.
+export const addHolding = (holdings, deals, deal) => {
+  const held = holdings.map(holding => [holding, deals.find(d => d.id === holding.dealId)]).filter(([, d]) => d);
+  const fundStart = held.length > 0 ? Math.min(...held.map(([holding, d]) => closingYear(d) - holding.acquisitionYear + 1)) : closingYear(deal);
+  const acquisitionYear = closingYear(deal) - fundStart + 1;
+  const shift = Math.max(0, 1 - acquisitionYear);
+  return [
+    ...holdings.map(holding => ({ ...holding, acquisitionYear: holding.acquisitionYear + shift })),
+    { dealId: deal.id, acquisitionYear: acquisitionYear + shift },
+  ];
+};
+
+// Holdings of the saved deals -> assets; holdings of deleted deals are skipped
+export const portfolioAssets = (holdings, deals) => holdings.flatMap(({ dealId, acquisitionYear }) => {
+  const deal = deals.find(d => d.id === dealId);
+  if (!deal) return [];
+  return [{
+    id: deal.id,
+    name: deal.name,
+    acquisitionYear: Math.max(1, Math.round(acquisitionYear) || 1),
+    inputs: normalizeInputs(deal.inputs, DEFAULT_INPUTS),
+    calculated: underwrite(deal.inputs),
+  }];
+});
+
+export const rollupPortfolio = (assets) => {
+  const periods = Math.max(0, ...assets.map(asset => asset.acquisitionYear - 1 + asset.inputs.holdPeriod)) + 1;
+  const years = Array.from({ length: periods }, (_, period) => ({
+    period,
+    equity: 0,
+    noi: 0,
+    debtService: 0,
+    cfLevered: 0,
+    saleProceeds: 0,
+    netCashFlow: 0,
+    dscr: null,
+    assetsHeld: 0,
+  }));
+
+  assets.forEach(({ acquisitionYear, inputs, calculated }) => {
+    const start = acquisitionYear - 1;
+    years[start].equity += calculated.totalEquity;
+    calculated.cfStream.forEach((cf, k) => { years[start + k].netCashFlow += cf; });
+    calculated.schedule.slice(0, inputs.holdPeriod).forEach((row, i) => {
+      const year = years[start + i + 1];
+      year.noi += row.noi;
+      year.debtService += row.debtService;
+      year.cfLevered += row.cfLevered;
+      year.assetsHeld += 1;
+    });
+    years[start + inputs.holdPeriod].saleProceeds += calculated.netSaleProceeds;
+  });
+  years.forEach(year => { year.dscr = year.debtService > 0 ? year.noi / year.debtService : null; });
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const cfStream = years.map(year => year.netCashFlow);
+  const totalEquity = sum(assets.map(asset => asset.calculated.totalEquity));
+  const distributionsOf = (calculated) => sum(calculated.cfStream.slice(1));
+  const totalDistributions = sum(assets.map(asset => distributionsOf(asset.calculated)));
+  const profit = totalDistributions - totalEquity;
+  const year1DebtService = sum(assets.map(asset => asset.calculated.schedule[0].debtService));
+  const totalPrice = sum(assets.map(asset => asset.inputs.purchasePrice));
+
+  return {
+    years,
+    cfStream,
+    totalEquity,
+    totalDistributions,
+    profit,
+    leveredIRR: calculateIRR(cfStream),
+    equityMultiple: totalEquity > 0 ? totalDistributions / totalEquity : 0,
+    weightedDscr: year1DebtService > 0 ? sum(assets.map(asset => asset.calculated.schedule[0].noi)) / year1DebtService : null,
+    weightedLtv: totalPrice > 0 ? sum(assets.map(asset => asset.calculated.loanAmount)) / totalPrice : 0,
+    assets: assets.map(({ id, name, acquisitionYear, inputs, calculated }) => {
+      const distributions = distributionsOf(calculated);
+      const assetProfit = distributions - calculated.totalEquity;
+      return {
+        id,
+        name,
+        acquisitionYear,
+        exitYear: acquisitionYear - 1 + inputs.holdPeriod,
+        equity: calculated.totalEquity,
+        equityShare: totalEquity > 0 ? calculated.totalEquity / totalEquity : 0,
+        distributions,
+        profit: assetProfit,
+        profitShare: profit !== 0 ? assetProfit / profit : 0,
+        leveredIRR: calculated.leveredIRR,
+        equityMultiple: calculated.equityMultiple,
+        year1Dscr: calculated.schedule[0].debtService > 0 ? calculated.schedule[0].dscr : null,
+        ltv: inputs.purchasePrice > 0 ? calculated.loanAmount / inputs.purchasePrice : 0,
+      };
+    }),
+  };
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { addHolding } from './portfolio.js';
+import { DEFAULT_INPUTS } from './underwrite.js';
+
+const deal = (id, closingDate) => ({ id, name: id, inputs: { ...DEFAULT_INPUTS, closingDate } });
+
+describe('addHolding', () => {
+  it('holds a deal in the fund year of its closing date', () => {
+    const deals = [deal('a', '2026-03-01'), deal('b', '2028-06-30')];
+    const holdings = addHolding(addHolding([], deals, deals[0]), deals, deals[1]);
+    expect(holdings).toEqual([{ dealId: 'a', acquisitionYear: 1 }, { dealId: 'b', acquisitionYear: 3 }]);
+  });
+
+  // Both used to land in fund year 1 alongside the 2026 deal
+  it('re-bases the fund on deals that close before its start', () => {
+    const deals = [deal('a', '2026-03-01'), deal('b', '2025-01-15'), deal('c', '2023-09-01')];
+    let holdings = addHolding([], deals, deals[0]);
+    holdings = addHolding(holdings, deals, deals[1]);
+    expect(holdings).toEqual([{ dealId: 'a', acquisitionYear: 2 }, { dealId: 'b', acquisitionYear: 1 }]);
+    holdings = addHolding(holdings, deals, deals[2]);
+    expect(holdings).toEqual([
+      { dealId: 'a', acquisitionYear: 4 },
+      { dealId: 'b', acquisitionYear: 3 },
+      { dealId: 'c', acquisitionYear: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+// --- Property Profile ---
+//
+// The physical asset, for benchmarking against comps:
+//   type          One of PROPERTY_TYPES
+//   rentableSf    Rentable square feet
+//   units         Units (apartments, suites, keys)
+//   yearBuilt     0 when unknown
+//   location      Free text: city, submarket, address
+//
+// Per-SF and per-unit figures are null when the profile has nothing to divide by.
+
+export const PROPERTY_TYPES = ['Multifamily', 'Office', 'Retail', 'Industrial', 'Mixed-Use', 'Other'];
+
+export const DEFAULT_PROPERTY = {
+  type: 'Retail',
+  rentableSf: 12000,
+  units: 3,
+  yearBuilt: 1998,
+  location: '',
+};
+
+// Deals saved before the profile existed start without a size
+export const EMPTY_PROPERTY = { type: 'Other', rentableSf: 0, units: 0, yearBuilt: 0, location: '' };
+
+export const perSf = (amount, property) => (property.rentableSf > 0 ? amount / property.rentableSf : null);
+export const perUnit = (amount, property) => (property.units > 0 ? amount / property.units : null);
+
+export const hasPropertySize = (property) => property.rentableSf > 0 || property.units > 0;
+
+// 'Retail · 12,000 SF · 3 units · Built 1998 · Austin, TX', skipping what is
+// unknown; empty when the profile has nothing but a type
+export const describeProperty = (property) => {
+  const details = [
+    property.rentableSf > 0 && `${property.rentableSf.toLocaleString('en-US')} SF`,
+    property.units > 0 && `${property.units.toLocaleString('en-US')} ${property.units === 1 ? 'unit' : 'units'}`,
+    property.yearBuilt > 0 && `Built ${property.yearBuilt}`,
+    property.location.trim(),
+  ].filter(Boolean);
+  return details.length > 0 ? [property.type, ...details].join(' · ') : '';
+};
@@ -0,0 +1,162 @@
+import { projectDebt } from './debt.js';
+
+// --- Mid-Hold Refinance ---
+//
+// Replaces the acquisition loan at the end of a model year with a new
+// fixed-rate loan sized on that year's NOI:
+//   enabled             Whether the refinance happens
+//   year                Model year it closes at the end of (before the exit year)
+//   sizing              'LTV' (value = NOI / refiCap), 'DSCR' or 'Lesser of Both'
+//   refiCap, ltv        Cap rate (%) the lender values the property at, max LTV (%)
+//   minDscr             Min first-year DSCR (x) on the new loan
+//   rate, amortization, ioMonths, term
+//                       New loan terms (%, years, months, years)
+//   costsPct            Closing costs (% of the new loan)
+//   prepayType          Penalty on the acquisition loan payoff:
+//                         'None'
+//                         'Step-Down'          stepDown[n - 1] % of the balance
+//                                              when prepaid in loan year n
+//                         'Yield Maintenance'  PV at the treasury rate of the
+//                                              note rate over treasury on the
+//                                              scheduled balance to maturity,
+//                                              at least ymFloorPct of the balance
+//                         'Defeasance'         Approximation: PV at the treasury
+//                                              rate of the remaining scheduled
+//                                              payments, less the balance (the
+//                                              same as yield maintenance on a
+//                                              fixed loan, without the floor)
+//   treasuryRate        Replacement yield (%) for yield maintenance / defeasance
+//
+// Future funding ends with the acquisition loan: capital plan spend after the
+// refinance is paid out of cash flow. Cash out = new loan - payoff - penalty -
+// closing costs, paid to equity in the refinance year (negative when the new
+// loan is too small to take out the old one).
+
+export const REFI_SIZING_MODES = ['LTV', 'DSCR', 'Lesser of Both'];
+export const PREPAY_TYPES = ['None', 'Step-Down', 'Yield Maintenance', 'Defeasance'];
+
+export const DEFAULT_REFINANCE = {
+  enabled: false,
+  year: 3,
+  sizing: 'Lesser of Both',
+  refiCap: 8.5,
+  ltv: 70.0,
+  minDscr: 1.30,
+  rate: 6.0,
+  amortization: 30,
+  ioMonths: 0,
+  term: 10,
+  costsPct: 1.0,
+  prepayType: 'Step-Down',
+  stepDown: [5, 4, 3, 2, 1],
+  treasuryRate: 4.0,
+  ymFloorPct: 1.0,
+};
+
+// The refinance closes only inside the hold: after Year 1 starts and before the sale
+export const refinanceYear = (refi, holdPeriod) => (
+  refi.enabled && refi.year >= 1 && refi.year < holdPeriod ? refi.year : null
+);
+
+// The new loan as projectDebt terms
+export const refiLoanTerms = (inputs, refi) => ({
+  ...inputs,
+  rateType: 'Fixed',
+  interestRate: refi.rate,
+  amortization: refi.amortization,
+  ioMonths: refi.ioMonths,
+  loanTerm: refi.term,
+});
+
+// Acquisition loan months after the refinance, as if it ran to maturity
+const remainingMonths = (acquisitionYears, year) => acquisitionYears.slice(year).flatMap(yr => yr.months).filter(m => m.startBalance > 0);
+
+const prepaymentPenalty = (refi, payoff, acquisitionYears, year) => {
+  if (payoff <= 0) return 0;
+  const monthlyTreasury = refi.treasuryRate / 100 / 12;
+  const discount = (k) => Math.pow(1 + monthlyTreasury, -k);
+  const remaining = remainingMonths(acquisitionYears, year);
+  switch (refi.prepayType) {
+    case 'Step-Down':
+      return payoff * ((refi.stepDown[year - 1] ?? 0) / 100);
+    case 'Yield Maintenance': {
+      const spread = remaining.reduce((sum, m, k) => sum + m.startBalance * (m.rate - refi.treasuryRate / 100) / 12 * discount(k + 1), 0);
+      return Math.max(payoff * (refi.ymFloorPct / 100), spread);
+    }
+    case 'Defeasance': {
+      const payments = remaining.reduce((sum, m, k) => sum + (m.interest + m.principal + m.balloon) * discount(k + 1), 0);
+      return Math.max(0, payments - payoff);
+    }
+    default:
+      return 0;
+  }
+};
+
+const NO_FLOWS = { refiProceeds: 0, refiPayoff: 0, prepaymentPenalty: 0, refiCosts: 0 };
+
+// Split a debt year's (and its months') debt service by the loan it belongs to
+const byLoan = (debtService, loan) => ({
+  acquisitionDebtService: loan === 'acquisition' ? debtService : 0,
+  refiDebtService: loan === 'refi' ? debtService : 0,
+});
+const tagYear = (yr, loan) => ({
+  ...yr,
+  ...NO_FLOWS,
+  ...byLoan(yr.debtService, loan),
+  months: yr.months.map(m => ({ ...m, ...NO_FLOWS, ...byLoan(m.interest + m.principal, loan) })),
+});
+
+// Debt years with the refinance spliced in, plus the refinance itself (null
+// when there is none). acquisitionYears must run to the acquisition loan's
+// maturity so the penalty can see its remaining payments.
+export const applyRefinance = (inputs, acquisitionYears, operations, projectionYears) => {
+  const refi = inputs.refinance;
+  const year = refinanceYear(refi, inputs.holdPeriod);
+  const acquisition = acquisitionYears.slice(0, projectionYears).map(yr => tagYear(yr, 'acquisition'));
+  if (year === null) return { debtYears: acquisition, refinance: null };
+
+  // 1. Size the new loan on the refinance year's NOI
+  const noi = operations[year - 1].noi;
+  const terms = refiLoanTerms(inputs, refi);
+  const value = refi.refiCap > 0 ? noi / (refi.refiCap / 100) : 0;
+  const ltvLoan = value * (refi.ltv / 100);
+  const debtConstant = projectDebt(terms, 1, 1)[0].debtService;
+  const dscrLoan = debtConstant > 0 && refi.minDscr > 0 ? noi / refi.minDscr / debtConstant : Infinity;
+  const candidates = { LTV: [['LTV', ltvLoan]], DSCR: [['DSCR', dscrLoan]] }[refi.sizing] ?? [['LTV', ltvLoan], ['DSCR', dscrLoan]];
+  const [binding, sized] = candidates.reduce((min, candidate) => (candidate[1] < min[1] ? candidate : min));
+  const loanAmount = Number.isFinite(sized) ? Math.max(0, sized) : 0;
+
+  // 2. Pay off the acquisition loan at the end of the year
+  const payoff = acquisition[year - 1].endBalance;
+  const penalty = prepaymentPenalty(refi, payoff, acquisitionYears, year);
+  const costs = loanAmount * (refi.costsPct / 100);
+  const flows = { refiProceeds: loanAmount, refiPayoff: payoff, prepaymentPenalty: penalty, refiCosts: costs };
+  const refiYear = acquisition[year - 1];
+  acquisition[year - 1] = {
+    ...refiYear,
+    ...flows,
+    endBalance: loanAmount,
+    months: refiYear.months.map((m, i) => (i === 11 ? { ...m, ...flows, endBalance: loanAmount } : m)),
+  };
+
+  // 3. The new loan runs from the next year
+  const refiYears = projectDebt(terms, loanAmount, projectionYears - year).map(yr => tagYear(yr, 'refi'));
+
+  return {
+    debtYears: [...acquisition.slice(0, year), ...refiYears],
+    refinance: {
+      year,
+      noi,
+      value,
+      ltvLoan,
+      dscrLoan,
+      binding,
+      loanAmount,
+      payoff,
+      penalty,
+      costs,
+      cashOut: loanAmount - payoff - penalty - costs,
+      maturityYear: year + Math.ceil(refi.term),
+    },
+  };
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { projectDebt } from './debt.js';
+import { DEFAULT_REFINANCE, applyRefinance } from './refinance.js';
+import { underwrite, DEFAULT_INPUTS } from './underwrite.js';
+
+// A $1,000,000 interest-only loan at 6% maturing in Year 5, refinanced at the
+// end of Year 3: 24 months of $5,000 interest and the balloon remain.
+//   Step-Down          stepDown[2] = 3% of $1,000,000                  = 30,000.00
+//   Yield Maintenance  =PV(4%/12, 24, -1000000 * (6% - 4%) / 12)       = 38,380.42
+//   Defeasance         =PV(4%/12, 24, -5000, -1000000) - 1000000       = 38,380.42
+// The new loan is 50% of $200,000 NOI at an 8% cap: $1,250,000, less 1% costs.
+const LOAN = { rateType: 'Fixed', interestRate: 6, amortization: 30, loanTerm: 5, ioMonths: 60 };
+const OPERATIONS = Array.from({ length: 6 }, () => ({ noi: 200000 }));
+
+const refinanceWith = (terms) => {
+  const refinance = { ...DEFAULT_REFINANCE, enabled: true, year: 3, sizing: 'LTV', refiCap: 8, ltv: 50, ...terms };
+  return applyRefinance({ ...LOAN, holdPeriod: 5, refinance }, projectDebt(LOAN, 1000000, 5), OPERATIONS, 6).refinance;
+};
+
+describe('applyRefinance', () => {
+  it('sizes the new loan and pays off the acquisition loan', () => {
+    const refinance = refinanceWith({ prepayType: 'None' });
+    expect(refinance).toMatchObject({ binding: 'LTV', loanAmount: 1250000, payoff: 1000000, penalty: 0, costs: 12500 });
+    expect(refinance.cashOut).toBeCloseTo(237500, 6);
+  });
+
+  it('charges the step-down percentage for the prepayment year', () => {
+    const refinance = refinanceWith({ prepayType: 'Step-Down' });
+    expect(refinance.penalty).toBeCloseTo(30000, 6);
+    expect(refinance.cashOut).toBeCloseTo(207500, 6);
+  });
+
+  it('charges yield maintenance on the spread over treasury to maturity', () => {
+    expect(refinanceWith({ prepayType: 'Yield Maintenance' }).penalty).toBeCloseTo(38380.42, 2);
+    // Treasury near the note rate: the 1% floor binds
+    expect(refinanceWith({ prepayType: 'Yield Maintenance', treasuryRate: 5.9 }).penalty).toBeCloseTo(10000, 6);
+  });
+
+  it('charges defeasance as the remaining payments at treasury less the balance', () => {
+    expect(refinanceWith({ prepayType: 'Defeasance' }).penalty).toBeCloseTo(38380.42, 2);
+  });
+});
+
+describe('underwrite with a refinance', () => {
+  it('pays the cash out to equity in the refinance year', () => {
+    const refinance = { ...DEFAULT_INPUTS.refinance, enabled: true, year: 3 };
+    const base = underwrite(DEFAULT_INPUTS);
+    const refinanced = underwrite({ ...DEFAULT_INPUTS, refinance });
+    const { cashOut } = refinanced.refinance;
+    expect(refinanced.schedule[2].cfLevered - base.schedule[2].cfLevered).toBeCloseTo(cashOut, 6);
+    expect(refinanced.cfStream[3]).toBeCloseTo(refinanced.schedule[2].cfLevered, 6);
+    expect(refinanced.schedule.slice(0, 2)).toEqual(base.schedule.slice(0, 2).map(yr => expect.objectContaining({ cfLevered: yr.cfLevered })));
+  });
+});
@@ -0,0 +1,110 @@
+// --- Rent Roll Projection ---
+//
+// Builds income up from individual leases, month by month, and rolls it up
+// into model years (Year 1 = the 12 months starting at closingDate).
+//
+// Each tenant:
+//   suite, tenant        Labels
+//   sf                   Rentable SF
+//   baseRent             Current contract rent ($/SF/yr)
+//   leaseStart           Lease start date (YYYY-MM-DD); anniversaries drive bumps
+//   leaseExpiry          Lease expiry date (YYYY-MM-DD); last month of the lease
+//   bumpPct              Contractual bump (%) on each lease anniversary
+//   renewalProb          Renewal probability (%) on expiry
+//   marketRent           Market rent ($/SF/yr, today's dollars; grown with revenue growth)
+//   renewalTerm          Term of the replacement lease (years)
+//   downtimeMonths       Months vacant before a new tenant takes occupancy
+//   freeRentMonths       Months of free rent granted to a new tenant
+//   tiPerSf              Tenant improvements for a new tenant ($/SF, today's dollars)
+//   lcPct                Leasing commissions (% of total rent over the new term)
+//
+// Rollover is modelled as a probability-weighted blend: the renewing share
+// re-leases at market with no downtime or costs, the new-tenant share bears
+// downtime, free rent and TI/LC.
+
+export const DEFAULT_TENANT = {
+  suite: '',
+  tenant: '',
+  sf: 1000,
+  baseRent: 18,
+  leaseStart: '2024-01-01',
+  leaseExpiry: '2029-12-31',
+  bumpPct: 3.0,
+  renewalProb: 65,
+  marketRent: 18,
+  renewalTerm: 5,
+  downtimeMonths: 6,
+  freeRentMonths: 3,
+  tiPerSf: 15,
+  lcPct: 6.0,
+};
+
+// Whole months from `from` to `to` (both YYYY-MM-DD), ignoring the day
+export const monthIndex = (from, to) => {
+  const [fy, fm] = from.split('-').map(Number);
+  const [ty, tm] = to.split('-').map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+};
+
+// growthIndex[i] is the cumulative revenue growth factor for model year i + 1
+export const projectRentRoll = (rentRoll, closingDate, growthIndex) => {
+  const projectionYears = growthIndex.length;
+  const years = Array.from({ length: projectionYears }, () => ({
+    gpi: 0,
+    downtimeLoss: 0,
+    freeRent: 0,
+    leasingCosts: 0,
+    expiringSf: 0,
+    // Rollover events by month within the year
+    months: Array.from({ length: 12 }, () => ({ leasingCosts: 0, expiringSf: 0 })),
+  }));
+  const totalSf = rentRoll.reduce((sum, t) => sum + t.sf, 0);
+
+  rentRoll.forEach(t => {
+    const newShare = 1 - t.renewalProb / 100;
+    const startIdx = monthIndex(closingDate, t.leaseStart);
+    let expiryIdx = monthIndex(closingDate, t.leaseExpiry);
+    let anniversaryIdx = startIdx;
+    let rent = t.baseRent;
+    // Months before an executed lease starts are lost in full
+    let downtimeEnd = startIdx;
+    let freeRentEnd = startIdx;
+    let lossShare = 1;
+
+    for (let m = 0; m < projectionYears * 12; m++) {
+      const yearIdx = Math.floor(m / 12);
+
+      if (m > expiryIdx) {
+        // -- Rollover --
+        const expiryYear = years[Math.floor(expiryIdx / 12)];
+        if (expiryYear) {
+          expiryYear.expiringSf += t.sf;
+          expiryYear.months[expiryIdx % 12].expiringSf += t.sf;
+        }
+        rent = t.marketRent * growthIndex[yearIdx];
+        anniversaryIdx = m;
+        downtimeEnd = m + t.downtimeMonths;
+        freeRentEnd = downtimeEnd + t.freeRentMonths;
+        lossShare = newShare;
+        expiryIdx = m + t.renewalTerm * 12 - 1;
+
+        const ti = t.tiPerSf * growthIndex[yearIdx] * t.sf;
+        const lc = (t.lcPct / 100) * rent * t.sf * t.renewalTerm;
+        years[yearIdx].leasingCosts += newShare * (ti + lc);
+        years[yearIdx].months[m % 12].leasingCosts += newShare * (ti + lc);
+      } else if (m > Math.max(anniversaryIdx, 0) && (m - anniversaryIdx) % 12 === 0) {
+        rent *= (1 + t.bumpPct / 100);
+      }
+
+      const potential = rent * t.sf / 12;
+      years[yearIdx].gpi += potential;
+      if (m < downtimeEnd) {
+        years[yearIdx].downtimeLoss += potential * lossShare;
+      } else if (m < freeRentEnd) {
+        years[yearIdx].freeRent += potential * lossShare;
+      }
+    }
+  });
+
+  return years.map(y => ({ ...y, rolloverPct: totalSf > 0 ? y.expiringSf / totalSf : 0 }));
+};
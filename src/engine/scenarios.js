@@ -0,0 +1,61 @@
+import { underwrite } from './underwrite.js';
+import { applyOverrides } from './inputs.js';
+
+// --- Scenarios ---
+//
+// A scenario is the deal's base inputs with some scalar inputs overridden:
+//   { id, name, overrides: { exitCap: 9.75, vacancyRate: 8, ... } }
+// Anything not overridden follows the base case, so edits to the base flow
+// through to every scenario. Overrides go through applyOverrides, so
+// repricing a Cap Rate deal holds NOI just as the sensitivity grid does.
+
+// Starting overrides for the usual cases, relative to the current base
+export const SCENARIO_PRESETS = {
+  Upside: (inputs) => ({
+    annualGrowthRate: inputs.annualGrowthRate + 1,
+    vacancyRate: Math.max(inputs.vacancyRate - 2, 0),
+    exitCap: inputs.exitCap - 0.25,
+  }),
+  Downside: (inputs) => ({
+    annualGrowthRate: inputs.annualGrowthRate - 1,
+    vacancyRate: inputs.vacancyRate + 3,
+    exitCap: inputs.exitCap + 0.5,
+  }),
+};
+
+// Summary metrics for the Compare view; `better` says which direction is good
+export const COMPARE_METRICS = [
+  { key: 'totalEquity', label: 'Total Equity', format: 'currency', value: (r) => r.totalEquity },
+  { key: 'leveredIRR', label: 'Levered IRR', format: 'irr', better: 'higher', value: (r) => r.leveredIRR },
+  { key: 'unleveredIRR', label: 'Unlevered IRR', format: 'irr', better: 'higher', value: (r) => r.unleveredIRR },
+  { key: 'afterTaxIRR', label: 'After-Tax IRR', format: 'irr', better: 'higher', value: (r) => r.tax.irr },
+  { key: 'equityMultiple', label: 'Equity Multiple', format: 'multiple', better: 'higher', value: (r) => r.equityMultiple },
+  { key: 'avgCoC', label: 'Avg Cash-on-Cash', format: 'percent', better: 'higher', value: (r) => r.avgCoC },
+  { key: 'salePrice', label: 'Exit Price', format: 'currency', better: 'higher', value: (r) => r.salePrice },
+  { key: 'lowestDscr', label: 'Min DSCR', format: 'multiple', better: 'higher', value: (r) => r.lowestDscr },
+];
+
+// Pro Forma rows compared year by year
+export const COMPARE_ROWS = [
+  { key: 'noi', label: 'Net Operating Income', format: 'currency', better: 'higher' },
+  { key: 'debtService', label: 'Annual Debt Service', format: 'currency' },
+  { key: 'cfLevered', label: 'Cash Flow After Debt', format: 'currency', better: 'higher' },
+  { key: 'dscr', label: 'DSCR', format: 'multiple', better: 'higher' },
+];
+
+export const createScenario = (name, overrides = {}) => ({
+  id: `scenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  overrides,
+});
+
+export const scenarioInputs = (inputs, scenario) => applyOverrides(inputs, scenario.overrides);
+
+// Base case first, then each scenario, all fully underwritten
+export const runScenarios = (inputs, scenarios) => [
+  { id: 'base', name: 'Base Case', overrides: {}, inputs, result: underwrite(inputs) },
+  ...scenarios.map(scenario => {
+    const scenarioSet = scenarioInputs(inputs, scenario);
+    return { ...scenario, inputs: scenarioSet, result: underwrite(scenarioSet) };
+  }),
+];
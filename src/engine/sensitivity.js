@@ -0,0 +1,43 @@
+import { underwrite } from './underwrite.js';
+import { INTEGER_INPUT_KEYS, applyOverrides } from './inputs.js';
+
+// --- Two-Way Sensitivity ---
+//
+// Re-runs the full underwriting for every (row, column) pair of input values
+// and reads one output metric off each result.
+
+export const SENSITIVITY_METRICS = {
+  leveredIRR: { label: 'Levered IRR', value: (r) => r.leveredIRR },
+  equityMultiple: { label: 'Equity Multiple', value: (r) => r.equityMultiple },
+  avgCoC: { label: 'Avg Cash-on-Cash', value: (r) => r.avgCoC },
+  lowestDscr: { label: 'Min DSCR', value: (r) => r.lowestDscr },
+};
+
+// Inclusive range from `from` to `to`; rounded so float steps land on round values
+export const buildRange = (from, to, step, maxPoints = 25) => {
+  if (!(step > 0) || to < from) return [from];
+  const values = [];
+  for (let v = from; v <= to + step / 1e6 && values.length < maxPoints; v += step) {
+    values.push(Math.round(v * 1e8) / 1e8);
+  }
+  return values;
+};
+
+// Five points centred on the base value, stepping ~5% of it
+export const defaultRange = (key, base) => {
+  const isInteger = INTEGER_INPUT_KEYS.includes(key);
+  const magnitude = Math.abs(base) * 0.05;
+  let step = 1;
+  if (!isInteger && magnitude > 0) {
+    const power = Math.pow(10, Math.floor(Math.log10(magnitude)));
+    step = Math.round(magnitude / power) * power;
+  }
+  return { from: base - 2 * step, to: base + 2 * step, step };
+};
+
+export const runSensitivity = (inputs, rowKey, rowValues, colKey, colValues, metricKey) => {
+  const metric = SENSITIVITY_METRICS[metricKey];
+  return rowValues.map(rowValue => colValues.map(colValue => (
+    metric.value(underwrite(applyOverrides(inputs, { [rowKey]: rowValue, [colKey]: colValue })))
+  )));
+};
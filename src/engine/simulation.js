@@ -0,0 +1,187 @@
+import { underwrite } from './underwrite.js';
+
+// --- Monte Carlo Simulation ---
+//
+// Each trial draws one value per enabled variable, applies it to the base
+// inputs and runs the full underwriting, so trials use exactly the same
+// projection as the Pro Forma. Correlations are imposed with a Gaussian
+// copula: correlated standard normals (via Cholesky) are mapped through each
+// variable's own distribution.
+//
+// Variable config: { enabled, dist: 'Normal' | 'Triangular' | 'Uniform',
+//                    mean, sd, min, mode, max }
+
+export const DISTRIBUTIONS = ['Normal', 'Triangular', 'Uniform'];
+
+export const SIM_VARIABLES = {
+  rentGrowth: {
+    label: 'Rent Growth (%)',
+    // Drawn as a flat annual rate, so it replaces any step-up, schedule or CPI curve
+    apply: (inputs, v) => ({ ...inputs, growthType: 'Annual', annualGrowthRate: v }),
+  },
+  expenseGrowth: {
+    label: 'Expense Growth Shift (± pts)',
+    apply: (inputs, v) => ({
+      ...inputs,
+      expenseLines: inputs.expenseLines.map(line => ({ ...line, growthRate: line.growthRate + v })),
+      expenseGrowthSchedule: inputs.expenseGrowthSchedule.map(rate => rate + v),
+    }),
+  },
+  vacancy: {
+    label: 'Vacancy Rate (%)',
+    // Drawn as a flat rate, so it replaces any lease-up path
+    apply: (inputs, v) => ({ ...inputs, vacancyType: 'Flat', vacancyRate: Math.min(Math.max(v, 0), 99) }),
+  },
+  exitCap: {
+    label: 'Exit Cap (%)',
+    apply: (inputs, v) => ({ ...inputs, exitCap: Math.max(v, 0.5) }),
+  },
+  indexShift: {
+    label: 'Index Rate Shift (± pts)',
+    // Only floating-rate debt moves with the index
+    apply: (inputs, v) => ({ ...inputs, indexCurve: inputs.indexCurve.map(rate => rate + v) }),
+  },
+};
+
+export const defaultSimVariables = (inputs) => ({
+  rentGrowth: { enabled: true, dist: 'Normal', mean: inputs.annualGrowthRate, sd: 1.0, min: 0, mode: inputs.annualGrowthRate, max: 4 },
+  expenseGrowth: { enabled: true, dist: 'Normal', mean: 0, sd: 1.0, min: -2, mode: 0, max: 2 },
+  vacancy: { enabled: true, dist: 'Triangular', mean: inputs.vacancyRate, sd: 2, min: Math.max(inputs.vacancyRate - 3, 0), mode: inputs.vacancyRate, max: inputs.vacancyRate + 7 },
+  exitCap: { enabled: true, dist: 'Normal', mean: inputs.exitCap, sd: 0.5, min: inputs.exitCap - 0.75, mode: inputs.exitCap, max: inputs.exitCap + 1 },
+  indexShift: { enabled: inputs.rateType === 'Floating', dist: 'Normal', mean: 0, sd: 1.0, min: -1.5, mode: 0, max: 2 },
+});
+
+// Seeded PRNG (mulberry32) so a run can be reproduced
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Box-Muller standard normal
+const standardNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Map a standard normal draw onto the variable's distribution
+const sampleFrom = (cfg, z) => {
+  if (cfg.dist === 'Normal') return cfg.mean + cfg.sd * z;
+  const u = normalCdf(z);
+  if (cfg.dist === 'Uniform') return cfg.min + (cfg.max - cfg.min) * u;
+  // Triangular inverse CDF
+  const range = cfg.max - cfg.min;
+  if (range <= 0) return cfg.mode;
+  const split = (cfg.mode - cfg.min) / range;
+  return u < split
+    ? cfg.min + Math.sqrt(u * range * (cfg.mode - cfg.min))
+    : cfg.max - Math.sqrt((1 - u) * range * (cfg.max - cfg.mode));
+};
+
+// Lower-triangular L with L * L^T = matrix; throws if not positive definite
+export const cholesky = (matrix) => {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 0) throw new Error('Correlation matrix is not positive definite');
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+export const histogram = (values, bins = 30) => {
+  if (values.length === 0) return [];
+  const min = values[0];
+  const max = values[values.length - 1];
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach(v => { counts[Math.min(Math.floor((v - min) / width), bins - 1)] += 1; });
+  return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+};
+
+const PERCENTILES = [0.05, 0.10, 0.25, 0.50, 0.75, 0.90, 0.95];
+
+// Mean and percentiles are null with no values (e.g. no trial's IRR solved)
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: sorted.length > 0 ? sorted.reduce((sum, v) => sum + v, 0) / sorted.length : null,
+    percentiles: PERCENTILES.map(p => ({ p, value: percentile(sorted, p) })),
+    histogram: histogram(sorted),
+  };
+};
+
+// correlations: { 'rentGrowth:vacancy': -0.4, ... } between enabled variables
+export const runSimulation = ({ inputs, variables, correlations = {}, trials, seed = 1, dscrThreshold }, onProgress) => {
+  const keys = Object.keys(SIM_VARIABLES).filter(key => variables[key]?.enabled);
+  const corr = keys.map((a, i) => keys.map((b, j) => (
+    i === j ? 1 : correlations[`${a}:${b}`] ?? correlations[`${b}:${a}`] ?? 0
+  )));
+  const L = cholesky(corr);
+  const random = createRandom(seed);
+
+  const irrs = [];
+  const multiples = [];
+  let equityLosses = 0;
+  let dscrBreaches = 0;
+  let unsolved = 0;
+
+  for (let trial = 0; trial < trials; trial++) {
+    const independent = keys.map(() => standardNormal(random));
+    const correlated = L.map(row => row.reduce((sum, l, k) => sum + l * independent[k], 0));
+
+    const trialInputs = keys.reduce(
+      (acc, key, i) => SIM_VARIABLES[key].apply(acc, sampleFrom(variables[key], correlated[i])),
+      inputs
+    );
+    const result = underwrite(trialInputs);
+
+    if (result.leveredIRR === null || !Number.isFinite(result.leveredIRR)) unsolved += 1;
+    else irrs.push(result.leveredIRR);
+    multiples.push(result.equityMultiple);
+    // Distributions (incl. sale) fall short of the equity invested
+    if (result.cfStream.reduce((sum, cf) => sum + cf, 0) < 0) equityLosses += 1;
+    if (result.lowestDscr !== null && result.lowestDscr < dscrThreshold) dscrBreaches += 1;
+
+    if (onProgress && (trial + 1) % 250 === 0) onProgress(trial + 1);
+  }
+
+  return {
+    trials,
+    irr: summarize(irrs),
+    equityMultiple: summarize(multiples),
+    probEquityLoss: equityLosses / trials,
+    probDscrBreach: dscrBreaches / trials,
+    unsolvedIrr: unsolved,
+  };
+};
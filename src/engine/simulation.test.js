@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { runSimulation, defaultSimVariables } from './simulation.js';
+import { DEFAULT_INPUTS } from './underwrite.js';
+
+const simulate = (inputs, variables = defaultSimVariables(inputs)) => runSimulation({ inputs, variables, trials: 50, seed: 7, dscrThreshold: 1.2 });
+
+describe('runSimulation', () => {
+  it('summarizes the trial IRRs', () => {
+    const result = simulate(DEFAULT_INPUTS);
+    expect(result.unsolvedIrr).toBe(0);
+    expect(Number.isFinite(result.irr.mean)).toBe(true);
+    expect(result.irr.percentiles.find(p => p.p === 0.5).value).toBeGreaterThan(0);
+  });
+
+  // All debt, no costs: no equity goes in and every year pays out, so no rate
+  // zeroes the NPV. Only the exit cap varies, which keeps the sale positive.
+  it('keeps the IRR summary null rather than 0% when no trial solves', () => {
+    const inputs = { ...DEFAULT_INPUTS, ltv: 100, originationFee: 0, closingCostsPct: 0 };
+    const variables = Object.fromEntries(Object.entries(defaultSimVariables(inputs)).map(([key, v]) => [key, { ...v, enabled: key === 'exitCap' }]));
+    const result = simulate(inputs, variables);
+    expect(result.unsolvedIrr).toBe(50);
+    expect(result.irr.mean).toBeNull();
+    result.irr.percentiles.forEach(({ value }) => expect(value).toBeNull());
+    expect(result.irr.histogram).toEqual([]);
+  });
+});
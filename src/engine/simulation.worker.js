@@ -0,0 +1,11 @@
+import { runSimulation } from './simulation.js';
+
+// Runs the Monte Carlo off the main thread; posts progress every few hundred trials
+self.onmessage = (e) => {
+  try {
+    const result = runSimulation(e.data, (done) => self.postMessage({ type: 'progress', done }));
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,106 @@
+import { calculateIRR } from './finance.js';
+
+// --- After-Tax Analysis ---
+//
+// Federal income tax on the levered investment, layered on the pre-tax model:
+//   Basis          Price plus closing costs (acquisition costs are capitalized),
+//                  split between land (landPct, not depreciable) and improvements;
+//                  renovation spend at closing is all improvements
+//   Depreciation   Straight-line over depreciationYears (27.5 residential,
+//                  39 commercial), full years, until the improvements are
+//                  written off. Renovation spend after closing is depreciated
+//                  the same way from the year after it is spent.
+//   Loan costs     The origination fee amortizes straight-line over the loan
+//                  term; whatever is left is written off when the loan is
+//                  repaid (refinance or sale). Refinance closing costs amortize
+//                  the same way over the new loan's term.
+//   Taxable income NOI - leasing costs - reserves - interest - prepayment
+//                  penalty - depreciation - loan costs, taxed at ordinaryTaxRate. Leasing costs and
+//                  reserves are expensed as incurred, and losses are assumed to offset other income
+//                  (a negative tax is a benefit to the investor).
+//   Sale           Gain = sale price - sale costs - adjusted basis. Gain up to
+//                  the depreciation taken is recaptured at recaptureRate, the
+//                  rest is taxed at capitalGainsRate; a loss is deducted at the
+//                  ordinary rate.
+//
+// Returns:
+//   depreciableBasis, annualDepreciation
+//   byYear[]       { year, noi, leasingCosts, reserves, interest,
+//                    prepaymentPenalty, depreciation,
+//                    loanCostAmortization, taxableIncome, tax, cfLevered,
+//                    cfAfterTax } over the hold
+//   sale           { amountRealized, adjustedBasis, gain, recapture,
+//                    recaptureTax, capitalGain, capitalGainsTax, tax }
+//   cfStream       After-tax levered stream: [-equity, CF1 - tax1, ...,
+//                  CFn + sale - taxn - sale tax]
+//   irr, equityMultiple
+
+export const RECOVERY_PERIODS = [27.5, 39];
+
+export const runTaxAnalysis = (inputs, { schedule, cfStream, totalEquity, closingCosts, capexAtClose, loanFee, refinance, salePrice, saleCosts }) => {
+  const hold = inputs.holdPeriod;
+  const ordinaryRate = inputs.ordinaryTaxRate / 100;
+  const period = inputs.depreciationYears;
+  const depreciableBasis = (inputs.purchasePrice + closingCosts) * (1 - inputs.landPct / 100) + capexAtClose;
+  const annualDepreciation = depreciableBasis / period;
+  // Straight-line write-off of a loan's costs from `start` over `term` years, the rest in year `end`
+  const loanCosts = (year, amount, start, term, end) => {
+    if (year <= start || year > end) return 0;
+    const annual = amount / term;
+    return (year - start <= term ? annual : 0) + (year === end ? Math.max(0, amount - annual * Math.min(end - start, term)) : 0);
+  };
+  const acquisitionLoanEnd = refinance ? refinance.year : hold;
+  // Share of a renovation vintage written off after `years` years in service
+  const depreciatedShare = years => Math.max(0, Math.min(1, years / period));
+  const capexDepreciation = year => schedule.slice(0, year - 1).reduce(
+    (sum, row, i) => sum + row.capex * (depreciatedShare(year - i - 1) - depreciatedShare(year - i - 2)), 0,
+  );
+
+  let accumulatedDepreciation = 0;
+  const byYear = schedule.slice(0, hold).map((row, i) => {
+    const year = i + 1;
+    const depreciation = Math.max(0, Math.min(annualDepreciation, depreciableBasis - annualDepreciation * i)) + capexDepreciation(year);
+    accumulatedDepreciation += depreciation;
+    const loanCostAmortization = loanCosts(year, loanFee, 0, inputs.loanTerm, acquisitionLoanEnd)
+      + (refinance ? loanCosts(year, refinance.costs, refinance.year, inputs.refinance.term, hold) : 0);
+    const taxableIncome = row.noi - row.leasingCosts - row.reserves - row.interest - row.prepaymentPenalty - depreciation - loanCostAmortization;
+    const tax = taxableIncome * ordinaryRate;
+    return {
+      year,
+      noi: row.noi,
+      leasingCosts: row.leasingCosts,
+      reserves: row.reserves,
+      interest: row.interest,
+      prepaymentPenalty: row.prepaymentPenalty,
+      depreciation,
+      loanCostAmortization,
+      taxableIncome,
+      tax,
+      cfLevered: row.cfLevered,
+      cfAfterTax: row.cfLevered - tax,
+    };
+  });
+
+  const amountRealized = salePrice - saleCosts;
+  const costBasis = inputs.purchasePrice + closingCosts + capexAtClose + schedule.slice(0, hold).reduce((sum, row) => sum + row.capex, 0);
+  const adjustedBasis = costBasis - accumulatedDepreciation;
+  const gain = amountRealized - adjustedBasis;
+  const recapture = Math.max(0, Math.min(gain, accumulatedDepreciation));
+  const recaptureTax = recapture * (inputs.recaptureRate / 100);
+  const capitalGain = gain - recapture;
+  const capitalGainsTax = capitalGain * (capitalGain > 0 ? inputs.capitalGainsRate / 100 : ordinaryRate);
+  const sale = { amountRealized, adjustedBasis, gain, recapture, recaptureTax, capitalGain, capitalGainsTax, tax: recaptureTax + capitalGainsTax };
+
+  const afterTaxStream = cfStream.map((cf, i) => (i === 0 ? cf : cf - byYear[i - 1].tax - (i === hold ? sale.tax : 0)));
+  const distributions = afterTaxStream.slice(1).reduce((a, b) => a + b, 0);
+
+  return {
+    depreciableBasis,
+    annualDepreciation,
+    byYear,
+    sale,
+    cfStream: afterTaxStream,
+    irr: calculateIRR(afterTaxStream),
+    equityMultiple: totalEquity > 0 ? distributions / totalEquity : 0,
+  };
+};
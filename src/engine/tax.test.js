@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { runTaxAnalysis } from './tax.js';
+
+// A $1,000,000 purchase with $20,000 of closing costs, 20% land, held 3 years:
+//   Depreciable basis  1,020,000 * 80%          = 816,000.00
+//   Depreciation       816,000 / 39             =  20,923.08 a year, 62,769.23 over the hold
+//   Adjusted basis     1,020,000 - 62,769.23    = 957,230.77
+//   Year 1 tax         (100,000 - 40,000 interest - 20,923.08) * 37% = 14,458.46
+// Sold for $1,200,000 less 2% costs:
+//   Gain               1,176,000 - 957,230.77   = 218,769.23
+//   Recapture          62,769.23 * 25%          =  15,692.31
+//   Capital gain       156,000.00 * 20%         =  31,200.00
+const INPUTS = {
+  holdPeriod: 3,
+  purchasePrice: 1000000,
+  landPct: 20,
+  depreciationYears: 39,
+  loanTerm: 10,
+  ordinaryTaxRate: 37,
+  recaptureRate: 25,
+  capitalGainsRate: 20,
+};
+const ROW = { noi: 100000, leasingCosts: 0, reserves: 0, interest: 40000, prepaymentPenalty: 0, capex: 0, cfLevered: 30000 };
+
+const analyze = (salePrice) => runTaxAnalysis(INPUTS, {
+  schedule: [ROW, ROW, ROW, ROW],
+  cfStream: [-300000, 30000, 30000, 530000],
+  totalEquity: 300000,
+  closingCosts: 20000,
+  capexAtClose: 0,
+  loanFee: 0,
+  refinance: null,
+  salePrice,
+  saleCosts: salePrice * 0.02,
+});
+
+describe('runTaxAnalysis', () => {
+  it('depreciates the improvements and taxes operating income', () => {
+    const tax = analyze(1200000);
+    expect(tax.depreciableBasis).toBeCloseTo(816000, 6);
+    expect(tax.byYear[0].depreciation).toBeCloseTo(20923.08, 2);
+    expect(tax.byYear[0].tax).toBeCloseTo(14458.46, 2);
+  });
+
+  it('recaptures the depreciation taken and taxes the rest of the gain as capital gain', () => {
+    const { sale, cfStream } = analyze(1200000);
+    expect(sale.adjustedBasis).toBeCloseTo(957230.77, 2);
+    expect(sale.gain).toBeCloseTo(218769.23, 2);
+    expect(sale.recapture).toBeCloseTo(62769.23, 2);
+    expect(sale.recaptureTax).toBeCloseTo(15692.31, 2);
+    expect(sale.capitalGain).toBeCloseTo(156000, 6);
+    expect(sale.capitalGainsTax).toBeCloseTo(31200, 6);
+    expect(cfStream[3]).toBeCloseTo(530000 - 14458.46 - 15692.31 - 31200, 1);
+  });
+
+  it('recaptures only the gain when it is less than the depreciation taken', () => {
+    const { sale } = analyze(1000000);
+    expect(sale.gain).toBeCloseTo(22769.23, 2);
+    expect(sale.recapture).toBeCloseTo(22769.23, 2);
+    expect(sale.capitalGain).toBeCloseTo(0, 6);
+  });
+
+  it('deducts a loss on sale at the ordinary rate', () => {
+    const { sale } = analyze(900000);
+    expect(sale.gain).toBeCloseTo(-75230.77, 2);
+    expect(sale.recapture).toBe(0);
+    expect(sale.capitalGainsTax).toBeCloseTo(-75230.77 * 0.37, 1);
+  });
+});
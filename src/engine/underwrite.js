@@ -0,0 +1,525 @@
+import { calculateIRR, calculateXIRR, calculateNPV, calculateMIRR, findIRRs } from './finance.js';
+import { DEFAULT_INDEX_CURVE, projectDebt, sizeLoan } from './debt.js';
+import { DEFAULT_WATERFALL, runWaterfall } from './waterfall.js';
+import { runTaxAnalysis } from './tax.js';
+import { DEFAULT_CAPITAL_PLAN, projectCapitalPlan } from './capitalPlan.js';
+import { DEFAULT_REFINANCE, applyRefinance, refinanceYear } from './refinance.js';
+import { DEFAULT_PROPERTY } from './property.js';
+import { DEFAULT_TENANT, projectRentRoll } from './rentRoll.js';
+import { DEFAULT_EXPENSE_LINES, projectExpenseLines, calculateReimbursements } from './expenses.js';
+import { DEFAULT_GROWTH_SCHEDULE, DEFAULT_CPI_PATH, DEFAULT_EXPENSE_GROWTH_SCHEDULE, DEFAULT_VACANCY_PATH, revenueGrowthIndex, expenseGrowthIndex, vacancyRateForYear } from './growth.js';
+import { normalizeInputs } from './inputs.js';
+import { buildMonthly, rollup, calendarYearKey, calendarQuarterKey, monthEndDate } from './periods.js';
+
+// --- Underwriting Engine ---
+//
+// Pure model: takes a flat inputs object and returns the full pro forma and
+// returns. Shared by the React UI and the headless CLI (bin/underwrite.js).
+//
+// Inputs (percentages are whole numbers, e.g. 6.5 = 6.5%; scalar inputs are
+// clamped into INPUT_RANGES, see inputs.js):
+//   purchasePrice       Purchase price ($)
+//   incomeMode          'Cap Rate' (GPI backed out of price * cap) or
+//                       'Rent Roll' (GPI built up from rentRoll)
+//   capRate             Going-in cap rate (%) - Year 1 NOI = price * cap
+//   closingDate         Closing / analysis start date (YYYY-MM-DD); model years
+//                       and months run from this date
+//   rentRoll[]          Tenant leases (see rentRoll.js), 'Rent Roll' mode only
+//   closingCostsPct     Closing costs (% of price), funded with equity
+//   vacancyRate         Vacancy & credit loss (% of GPI); in 'Rent Roll' mode
+//                       a general vacancy floor, reduced by rollover downtime
+//   vacancyType         'Flat' (vacancyRate) or 'Lease-Up' (vacancyPath[] by
+//                       year; see growth.js)
+//   holdPeriod          Hold period (years); sale at end of this year
+//   growthType          'Annual', 'Step-Up', 'Schedule' or 'CPI' (see growth.js)
+//   annualGrowthRate    GPI growth per year (%) when growthType = 'Annual'
+//   stepUpRate          GPI bump (%) every stepUpFreq years when 'Step-Up'
+//   stepUpFreq          Step-up frequency (years)
+//   growthSchedule[]    Growth (%) into Year 2, 3, ... when 'Schedule'
+//   cpiPath[], cpiFloor, cpiCap
+//                       CPI (%) for Year 2, 3, ..., floored/capped, when 'CPI'
+//   expenseGrowthType   'By Line' (each line's growthRate) or 'Schedule'
+//                       (expenseGrowthSchedule[] for every line)
+//   loanSizing          'LTV' (loan = price * ltv) or 'Constraints'
+//   ltv                 Loan-to-value (% of price); the max LTV under 'Constraints'
+//   minDscr             Min Year 1 DSCR (x), 'Constraints' only
+//   minDebtYield        Min Year 1 debt yield (%), 'Constraints' only
+//   rateType            'Fixed' or 'Floating' (see debt.js)
+//   interestRate        Fixed note rate (%)
+//   indexCurve[], floatSpread, rateFloor, rateCap
+//                       Floating rate: index by year + spread, index floored/capped
+//   amortization        Amortization (years), after any interest-only period
+//   ioMonths            Interest-only months from closing
+//   loanTerm            Loan term (years); the balance balloons at maturity
+//   originationFee      Origination fee (% of loan), funded with equity
+//   exitCap             Exit cap rate (%) applied to forward NOI
+//   saleCosts           Sale costs (% of sale price)
+//   discountRate        Discount rate (%) for NPV
+//   financeRate         MIRR finance rate (%): cost of funding negative flows
+//   reinvestRate        MIRR reinvestment rate (%) earned on distributions
+//   landPct             Share of price + closing costs allocated to land (%)
+//   depreciationYears   Straight-line recovery period for the improvements
+//                       (27.5 residential, 39 commercial)
+//   ordinaryTaxRate     Tax rate (%) on operating income and loan cost write-offs
+//   recaptureRate       Tax rate (%) on gain up to the depreciation taken
+//   capitalGainsRate    Tax rate (%) on the rest of the gain
+//   waterfall           LP / GP partnership terms (see waterfall.js)
+//   expenseLines[]      Operating expense budget (see expenses.js)
+//   managementFeePct    Management fee (% of EGI)
+//   recoveryType        'Gross', 'Modified Gross' or 'NNN' - how tenants
+//                       reimburse the recoverable expense lines
+//   capitalPlan         Renovation budget, rent premiums, replacement reserves
+//                       and lender future funding (see capitalPlan.js)
+//   refinance           Optional mid-hold refinance of the acquisition loan
+//                       (see refinance.js)
+//   property            Type, rentable SF, units, year built and location, for
+//                       per-SF / per-unit metrics (see property.js)
+//
+// Output:
+//   year1NOI, year1Expenses, loanAmount, totalEquity
+//                       Renovation spend at closing is in totalEquity, less
+//                       the lender's share (added to the opening loan balance)
+//   sourcesAndUses      { sources: [{ label, amount }], uses: [...] }; the two sides
+//                       balance. With a capital plan the whole budget is a use,
+//                       funded by future funding and equity out of cash flow
+//   loanSizing          { loanAmount, ltvLoan, dscrLoan, debtYieldLoan, binding }
+//   impliedCapRate      Year 1 NOI / purchase price
+//   growthIndex[]       Revenue growth factor by projection year (Year 1 = 1)
+//   expenseGrowthIndex[]
+//                       Expense growth factor by projection year, or null when
+//                       each line grows at its own rate
+//   vacancyRates[]      Vacancy assumption (%) by projection year
+//   schedule[]          One row per projection year (max(hold + 1, 10) rows):
+//                       { year, rentPremium, gpi, vacancy, reimbursements, egi,
+//                         expenseLines[] (per-line $, same order as inputs),
+//                         managementFee, expenses, noi, leasingCosts, reserves,
+//                         capex, expiringSf, rolloverPct, startLoanBal, rate,
+//                         debtService, acquisitionDebtService, refiDebtService,
+//                         interest, principal, balloon, futureFunding,
+//                         refiProceeds, refiPayoff, prepaymentPenalty,
+//                         refiCosts, endLoanBal, cfUnlevered, cfLevered, dscr,
+//                         debtYield }
+//                       cfUnlevered = NOI - leasing costs - reserves - capex;
+//                       cfLevered adds lender draws and refinance cash out,
+//                       and pays debt service and any balloon inside the
+//                       projection. Debt lines are totals over both loans; in
+//                       the refinance year endLoanBal is the new loan.
+//                       Each row also carries a display label ('Year 1').
+//   monthly[]           Same row shape by month over the hold, plus month,
+//                       startDate, endDate (see periods.js)
+//   calendarYears[], calendarQuarters[]
+//                       Monthly rows summed by calendar period; the first and
+//                       last periods are partial when closing is mid-year
+//   exitDate            Sale date: last day of the hold
+//   datedFlows          XIRR stream: [{ date, amount }], equity at closing,
+//                       monthly cash flow at month end, sale at exitDate
+//   maturityYear        Model year the loan outstanding at exit matures in
+//   maturesBeforeExit   True when that loan matures before the sale
+//   refinance           { year, noi, value, ltvLoan, dscrLoan, binding,
+//                         loanAmount, payoff, penalty, costs, cashOut,
+//                         maturityYear }, or null without a refinance
+//   salePrice           Forward (hold + 1) NOI / exit cap
+//   netSaleProceeds     Sale price less sale costs and loan payoff
+//   cfStream            Levered IRR stream: [-equity, CF1, ..., CFn + sale]
+//   leveredIRR          IRR of cfStream; null when undefined (no rate zeroes
+//                       the NPV). With several IRRs, the one Newton's method
+//                       reaches from 10% (as Excel's IRR does), or the one
+//                       nearest 10% when Newton fails (see finance.js)
+//   leveredIRRs[]       Every IRR of cfStream, ascending; more than one when
+//                       the stream changes sign more than once
+//   leveredMIRR         MIRR of cfStream at financeRate / reinvestRate
+//   leveredXIRR         XIRR of datedFlows (null when undefined)
+//   unleveredCfStream   All-cash stream: [-(price + closing costs + capex at
+//                       closing), CF1, ...,
+//                       CFn + sale net of sale costs]
+//   unleveredIRR, unleveredIRRs[], unleveredMIRR
+//                       As above, for unleveredCfStream
+//   unleveredMultiple   Unlevered distributions / all-cash basis
+//   leveredNPV, unleveredNPV
+//                       NPV of cfStream / unleveredCfStream at discountRate
+//   yieldOnCost         Year 1 NOI / allInBasis
+//   allInBasis          Price + closing costs + loan fee + capital plan spend
+//   cocByYear[]         Levered cash flow / equity for each hold year
+//   paybackYear         First year cumulative distributions (sale included)
+//                       return the equity; null if they never do
+//   profitAttribution   { operations, appreciation, loanPaydown, total }:
+//                       levered cash flow before capex, sale net of costs
+//                       over the all-in basis (price, closing costs, loan
+//                       fee, capex), and principal repaid on both loans net of
+//                       draws and refinance proceeds; the parts sum to total
+//                       profit (distributions less equity)
+//   equityMultiple      Total distributions / equity
+//   avgCoC              Average levered cash flow over the hold / equity
+//   lowestDscr          Min DSCR over the hold (null when there is no debt)
+//   tax                 After-tax analysis (see tax.js): { depreciableBasis,
+//                         annualDepreciation, byYear[], sale, cfStream, irr,
+//                         equityMultiple }
+//   waterfall           LP / GP split of cfStream (see waterfall.js):
+//                       { byYear[], lp: { flows, contributed, distributed, irr,
+//                         multiple }, gp: { ... } }
+
+export const DEFAULT_INPUTS = {
+  purchasePrice: 1725325,
+  incomeMode: 'Cap Rate', // 'Cap Rate' or 'Rent Roll'
+  capRate: 8.97, // Going-in Cap
+  closingDate: '2026-01-01',
+  rentRoll: [
+    { ...DEFAULT_TENANT, suite: '100', tenant: 'Anchor Tenant', sf: 5000, baseRent: 18.0, leaseStart: '2021-07-01', leaseExpiry: '2031-06-30', bumpPct: 2.5, renewalProb: 75, marketRent: 19.0 },
+    { ...DEFAULT_TENANT, suite: '200', tenant: 'Inline Tenant A', sf: 4000, baseRent: 17.5, leaseStart: '2023-03-01', leaseExpiry: '2028-02-29', marketRent: 18.0 },
+    { ...DEFAULT_TENANT, suite: '300', tenant: 'Inline Tenant B', sf: 3000, baseRent: 19.0, leaseStart: '2022-10-01', leaseExpiry: '2027-09-30', renewalProb: 50, marketRent: 19.5 },
+  ],
+  closingCostsPct: 1.0,
+  vacancyRate: 5.0,
+  vacancyType: 'Flat', // 'Flat' or 'Lease-Up'
+  vacancyPath: DEFAULT_VACANCY_PATH,
+  holdPeriod: 5,
+  growthType: 'Annual', // 'Annual', 'Step-Up', 'Schedule' or 'CPI'
+  annualGrowthRate: 2.0,
+  stepUpRate: 10.0,
+  stepUpFreq: 5,
+  growthSchedule: DEFAULT_GROWTH_SCHEDULE,
+  cpiPath: DEFAULT_CPI_PATH,
+  cpiFloor: 1.0,
+  cpiCap: 4.0,
+  expenseGrowthType: 'By Line', // 'By Line' or 'Schedule'
+  expenseGrowthSchedule: DEFAULT_EXPENSE_GROWTH_SCHEDULE,
+  loanSizing: 'LTV', // 'LTV' or 'Constraints'
+  ltv: 65.0,
+  minDscr: 1.25,
+  minDebtYield: 9.0,
+  rateType: 'Fixed', // 'Fixed' or 'Floating'
+  interestRate: 6.5,
+  indexCurve: DEFAULT_INDEX_CURVE,
+  floatSpread: 2.75,
+  rateFloor: 0.0,
+  rateCap: 6.0,
+  amortization: 30,
+  ioMonths: 0,
+  loanTerm: 10,
+  originationFee: 1.0,
+  exitCap: 9.25, // Usually slightly higher than going-in
+  saleCosts: 2.0,
+  discountRate: 8.0,
+  financeRate: 6.5,
+  reinvestRate: 8.0,
+  landPct: 20.0,
+  depreciationYears: 39, // 27.5 residential, 39 commercial
+  ordinaryTaxRate: 37.0,
+  recaptureRate: 25.0,
+  capitalGainsRate: 20.0,
+  expenseLines: DEFAULT_EXPENSE_LINES,
+  managementFeePct: 4.0,
+  recoveryType: 'Gross', // 'Gross', 'Modified Gross' or 'NNN'
+  capitalPlan: DEFAULT_CAPITAL_PLAN,
+  refinance: DEFAULT_REFINANCE,
+  property: DEFAULT_PROPERTY,
+  waterfall: DEFAULT_WATERFALL,
+};
+
+export const underwrite = (rawInputs) => {
+  // Out-of-range inputs are clamped (see INPUT_RANGES) rather than fed through as NaN
+  const inputs = normalizeInputs(rawInputs, DEFAULT_INPUTS);
+
+  // 1. Derived Deal Metrics
+  // Logic Change: We start with NOI from Cap Rate => derive EGI => derive GPI
+  // (Rent Roll mode builds GPI up from the leases instead; see step 2)
+  const useRentRoll = inputs.incomeMode === 'Rent Roll';
+  const capRateNOI = inputs.purchasePrice * (inputs.capRate / 100);
+  const managementFee = inputs.managementFeePct / 100;
+  const sumLines = (amounts) => amounts.reduce((sum, amt) => sum + amt, 0);
+  const sumRecoverable = (amounts) => amounts.reduce((sum, amt, i) => sum + (inputs.expenseLines[i].recoverable ? amt : 0), 0);
+
+  // Year 1 budget is stated at Year 1 occupancy
+  const year1Lines = projectExpenseLines(inputs.expenseLines, 1, 1, 1);
+  const baseRecoverable = sumRecoverable(year1Lines);
+
+  // We project one year past hold to get forward NOI for sale
+  const projectionYears = Math.max(inputs.holdPeriod + 1, 10);
+  const vacancyRates = Array.from({ length: projectionYears }, (_, i) => vacancyRateForYear(inputs, i + 1));
+
+  // EGI has to cover NOI, the budget lines and a management fee charged on EGI itself
+  const capRateOccupancy = 1 - vacancyRates[0] / 100;
+  const year1EGI = (capRateNOI + sumLines(year1Lines)) / (1 - managementFee);
+  const year1Reimbursements = calculateReimbursements(inputs.recoveryType, baseRecoverable, baseRecoverable, capRateOccupancy);
+  // At 100% vacancy there is no rent to back out of the cap rate
+  const grossPotentialIncomeStart = capRateOccupancy > 0 ? (year1EGI - year1Reimbursements) / capRateOccupancy : 0;
+
+  // Revenue growth index (Year 1 = 1.0), applied to GPI or to market rents
+  const growthIndex = revenueGrowthIndex(inputs, projectionYears);
+  const expenseIndex = expenseGrowthIndex(inputs, projectionYears);
+
+  const rentRollYears = useRentRoll ? projectRentRoll(inputs.rentRoll, inputs.closingDate, growthIndex) : null;
+  const capitalPlan = projectCapitalPlan(inputs.capitalPlan, projectionYears, inputs.holdPeriod);
+
+  // 2. Operations (Income & Expenses by Year)
+  const operations = [];
+  let baseOccupancy = capRateOccupancy;
+
+  for (let year = 1; year <= projectionYears; year++) {
+    let gpi, vacancyLoss;
+    let leasingCosts = 0;
+    let expiringSf = 0;
+    let rolloverPct = 0;
+    // Renovation premiums sit on top of in-place rent and see the same vacancy
+    const plan = capitalPlan.years[year - 1];
+    const rentPremium = plan.premium * growthIndex[year - 1];
+    if (useRentRoll) {
+      const rr = rentRollYears[year - 1];
+      gpi = rr.gpi + rentPremium;
+      // General vacancy only bites to the extent rollover downtime doesn't already cover it
+      const generalVacancy = Math.max(0, gpi * (vacancyRates[year - 1] / 100) - rr.downtimeLoss);
+      vacancyLoss = rr.downtimeLoss + rr.freeRent + generalVacancy;
+      ({ leasingCosts, expiringSf, rolloverPct } = rr);
+    } else {
+      gpi = grossPotentialIncomeStart * growthIndex[year - 1] + rentPremium;
+      vacancyLoss = gpi * (vacancyRates[year - 1] / 100);
+    }
+
+    // Economic occupancy drives variable expenses and reimbursements
+    const occupancy = gpi > 0 ? 1 - vacancyLoss / gpi : 0;
+    if (year === 1) baseOccupancy = occupancy;
+    const lineAmounts = projectExpenseLines(inputs.expenseLines, year, occupancy, baseOccupancy, expenseIndex);
+    const reimbursements = calculateReimbursements(inputs.recoveryType, sumRecoverable(lineAmounts), baseRecoverable, occupancy);
+
+    const egi = gpi - vacancyLoss + reimbursements;
+    const managementFeeAmt = egi * managementFee;
+    const expenses = sumLines(lineAmounts) + managementFeeAmt;
+    const noi = egi - expenses;
+
+    operations.push({
+      year,
+      label: `Year ${year}`,
+      rentPremium,
+      gpi,
+      vacancy: vacancyLoss,
+      reimbursements,
+      egi,
+      expenseLines: lineAmounts,
+      managementFee: managementFeeAmt,
+      expenses,
+      noi,
+      leasingCosts,
+      reserves: plan.reserves,
+      capex: plan.capex,
+      expiringSf,
+      rolloverPct,
+    });
+  }
+
+  const year1NOI = operations[0].noi;
+
+  // 3. Loan Sizing & Schedule (Monthly, rolled up by year)
+  const loanSizing = sizeLoan(inputs, year1NOI);
+  const loanAmount = loanSizing.loanAmount;
+  const loanFee = loanAmount * (inputs.originationFee / 100);
+  const closingCostsAmt = inputs.purchasePrice * (inputs.closingCostsPct / 100);
+  // The lender funds its share of renovation spend: at closing, or drawn at the start of each year
+  const futureFunding = inputs.capitalPlan.futureFundingPct / 100;
+  const closingDraw = capitalPlan.atClose * futureFunding;
+  const totalEquity = inputs.purchasePrice + closingCostsAmt + loanFee + capitalPlan.atClose - loanAmount - closingDraw;
+
+  // The acquisition loan runs to maturity (the refinance prices its prepayment
+  // off the remaining payments); draws stop when it is refinanced
+  const refiYear = refinanceYear(inputs.refinance, inputs.holdPeriod);
+  const draws = capitalPlan.years.map((yr, i) => (refiYear !== null && i >= refiYear ? 0 : yr.capex * futureFunding));
+  const acquisitionYears = projectDebt(inputs, loanAmount + closingDraw, Math.max(projectionYears, Math.ceil(inputs.loanTerm)), draws);
+  const { debtYears, refinance } = applyRefinance(inputs, acquisitionYears, operations, projectionYears);
+
+  // Whole-plan sources & uses: renovation spend after closing is funded by lender draws and equity out of cash flow
+  const holdYears = capitalPlan.years.slice(0, inputs.holdPeriod);
+  const capexAfterClose = holdYears.reduce((sum, yr) => sum + yr.capex, 0);
+  const drawsAfterClose = debtYears.slice(0, inputs.holdPeriod).reduce((sum, yr) => sum + yr.draw, 0);
+  const totalCapex = capitalPlan.atClose + capexAfterClose;
+  const futureFundingTotal = closingDraw + drawsAfterClose;
+  const capitalPlanEquity = capexAfterClose - drawsAfterClose;
+  const sourcesAndUses = {
+    sources: [
+      { label: 'Senior Loan', amount: loanAmount },
+      ...(futureFundingTotal > 0 ? [{ label: 'Future Funding', amount: futureFundingTotal }] : []),
+      { label: 'Equity', amount: totalEquity },
+      ...(capitalPlanEquity > 0 ? [{ label: 'Equity (Capital Plan)', amount: capitalPlanEquity }] : []),
+    ],
+    uses: [
+      { label: 'Purchase Price', amount: inputs.purchasePrice },
+      { label: 'Closing Costs', amount: closingCostsAmt },
+      { label: 'Loan Fee', amount: loanFee },
+      ...(totalCapex > 0 ? [{ label: 'Capital Plan', amount: totalCapex }] : []),
+    ],
+  };
+  const maturityYear = refinance ? refinance.maturityYear : Math.ceil(inputs.loanTerm);
+  const maturesBeforeExit = refinance ? refinance.year + inputs.refinance.term < inputs.holdPeriod : inputs.loanTerm < inputs.holdPeriod;
+
+  // 4. Projection Loop
+  const schedule = operations.map((ops) => {
+    // -- Debt Service (Aggregation of 12 months) --
+    const debt = debtYears[ops.year - 1];
+    const debtService = debt.debtService;
+    const cashFlowBeforeDebt = ops.noi - ops.leasingCosts - ops.reserves - ops.capex;
+    const refiCashOut = debt.refiProceeds - debt.refiPayoff - debt.prepaymentPenalty - debt.refiCosts;
+    const cashFlowAfterDebt = cashFlowBeforeDebt - debtService - debt.balloon + debt.draw + refiCashOut;
+
+    // -- Credit Metrics --
+    const dscr = debtService > 0 ? ops.noi / debtService : 0;
+    const debtYield = debt.startBalance > 0 ? ops.noi / debt.startBalance : 0;
+
+    return {
+      ...ops,
+      startLoanBal: debt.startBalance,
+      rate: debt.rate,
+      debtService,
+      acquisitionDebtService: debt.acquisitionDebtService,
+      refiDebtService: debt.refiDebtService,
+      interest: debt.interest,
+      principal: debt.principal,
+      balloon: debt.balloon,
+      futureFunding: debt.draw,
+      refiProceeds: debt.refiProceeds,
+      refiPayoff: debt.refiPayoff,
+      prepaymentPenalty: debt.prepaymentPenalty,
+      refiCosts: debt.refiCosts,
+      endLoanBal: debt.endBalance,
+      cfUnlevered: cashFlowBeforeDebt,
+      cfLevered: cashFlowAfterDebt,
+      dscr,
+      debtYield
+    };
+  });
+
+  const year1Expenses = schedule[0].expenses;
+  const impliedCapRate = year1NOI / inputs.purchasePrice;
+
+  // 5. Exit & Returns (at Hold Period)
+  const exitYearIdx = inputs.holdPeriod - 1;
+  const forwardYearIdx = inputs.holdPeriod;
+  const forwardNOI = schedule[forwardYearIdx]?.noi || 0;
+
+  const salePrice = forwardNOI / (inputs.exitCap / 100);
+  const saleCostsAmt = salePrice * (inputs.saleCosts / 100);
+  const loanPayoff = schedule[exitYearIdx].endLoanBal;
+  const netSaleProceeds = salePrice - saleCostsAmt - loanPayoff;
+
+  // Cash Flow Stream for IRR
+  const cfStream = [-totalEquity]; // Year 0
+  for (let i = 0; i < inputs.holdPeriod; i++) {
+    let cf = schedule[i].cfLevered;
+    // Add sale proceeds to final year
+    if (i === inputs.holdPeriod - 1) {
+      cf += netSaleProceeds;
+    }
+    cfStream.push(cf);
+  }
+
+  const leveredIRR = calculateIRR(cfStream);
+
+  // All-cash basis: price plus closing costs in, unlevered cash flow and the sale net of costs out
+  const unleveredCfStream = [-(inputs.purchasePrice + closingCostsAmt + capitalPlan.atClose)];
+  for (let i = 0; i < inputs.holdPeriod; i++) {
+    unleveredCfStream.push(schedule[i].cfUnlevered + (i === inputs.holdPeriod - 1 ? salePrice - saleCostsAmt : 0));
+  }
+  const unleveredIRR = calculateIRR(unleveredCfStream);
+  const leveredIRRs = findIRRs(cfStream);
+  const unleveredIRRs = findIRRs(unleveredCfStream);
+  const leveredMIRR = calculateMIRR(cfStream, inputs.financeRate / 100, inputs.reinvestRate / 100);
+  const unleveredMIRR = calculateMIRR(unleveredCfStream, inputs.financeRate / 100, inputs.reinvestRate / 100);
+  const unleveredMultiple = unleveredCfStream.slice(1).reduce((a, b) => a + b, 0) / -unleveredCfStream[0];
+  const leveredNPV = calculateNPV(inputs.discountRate / 100, cfStream);
+  const unleveredNPV = calculateNPV(inputs.discountRate / 100, unleveredCfStream);
+  const allInBasis = inputs.purchasePrice + closingCostsAmt + loanFee + totalCapex;
+  const yieldOnCost = year1NOI / allInBasis;
+
+  // Monthly projection over the hold, rolled up to calendar periods
+  const totalSf = useRentRoll ? inputs.rentRoll.reduce((sum, t) => sum + t.sf, 0) : 0;
+  const monthly = buildMonthly(schedule.slice(0, inputs.holdPeriod), debtYears, rentRollYears, inputs.closingDate, totalSf);
+  const calendarYears = rollup(monthly, calendarYearKey, totalSf);
+  const calendarQuarters = rollup(monthly, calendarQuarterKey, totalSf);
+  const exitDate = monthEndDate(inputs.closingDate, inputs.holdPeriod * 12);
+
+  // XIRR: equity at closing, cash flow at each month end, sale at exit
+  const datedFlows = [
+    { date: inputs.closingDate, amount: -totalEquity },
+    ...monthly.map(row => ({ date: row.endDate, amount: row.cfLevered })),
+  ];
+  datedFlows[datedFlows.length - 1].amount += netSaleProceeds;
+  const leveredXIRR = calculateXIRR(datedFlows);
+  const totalDistributions = cfStream.reduce((a, b) => a + b, 0) + totalEquity; // Sum of flows after Year 0
+  // Ratios to equity are 0 for a deal financed entirely with debt
+  const perEquity = (amount) => (totalEquity > 0 ? amount / totalEquity : 0);
+  const equityMultiple = perEquity(totalDistributions);
+
+  // LP / GP split of the same stream
+  const waterfall = runWaterfall(cfStream, inputs.waterfall);
+
+  // Income tax on operations and on the sale
+  const tax = runTaxAnalysis(inputs, { schedule, cfStream, totalEquity, closingCosts: closingCostsAmt, capexAtClose: capitalPlan.atClose, loanFee, refinance, salePrice, saleCosts: saleCostsAmt });
+
+  // Average Cash on Cash
+  const totalLeveredCF = schedule.slice(0, inputs.holdPeriod).reduce((sum, yr) => sum + yr.cfLevered, 0);
+  const avgCoC = perEquity(totalLeveredCF / inputs.holdPeriod);
+  const cocByYear = schedule.slice(0, inputs.holdPeriod).map(yr => perEquity(yr.cfLevered));
+
+  // Payback: first year the running total of distributions covers the equity
+  let cumulative = 0;
+  const paybackIdx = cfStream.slice(1).findIndex(cf => (cumulative += cf) >= totalEquity);
+  const paybackYear = paybackIdx === -1 ? null : paybackIdx + 1;
+
+  // Where the profit came from
+  // Capital plan spend counts toward the basis, and lender draws and refinance
+  // principal toward the debt, not toward operations
+  const refiPrincipal = refinance ? refinance.loanAmount - refinance.payoff : 0;
+  const profitAttribution = {
+    operations: totalLeveredCF + capexAfterClose - drawsAfterClose - refiPrincipal,
+    appreciation: salePrice - saleCostsAmt - allInBasis,
+    loanPaydown: loanAmount + closingDraw + drawsAfterClose + refiPrincipal - loanPayoff,
+    total: totalDistributions - totalEquity,
+  };
+
+  // Weakest coverage over the hold (years with debt service only)
+  const debtYearsInHold = schedule.slice(0, inputs.holdPeriod).filter(yr => yr.debtService > 0);
+  const lowestDscr = debtYearsInHold.length > 0 ? Math.min(...debtYearsInHold.map(yr => yr.dscr)) : null;
+
+  return {
+    year1NOI,
+    year1Expenses,
+    impliedCapRate,
+    loanAmount,
+    loanSizing,
+    totalEquity,
+    sourcesAndUses,
+    maturityYear,
+    maturesBeforeExit,
+    refinance,
+    growthIndex,
+    expenseGrowthIndex: expenseIndex,
+    vacancyRates,
+    schedule,
+    monthly,
+    calendarYears,
+    calendarQuarters,
+    exitDate,
+    salePrice,
+    netSaleProceeds,
+    leveredIRR,
+    leveredIRRs,
+    leveredMIRR,
+    leveredXIRR,
+    unleveredCfStream,
+    unleveredIRR,
+    unleveredIRRs,
+    unleveredMIRR,
+    unleveredMultiple,
+    leveredNPV,
+    unleveredNPV,
+    yieldOnCost,
+    allInBasis,
+    datedFlows,
+    equityMultiple,
+    avgCoC,
+    cocByYear,
+    paybackYear,
+    profitAttribution,
+    lowestDscr,
+    cfStream,
+    tax,
+    waterfall
+  };
+};
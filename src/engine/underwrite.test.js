@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { underwrite, DEFAULT_INPUTS } from './underwrite.js';
+
+// The CUMIPMT / CUMPRINC help example (see debt.test.js) as a deal: a $125,000
+// all-debt purchase at a fixed 9% on a 30-year amortization
+const EXCEL_LOAN_DEAL = {
+  ...DEFAULT_INPUTS,
+  purchasePrice: 125000,
+  ltv: 100,
+  loanSizing: 'LTV',
+  rateType: 'Fixed',
+  interestRate: 9,
+  amortization: 30,
+  loanTerm: 30,
+  ioMonths: 0,
+};
+
+describe('underwrite debt schedule', () => {
+  const calculated = underwrite(EXCEL_LOAN_DEAL);
+
+  it('matches CUMIPMT / CUMPRINC for Year 2', () => {
+    expect(calculated.loanAmount).toBe(125000);
+    expect(calculated.schedule[1].interest).toBeCloseTo(11135.23213, 5);
+    expect(calculated.schedule[1].principal).toBeCloseTo(934.1071234, 6);
+  });
+});
+
+describe('yieldOnCost', () => {
+  it('divides Year 1 NOI by the all-in basis, renovation spend included', () => {
+    const calculated = underwrite({ ...DEFAULT_INPUTS, capitalPlan: { ...DEFAULT_INPUTS.capitalPlan, renovationBudget: 200000 } });
+    const { purchasePrice, closingCostsPct, originationFee } = DEFAULT_INPUTS;
+    const basis = purchasePrice * (1 + closingCostsPct / 100) + calculated.loanAmount * originationFee / 100 + 200000;
+    expect(calculated.allInBasis).toBeCloseTo(basis, 2);
+    expect(calculated.yieldOnCost).toBeCloseTo(calculated.schedule[0].noi / basis, 12);
+  });
+});
+
+describe('equityMultiple', () => {
+  const calculated = underwrite(DEFAULT_INPUTS);
+
+  it('is the distributions after Year 0 over the equity', () => {
+    const distributions = calculated.cfStream.slice(1).reduce((sum, cf) => sum + cf, 0);
+    expect(calculated.equityMultiple).toBeCloseTo(distributions / calculated.totalEquity, 12);
+  });
+
+  it('ties out to the LP and GP multiples combined', () => {
+    const { lp, gp } = calculated.waterfall;
+    expect(calculated.equityMultiple).toBeCloseTo((lp.distributed + gp.distributed) / (lp.contributed + gp.contributed), 9);
+  });
+});
@@ -0,0 +1,78 @@
+import { INPUT_LABELS, isISODate, normalizeInputs, validateInputs } from './inputs.js';
+import { DEFAULT_INPUTS } from './underwrite.js';
+
+// --- Model Integrity Checks ---
+//
+// Red flags in a finished underwriting, for the warnings panel and the CLI:
+//   [{ level: 'error' | 'warning', message }]
+// Errors mean the model had to adjust an input to run at all; warnings are
+// assumptions a reviewer will ask about.
+
+const yearList = (years) => years.map(yr => yr.year).join(', ');
+
+export const modelWarnings = (inputs, calculated) => {
+  const warnings = [];
+  const model = normalizeInputs(inputs, DEFAULT_INPUTS);
+  const hold = calculated.schedule.slice(0, model.holdPeriod);
+
+  // 1. Inputs outside their range (only reachable from files, links and the CLI)
+  Object.entries(validateInputs(inputs)).forEach(([key, error]) => {
+    warnings.push({ level: 'error', message: `${INPUT_LABELS[key]}: ${error.toLowerCase()}; the model uses ${model[key]}.` });
+  });
+  if (Array.isArray(inputs.rentRoll)) {
+    inputs.rentRoll.forEach((tenant, i) => {
+      const name = `Rent roll row ${i + 1}${tenant.tenant ? ` (${tenant.tenant})` : ''}`;
+      [['leaseStart', 'lease start'], ['leaseExpiry', 'lease expiry']].forEach(([key, label]) => {
+        if (!isISODate(tenant[key])) {
+          warnings.push({ level: 'error', message: `${name}: the ${label} is not a YYYY-MM-DD date; the model uses the closing date, ${model.closingDate}.` });
+        }
+      });
+    });
+  }
+
+  // 2. Assumptions worth a second look
+  if (model.vacancyType === 'Lease-Up') {
+    if (model.incomeMode === 'Cap Rate' && calculated.vacancyRates[0] >= 100) {
+      warnings.push({ level: 'error', message: 'Year 1 vacancy on the lease-up path is 100%: there is no rent to back out of the cap rate, so the property collects none.' });
+    }
+  } else if (inputs.vacancyRate >= 100) {
+    warnings.push({ level: 'error', message: `Vacancy is ${inputs.vacancyRate}%: the property collects no rent.` });
+  }
+  if (model.growthType === 'CPI' && model.cpiFloor > model.cpiCap) {
+    warnings.push({ level: 'warning', message: `The CPI floor (${model.cpiFloor}%) is above the cap (${model.cpiCap}%), so rents grow at the cap every year.` });
+  }
+  const goingInCap = calculated.impliedCapRate * 100;
+  if (model.exitCap < goingInCap) {
+    warnings.push({ level: 'warning', message: `Exit cap (${model.exitCap.toFixed(2)}%) is below the going-in cap (${goingInCap.toFixed(2)}%): the sale price assumes cap rate compression.` });
+  }
+  const negativeYears = hold.filter(yr => yr.cfLevered < 0);
+  if (negativeYears.length > 0) {
+    warnings.push({ level: 'warning', message: `Negative cash flow after debt in Year ${yearList(negativeYears)}; equity has to fund the shortfall.` });
+  }
+  const thinYears = hold.filter(yr => yr.debtService > 0 && yr.dscr < model.minDscr);
+  if (thinYears.length > 0) {
+    warnings.push({ level: 'warning', message: `DSCR is below ${model.minDscr.toFixed(2)}x in Year ${yearList(thinYears)} (low of ${calculated.lowestDscr.toFixed(2)}x).` });
+  }
+  const plan = model.capitalPlan;
+  if (plan.renovationBudget > 0 && plan.timing === 'By Year') {
+    const scheduled = plan.schedule.slice(0, model.holdPeriod).reduce((sum, pct) => sum + pct, 0);
+    if (Math.abs(scheduled - 100) > 0.01) {
+      warnings.push({ level: 'warning', message: `The renovation schedule spends ${scheduled.toFixed(1)}% of the budget within the hold, not 100%.` });
+    }
+  }
+  const refi = model.refinance;
+  if (refi.enabled && !calculated.refinance) {
+    warnings.push({ level: 'warning', message: `Refinance in Year ${refi.year} is outside the ${model.holdPeriod}-year hold, so it is ignored.` });
+  }
+  if (calculated.refinance && calculated.refinance.cashOut < 0) {
+    warnings.push({ level: 'warning', message: `The Year ${calculated.refinance.year} refinance is cash-in: equity has to fund $${Math.round(-calculated.refinance.cashOut).toLocaleString('en-US')} to take out the acquisition loan.` });
+  }
+  const leasedSf = model.rentRoll.reduce((sum, t) => sum + t.sf, 0);
+  if (model.incomeMode === 'Rent Roll' && model.property.rentableSf > 0 && leasedSf > model.property.rentableSf) {
+    warnings.push({ level: 'warning', message: `The rent roll totals ${leasedSf.toLocaleString('en-US')} SF, more than the ${model.property.rentableSf.toLocaleString('en-US')} SF rentable area in the property profile.` });
+  }
+  if (calculated.maturesBeforeExit) {
+    warnings.push({ level: 'warning', message: `Loan matures in Year ${calculated.maturityYear}, before the Year ${model.holdPeriod} exit. The balloon is paid from equity cash flow.` });
+  }
+  return warnings;
+};
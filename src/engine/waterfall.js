@@ -0,0 +1,156 @@
+import { calculateIRR } from './finance.js';
+
+// --- LP / GP Equity Waterfall ---
+//
+// Splits the levered cash flow stream (cfStream) between the LP and GP:
+//   1. Return of capital + preferred return, pari passu by equity share.
+//      The pref accrues on unreturned capital, compounding annually or simple.
+//   2. Optional GP catch-up: catchUpPct of cash goes to the GP as promote
+//      until the promote equals the first tier's share of profits so far.
+//   3. Promote tiers: once the LP has reached a tier's hurdle (an IRR or an
+//      equity multiple), the GP takes `promote`% of further cash off the
+//      top and the remainder is split by equity share.
+// Negative years after closing are treated as capital calls, by equity share.
+//
+// Terms: { lpEquityPct, prefRate, prefType: 'Compounding' | 'Simple',
+//          catchUp, catchUpPct, tiers: [{ hurdleType: 'IRR' | 'Multiple', hurdle, promote }] }
+
+export const PREF_TYPES = ['Compounding', 'Simple'];
+export const HURDLE_TYPES = ['IRR', 'Multiple'];
+
+export const DEFAULT_WATERFALL = {
+  lpEquityPct: 90,
+  prefRate: 8.0,
+  prefType: 'Compounding',
+  catchUp: false,
+  catchUpPct: 100,
+  tiers: [
+    { hurdleType: 'IRR', hurdle: 8.0, promote: 20 },
+    { hurdleType: 'IRR', hurdle: 12.0, promote: 30 },
+    { hurdleType: 'IRR', hurdle: 15.0, promote: 40 },
+  ],
+};
+
+const EPSILON = 1e-6;
+
+export const runWaterfall = (cfStream, terms) => {
+  const lpPct = terms.lpEquityPct / 100;
+  const gpPct = 1 - lpPct;
+  const prefRate = terms.prefRate / 100;
+  const tiers = [...terms.tiers].sort((a, b) => (
+    a.hurdleType === b.hurdleType ? a.hurdle - b.hurdle : (a.hurdleType === 'IRR' ? -1 : 1)
+  ));
+  const firstPromote = tiers.length > 0 ? tiers[0].promote / 100 : 0;
+  const catchUpShare = terms.catchUpPct / 100;
+
+  // Pref state (whole partnership) and LP-only hurdle state
+  let unreturnedCapital = 0;
+  let accruedPref = 0;
+  let lpContributed = 0;
+  let lpDistributed = 0;
+  const irrBalances = tiers.map(() => 0); // LP capital compounded at each IRR hurdle, net of LP distributions
+  let prefProfitPaid = 0;
+  let catchUpPaid = 0;
+
+  const lpFlows = [];
+  const gpFlows = [];
+  const byYear = [];
+
+  // LP cash still needed before the tier's hurdle is met
+  const tierShortfall = (tier, i) => (
+    tier.hurdleType === 'IRR'
+      ? Math.max(0, irrBalances[i])
+      : Math.max(0, (tier.hurdle * lpContributed) - lpDistributed)
+  );
+
+  cfStream.forEach((cf, year) => {
+    // -- Accrual for the year just ended --
+    if (year > 0) {
+      if (terms.prefType === 'Simple') {
+        accruedPref += unreturnedCapital * prefRate;
+      } else {
+        accruedPref += (unreturnedCapital + accruedPref) * prefRate;
+      }
+      tiers.forEach((tier, i) => {
+        if (tier.hurdleType === 'IRR') irrBalances[i] *= (1 + tier.hurdle / 100);
+      });
+    }
+
+    // -- Contributions --
+    if (cf <= 0) {
+      const amount = -cf;
+      unreturnedCapital += amount;
+      lpContributed += amount * lpPct;
+      tiers.forEach((_, i) => { irrBalances[i] += amount * lpPct; });
+      lpFlows.push(-amount * lpPct);
+      gpFlows.push(-amount * gpPct);
+      byYear.push({ year, total: cf, lp: -amount * lpPct, gp: -amount * gpPct, tiers: [] });
+      return;
+    }
+
+    // -- Distributions --
+    let cash = cf;
+    const row = { year, total: cf, lp: 0, gp: 0, tiers: [] };
+    const pay = (name, amount, lpShare) => {
+      if (amount <= EPSILON) return;
+      const lp = amount * lpShare;
+      const gp = amount - lp;
+      row.lp += lp;
+      row.gp += gp;
+      row.tiers.push({ name, lp, gp });
+      lpDistributed += lp;
+      tiers.forEach((_, i) => { irrBalances[i] -= lp; });
+      cash -= amount;
+    };
+
+    // 1. Preferred return, then return of capital (pari passu)
+    const prefPaid = Math.min(cash, accruedPref);
+    accruedPref -= prefPaid;
+    prefProfitPaid += prefPaid;
+    const capitalPaid = Math.min(cash - prefPaid, unreturnedCapital);
+    unreturnedCapital -= capitalPaid;
+    pay('Pref & Return of Capital', prefPaid + capitalPaid, lpPct);
+
+    // 2. GP catch-up towards the first tier's promote
+    if (terms.catchUp && cash > EPSILON && catchUpShare > firstPromote) {
+      const target = (firstPromote * prefProfitPaid) / (catchUpShare - firstPromote);
+      const amount = Math.min(cash, Math.max(0, target - catchUpPaid));
+      catchUpPaid += amount;
+      pay('GP Catch-Up', amount, (1 - catchUpShare) * lpPct);
+    }
+
+    // 3. Promote tiers: split at the highest hurdle reached until the next one is met
+    while (cash > EPSILON) {
+      const reached = tiers.filter((tier, i) => tierShortfall(tier, i) <= EPSILON);
+      const current = reached[reached.length - 1];
+      const promote = current ? current.promote / 100 : 0;
+      const lpShare = (1 - promote) * lpPct;
+      const nextIdx = tiers.findIndex((tier, i) => tierShortfall(tier, i) > EPSILON);
+      const label = current ? `Promote Tier (${current.hurdleType === 'IRR' ? `${current.hurdle}% IRR` : `${current.hurdle}x`})` : 'Pro Rata';
+
+      if (nextIdx === -1 || lpShare <= EPSILON) {
+        pay(label, cash, lpShare);
+        break;
+      }
+      pay(label, Math.min(cash, tierShortfall(tiers[nextIdx], nextIdx) / lpShare), lpShare);
+    }
+
+    lpFlows.push(row.lp);
+    gpFlows.push(row.gp);
+    byYear.push(row);
+  });
+
+  const summarize = (flows) => {
+    const contributed = -flows.filter(f => f < 0).reduce((sum, f) => sum + f, 0);
+    const distributed = flows.filter(f => f > 0).reduce((sum, f) => sum + f, 0);
+    return {
+      flows,
+      contributed,
+      distributed,
+      irr: contributed > 0 ? calculateIRR(flows) : null,
+      multiple: contributed > 0 ? distributed / contributed : null,
+    };
+  };
+
+  return { byYear, lp: summarize(lpFlows), gp: summarize(gpFlows) };
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { runWaterfall } from './waterfall.js';
+
+// 90 / 10 LP / GP with an 8% compounding pref; tier amounts worked by hand
+const TERMS = { lpEquityPct: 90, prefRate: 8, prefType: 'Compounding', catchUp: false, catchUpPct: 100 };
+
+const splits = (result, year) => result.byYear[year].tiers.map(({ name, lp, gp }) => [name, Number(lp.toFixed(2)), Number(gp.toFixed(2))]);
+
+describe('runWaterfall', () => {
+  // $1,000 in, $1,500 out a year later:
+  //   Pref & capital   80 + 1,000 pari passu                    972.00 / 108.00
+  //   8% IRR tier      50 at 72% brings the LP to 900 * 1.12      36.00 /  14.00
+  //   12% IRR tier     the remaining 370 at 63%                  233.10 / 136.90
+  it('pays the pref, then each IRR tier until the next hurdle is met', () => {
+    const result = runWaterfall([-1000, 1500], {
+      ...TERMS,
+      tiers: [{ hurdleType: 'IRR', hurdle: 12, promote: 30 }, { hurdleType: 'IRR', hurdle: 8, promote: 20 }],
+    });
+    expect(splits(result, 1)).toEqual([
+      ['Pref & Return of Capital', 972, 108],
+      ['Promote Tier (8% IRR)', 36, 14],
+      ['Promote Tier (12% IRR)', 233.1, 136.9],
+    ]);
+    expect(result.lp).toMatchObject({ contributed: 900, irr: expect.closeTo(0.379, 9) });
+    expect(result.lp.distributed).toBeCloseTo(1241.1, 9);
+    expect(result.gp.distributed).toBeCloseTo(258.9, 9);
+  });
+
+  //   Pref & capital   80 + 1,000 pari passu                    972.00 / 108.00
+  //   Catch-up         20% of the 80 pref profit: 20 to the GP     0.00 /  20.00
+  //   8% IRR tier      the remaining 400 at 72%                  288.00 / 112.00
+  // The GP's promote is then 20 + 80 = 20% of the $500 profit.
+  it('catches the GP up to the first tier before splitting the rest', () => {
+    const result = runWaterfall([-1000, 1500], {
+      ...TERMS,
+      catchUp: true,
+      tiers: [{ hurdleType: 'IRR', hurdle: 8, promote: 20 }],
+    });
+    expect(splits(result, 1)).toEqual([
+      ['Pref & Return of Capital', 972, 108],
+      ['GP Catch-Up', 0, 20],
+      ['Promote Tier (8% IRR)', 288, 112],
+    ]);
+  });
+
+  // $1,000 in, nothing in Year 1, $1,800 in Year 2:
+  //   Pref & capital   166.40 + 1,000 pari passu               1,049.76 / 116.64
+  //   Pro rata         LP reaches 1.5x (1,350) at 90%            300.24 /  33.36
+  //   1.5x tier        the remaining 300 at 67.5%                202.50 /  97.50
+  it('splits pro rata until the LP reaches a multiple hurdle', () => {
+    const result = runWaterfall([-1000, 0, 1800], {
+      ...TERMS,
+      tiers: [{ hurdleType: 'Multiple', hurdle: 1.5, promote: 25 }],
+    });
+    expect(splits(result, 2)).toEqual([
+      ['Pref & Return of Capital', 1049.76, 116.64],
+      ['Pro Rata', 300.24, 33.36],
+      ['Promote Tier (1.5x)', 202.5, 97.5],
+    ]);
+    expect(result.lp.multiple).toBeCloseTo(1.725, 9);
+  });
+});
@@ -0,0 +1,9 @@
+// Save generated content (bytes or text) as a file from the browser
+export const downloadFile = (filename, data, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,556 @@
+import { buildXlsx, columnName, sheetRef } from './xlsx.js';
+import { noteRate, projectDebt } from '../engine/debt.js';
+import { refiLoanTerms, refinanceYear } from '../engine/refinance.js';
+import { perSf, perUnit } from '../engine/property.js';
+import { curveValue, revenueGrowthRate } from '../engine/growth.js';
+import { normalizeInputs } from '../engine/inputs.js';
+import { DEFAULT_INPUTS } from '../engine/underwrite.js';
+
+// --- Excel Workbook Export ---
+//
+// Lays the model out the way the Excel Formula Guide describes: an Inputs
+// sheet of named cells, a Pro Forma with Year 0 equity in column F and
+// Year 1 in column G, and a monthly Debt schedule that the Pro Forma sums by
+// year. Every calculated cell is a live formula whose cached value is the
+// engine's own number, so the file opens tied out to the app.
+//
+// Rent Roll mode: GPI, vacancy and leasing costs come from the lease-by-lease
+// projection and are written as values; everything below them stays live
+// (GPI adds the live renovation premium to the lease-by-lease rent).
+//
+// Refinance: the Debt sheet runs the acquisition loan to maturity in columns
+// D-I (the prepayment penalty is priced off its remaining payments) and the
+// new loan in J-N; the Pro Forma takes each year from the loan outstanding.
+//
+// Per-SF and per-unit figures divide by the property profile's size, and are
+// blank when it has none.
+
+const INPUTS = 'Inputs';
+const PRO_FORMA = 'Pro Forma';
+const DEBT = 'Debt';
+const YEAR_ROW = 5;
+const FIRST_YEAR_COL = 6; // G
+
+// Debt schedule length: the Pro Forma years, or to the acquisition loan's maturity if later
+const debtSheetYears = (inputs) => Math.max(inputs.holdPeriod + 1, Math.ceil(inputs.loanTerm));
+const debtSheetRange = (inputs, col) => sheetRef(DEBT, `$${col}$2:$${col}$${debtSheetYears(inputs) * 12 + 1}`);
+
+// An amount per SF and per unit of the property profile, blank without a size: [{ v, f, s }, { v, f, s }]
+const perSize = (property, amount, formula) => [
+  { v: perSf(amount, property) ?? '', f: `IF(Rentable_SF>0,${formula}/Rentable_SF,"")`, s: 'currencyCents' },
+  { v: perUnit(amount, property) ?? '', f: `IF(Unit_Count>0,${formula}/Unit_Count,"")`, s: 'currency' },
+];
+
+const buildInputsSheet = (inputs, calculated, names) => {
+  const rows = [
+    [{ v: 'Inputs', s: 'bold' }],
+    [{ v: 'Blue cells are inputs; percentages are entered as percents. Everything else is a formula.', s: 'note' }],
+  ];
+  const field = (label, name, cell) => {
+    rows.push([label, cell]);
+    if (name) names[name] = sheetRef(INPUTS, `$B$${rows.length}`);
+  };
+  const section = (title) => rows.push([], [{ v: title, s: 'bold' }]);
+  const pct = (val) => ({ v: val / 100, s: 'inputPercent' });
+  const text = (val) => ({ v: val, s: 'input' });
+  // A curve by model year from `firstYear`, as a named range; the last value carries on
+  const yearValues = (title, name, values, firstYear) => {
+    rows.push([{ v: title, s: 'bold' }]);
+    values.forEach((val, i) => rows.push([`Year ${i + firstYear}${i === values.length - 1 ? ' onward' : ''}`, pct(val)]));
+    names[name] = sheetRef(INPUTS, `$B$${rows.length - values.length + 1}:$B$${rows.length}`);
+  };
+
+  section('Property');
+  field('Property Type', 'Property_Type', text(inputs.property.type));
+  field('Rentable SF', 'Rentable_SF', text(inputs.property.rentableSf));
+  field('Units', 'Unit_Count', text(inputs.property.units));
+  field('Year Built', 'Year_Built', text(inputs.property.yearBuilt));
+  field('Location', 'Location', text(inputs.property.location));
+
+  section('Acquisition');
+  field('Purchase Price', 'Purchase_Price', { v: inputs.purchasePrice, s: 'inputCurrency' });
+  field('Income Basis', 'Income_Basis', text(inputs.incomeMode));
+  field('Going-In Cap Rate', 'Cap_Rate', pct(inputs.capRate));
+  field('Closing Date', 'Closing_Date', text(inputs.closingDate));
+  field('Closing Costs (% of Price)', 'Closing_Costs', pct(inputs.closingCostsPct));
+
+  section('Operations');
+  field('Vacancy (Flat / Lease-Up)', 'Vacancy_Type', text(inputs.vacancyType));
+  field('Vacancy & Credit Loss (Flat)', 'Vacancy_Rate', pct(inputs.vacancyRate));
+  field('Management Fee (% of EGI)', 'Mgmt_Fee', pct(inputs.managementFeePct));
+  field('Expense Recoveries', 'Recovery_Type', text(inputs.recoveryType));
+  field('Expense Growth (By Line / Schedule)', 'Expense_Growth_Type', text(inputs.expenseGrowthType));
+  yearValues('Lease-Up Vacancy Path', 'Vacancy_Path', inputs.vacancyPath.length > 0 ? inputs.vacancyPath : [inputs.vacancyRate], 1);
+  yearValues('Expense Growth Schedule', 'Expense_Growth_Schedule', inputs.expenseGrowthSchedule.length > 0 ? inputs.expenseGrowthSchedule : [0], 2);
+
+  section('Revenue Growth');
+  field('Growth Strategy', 'Growth_Type', text(inputs.growthType));
+  field('Annual Growth', 'Annual_Growth', pct(inputs.annualGrowthRate));
+  field('Step Increase', 'Step_Rate', pct(inputs.stepUpRate));
+  field('Step Frequency (Years)', 'Step_Freq', text(inputs.stepUpFreq));
+  field('CPI Floor', 'CPI_Floor', pct(inputs.cpiFloor));
+  field('CPI Cap', 'CPI_Cap', pct(inputs.cpiCap));
+  field('Hold Period (Years)', 'Hold_Period', text(inputs.holdPeriod));
+  yearValues('Growth Schedule', 'Growth_Schedule', inputs.growthSchedule.length > 0 ? inputs.growthSchedule : [0], 2);
+  yearValues('CPI Path', 'CPI_Path', inputs.cpiPath.length > 0 ? inputs.cpiPath : [0], 2);
+
+  section('Debt');
+  field('Loan Sizing', 'Loan_Sizing', text(inputs.loanSizing));
+  field(inputs.loanSizing === 'Constraints' ? 'Max LTV' : 'LTV', 'Max_LTV', pct(inputs.ltv));
+  field('Min DSCR', 'Min_DSCR', { v: inputs.minDscr, s: 'inputMultiple' });
+  field('Min Debt Yield', 'Min_Debt_Yield', pct(inputs.minDebtYield));
+  field('Rate Type', 'Rate_Type', text(inputs.rateType));
+  field('Fixed Interest Rate', 'Interest_Rate', pct(inputs.interestRate));
+  field('Floating Spread', 'Float_Spread', pct(inputs.floatSpread));
+  field('Index Floor', 'Rate_Floor', pct(inputs.rateFloor));
+  field('Index Cap', 'Rate_Cap', pct(inputs.rateCap));
+  field('Amortization (Years)', 'Amortization', text(inputs.amortization));
+  field('Interest-Only Months', 'IO_Months', text(inputs.ioMonths));
+  field('Loan Term (Years)', 'Loan_Term', text(inputs.loanTerm));
+  field('Origination Fee (% of Loan)', 'Orig_Fee', pct(inputs.originationFee));
+
+  section('Exit');
+  field('Exit Cap Rate', 'Exit_Cap', pct(inputs.exitCap));
+  field('Sale Costs (% of Price)', 'Sale_Costs', pct(inputs.saleCosts));
+  field('Discount Rate (NPV)', 'Discount_Rate', pct(inputs.discountRate));
+  field('MIRR Finance Rate', 'Finance_Rate', pct(inputs.financeRate));
+  field('MIRR Reinvestment Rate', 'Reinvest_Rate', pct(inputs.reinvestRate));
+
+  section('Income Tax');
+  field('Land Allocation', 'Land_Pct', pct(inputs.landPct));
+  field('Depreciation Period (Years)', 'Depreciation_Years', text(inputs.depreciationYears));
+  field('Ordinary Tax Rate', 'Ordinary_Tax_Rate', pct(inputs.ordinaryTaxRate));
+  field('Recapture Tax Rate', 'Recapture_Rate', pct(inputs.recaptureRate));
+  field('Capital Gains Rate', 'Cap_Gains_Rate', pct(inputs.capitalGainsRate));
+
+  const plan = inputs.capitalPlan;
+  section('Capital Plan');
+  field('Renovation Budget', 'Renovation_Budget', { v: plan.renovationBudget, s: 'inputCurrency' });
+  field('Funding (At Close / By Year)', 'Capex_Timing', text(plan.timing));
+  field('Units Renovated', 'Premium_Units', text(plan.premiumUnits));
+  field('Premium per Unit (Monthly)', 'Premium_Per_Unit', { v: plan.premiumPerUnit, s: 'inputCurrency' });
+  field('Replacement Reserves (Year 1)', 'Reserves_Year1', { v: plan.reserves, s: 'inputCurrency' });
+  field('Reserve Growth', 'Reserve_Growth', pct(plan.reserveGrowthRate));
+  field('Lender Future Funding', 'Future_Funding_Pct', pct(plan.futureFundingPct));
+  rows.push([{ v: 'Spend by Year (By Year funding)', s: 'bold' }]);
+  const spend = plan.schedule.length > 0 ? plan.schedule : [0];
+  spend.forEach((share, i) => rows.push([`Year ${i + 1}`, pct(share)]));
+  names.Capex_Schedule = sheetRef(INPUTS, `$B$${rows.length - spend.length + 1}:$B$${rows.length}`);
+
+  const refi = inputs.refinance;
+  section('Refinance');
+  field('Refinance (TRUE / FALSE)', 'Refi_Enabled', { v: refi.enabled, s: 'input' });
+  field('Refinance at End of Year', 'Refi_Year', text(refi.year));
+  field('Sizing (LTV / DSCR / Lesser of Both)', 'Refi_Sizing', text(refi.sizing));
+  field('Refi Cap Rate', 'Refi_Cap', pct(refi.refiCap));
+  field('Max LTV', 'Refi_LTV', pct(refi.ltv));
+  field('Min DSCR', 'Refi_Min_DSCR', { v: refi.minDscr, s: 'inputMultiple' });
+  field('Interest Rate', 'Refi_Rate', pct(refi.rate));
+  field('Amortization (Years)', 'Refi_Amort', text(refi.amortization));
+  field('Interest-Only Months', 'Refi_IO', text(refi.ioMonths));
+  field('Loan Term (Years)', 'Refi_Term', text(refi.term));
+  field('Closing Costs (% of Loan)', 'Refi_Costs_Pct', pct(refi.costsPct));
+  field('Prepayment Penalty', 'Prepay_Type', text(refi.prepayType));
+  field('Treasury Rate', 'Treasury_Rate', pct(refi.treasuryRate));
+  field('Yield Maintenance Floor', 'YM_Floor', pct(refi.ymFloorPct));
+  rows.push([{ v: 'Step-Down Penalty by Loan Year', s: 'bold' }]);
+  const stepDown = refi.stepDown.length > 0 ? refi.stepDown : [0];
+  stepDown.forEach((share, i) => rows.push([`Year ${i + 1}`, pct(share)]));
+  names.Step_Down = sheetRef(INPUTS, `$B$${rows.length - stepDown.length + 1}:$B$${rows.length}`);
+
+  // Expense budget: one row per line, referenced line by line from the Pro Forma
+  section('Expense Budget');
+  rows.push([{ v: 'Line', s: 'bold' }, { v: 'Year 1', s: 'bold' }, { v: 'Growth', s: 'bold' }, { v: 'Fixed %', s: 'bold' }, { v: 'Recoverable', s: 'bold' }]);
+  const lineRows = inputs.expenseLines.map(line => {
+    rows.push([text(line.name), { v: line.amount, s: 'inputCurrency' }, pct(line.growthRate), pct(line.fixedPct), { v: line.recoverable, s: 'input' }]);
+    return rows.length;
+  });
+  if (lineRows.length > 0) {
+    names.Expense_Year1 = sheetRef(INPUTS, `$B$${lineRows[0]}:$B$${lineRows[lineRows.length - 1]}`);
+    names.Expense_Recoverable = sheetRef(INPUTS, `$E$${lineRows[0]}:$E$${lineRows[lineRows.length - 1]}`);
+  }
+
+  section('Index Curve (Floating)');
+  const curve = inputs.indexCurve.length > 0 ? inputs.indexCurve : [0];
+  curve.forEach((rate, i) => rows.push([`Year ${i + 1}${i === curve.length - 1 ? ' onward' : ''}`, pct(rate)]));
+  names.Index_Curve = sheetRef(INPUTS, `$B$${rows.length - curve.length + 1}:$B$${rows.length}`);
+
+  // Cap Rate mode backs GPI out of price x cap (see the Formula Guide, section 1)
+  const capRateNOI = inputs.purchasePrice * (inputs.capRate / 100);
+  const occupancy = 1 - calculated.vacancyRates[0] / 100;
+  const year1Budget = inputs.expenseLines.reduce((sum, line) => sum + line.amount, 0);
+  const baseRecoverable = inputs.expenseLines.reduce((sum, line) => sum + (line.recoverable ? line.amount : 0), 0);
+  const year1EGI = (capRateNOI + year1Budget) / (1 - inputs.managementFeePct / 100);
+  const year1Reimbursements = inputs.recoveryType === 'NNN' ? baseRecoverable * occupancy : 0;
+  const loanFee = calculated.loanAmount * (inputs.originationFee / 100);
+  const closingCosts = inputs.purchasePrice * (inputs.closingCostsPct / 100);
+  const ltvLoan = 'Purchase_Price*Max_LTV';
+  const capexAtClose = plan.timing === 'At Close' ? plan.renovationBudget : 0;
+
+  section('Calculated');
+  field('Year 1 NOI (Price x Cap)', 'Cap_Rate_NOI', { v: capRateNOI, f: 'Purchase_Price*Cap_Rate', s: 'currency' });
+  field('Year 1 Occupancy', 'Cap_Rate_Occupancy', { v: occupancy, f: '1-IF(Vacancy_Type="Lease-Up",INDEX(Vacancy_Path,1),Vacancy_Rate)', s: 'percent' });
+  field('Year 1 Recoverable Expenses', 'Base_Recoverable', { v: baseRecoverable, f: lineRows.length > 0 ? 'SUMIF(Expense_Recoverable,TRUE,Expense_Year1)' : '0', s: 'currency' });
+  field('Year 1 EGI', 'Year1_EGI', { v: year1EGI, f: `(Cap_Rate_NOI+${lineRows.length > 0 ? 'SUM(Expense_Year1)' : '0'})/(1-Mgmt_Fee)`, s: 'currency' });
+  field('Year 1 Reimbursements', 'Year1_Reimbursements', { v: year1Reimbursements, f: 'IF(Recovery_Type="NNN",Base_Recoverable*Cap_Rate_Occupancy,0)', s: 'currency' });
+  field('Year 1 GPI (Cap Rate mode)', 'Base_GPI', { v: (year1EGI - year1Reimbursements) / occupancy, f: '(Year1_EGI-Year1_Reimbursements)/Cap_Rate_Occupancy', s: 'currency' });
+  field('Year 1 Debt Service per $1 of Loan', 'Debt_Constant', {
+    v: projectDebt(inputs, 1, 1)[0].debtService,
+    f: `MIN(IO_Months,12)*${sheetRef(DEBT, '$C$2')}/12+MAX(0,12-IO_Months)*PMT(${sheetRef(DEBT, '$C$2')}/12,Amortization*12,-1)`,
+    s: 'index',
+  });
+  field('Loan Amount', 'Loan_Amount', {
+    v: calculated.loanAmount,
+    f: `IF(Loan_Sizing="Constraints",MAX(0,MIN(${ltvLoan},IF(AND(Debt_Constant>0,Min_DSCR>0),Year1_NOI/Min_DSCR/Debt_Constant,${ltvLoan}),IF(Min_Debt_Yield>0,Year1_NOI/Min_Debt_Yield,${ltvLoan}))),${ltvLoan})`,
+    s: 'currency',
+  });
+  field('Loan Fee', 'Loan_Fee', { v: loanFee, f: 'Loan_Amount*Orig_Fee', s: 'currency' });
+  field('Closing Costs', 'Closing_Costs_Amt', { v: closingCosts, f: 'Purchase_Price*Closing_Costs', s: 'currency' });
+  const [pricePerSf, pricePerUnit] = perSize(inputs.property, inputs.purchasePrice, 'Purchase_Price');
+  field('Price per SF', 'Price_Per_SF', pricePerSf);
+  field('Price per Unit', 'Price_Per_Unit', pricePerUnit);
+  field('Renovation Funded at Closing', 'Capex_At_Close', { v: capexAtClose, f: 'IF(Capex_Timing="At Close",Renovation_Budget,0)', s: 'currency' });
+  field('Lender Draw at Closing', 'Close_Draw', { v: capexAtClose * (plan.futureFundingPct / 100), f: 'Capex_At_Close*Future_Funding_Pct', s: 'currency' });
+  field('Total Equity', 'Total_Equity', { v: calculated.totalEquity, f: 'Purchase_Price+Closing_Costs_Amt+Loan_Fee+Capex_At_Close-Loan_Amount-Close_Draw', s: 'currencyBold' });
+  field('Depreciable Basis', 'Depreciable_Basis', { v: calculated.tax.depreciableBasis, f: '(Purchase_Price+Closing_Costs_Amt)*(1-Land_Pct)+Capex_At_Close', s: 'currency' });
+  field('Annual Depreciation', 'Annual_Depreciation', { v: calculated.tax.annualDepreciation, f: 'Depreciable_Basis/Depreciation_Years', s: 'currency' });
+
+  // Refinance: sized on the refinance year's NOI, paying off the acquisition loan's Debt sheet balance
+  const done = calculated.refinance;
+  const debt = (col) => debtSheetRange(inputs, col);
+  const remaining = `(${debt('A')}>Refi_At*12)*(${debt('D')}>0)`;
+  const discount = `(1+Treasury_Rate/12)^(${debt('A')}-Refi_At*12)`;
+  const dscrValid = 'AND(Refi_Debt_Constant>0,Refi_Min_DSCR>0)';
+  field('Refinance Year (0 = none)', 'Refi_At', { v: refinanceYear(refi, inputs.holdPeriod) ?? 0, f: 'IF(AND(Refi_Enabled,Refi_Year>=1,Refi_Year<Hold_Period),Refi_Year,0)', s: 'index' });
+  field('Refinance Year NOI', 'Refi_NOI', { v: done?.noi ?? 0, f: 'IF(Refi_At>0,INDEX(NOI_By_Year,1,Refi_At),0)', s: 'currency' });
+  field('Refinance Value', 'Refi_Value', { v: done?.value ?? 0, f: 'IF(Refi_Cap>0,Refi_NOI/Refi_Cap,0)', s: 'currency' });
+  field('Refi Year 1 Debt Service per $1', 'Refi_Debt_Constant', {
+    v: projectDebt(refiLoanTerms(inputs, refi), 1, 1)[0].debtService,
+    f: 'MIN(Refi_IO,12)*Refi_Rate/12+MAX(0,12-Refi_IO)*PMT(Refi_Rate/12,Refi_Amort*12,-1)',
+    s: 'index',
+  });
+  field('Refi LTV Loan', 'Refi_LTV_Loan', { v: done?.ltvLoan ?? 0, f: 'Refi_Value*Refi_LTV', s: 'currency' });
+  field('Refi DSCR Loan', 'Refi_DSCR_Loan', {
+    v: Number.isFinite(done?.dscrLoan) ? done.dscrLoan : 0,
+    f: `IF(${dscrValid},Refi_NOI/Refi_Min_DSCR/Refi_Debt_Constant,0)`,
+    s: 'currency',
+  });
+  field('Refinance Loan', 'Refi_Loan', {
+    v: done?.loanAmount ?? 0,
+    f: `IF(Refi_At=0,0,MAX(0,IF(Refi_Sizing="LTV",Refi_LTV_Loan,IF(${dscrValid},IF(Refi_Sizing="DSCR",Refi_DSCR_Loan,MIN(Refi_LTV_Loan,Refi_DSCR_Loan)),IF(Refi_Sizing="DSCR",0,Refi_LTV_Loan)))))`,
+    s: 'currency',
+  });
+  field('Acquisition Loan Payoff', 'Refi_Payoff', { v: done?.payoff ?? 0, f: `IF(Refi_At>0,INDEX(${debt('H')},Refi_At*12),0)`, s: 'currency' });
+  field('Prepayment Penalty', 'Prepay_Penalty', {
+    v: done?.penalty ?? 0,
+    f: 'IF(Refi_Payoff<=0,0,'
+      + 'IF(Prepay_Type="Step-Down",Refi_Payoff*IF(Refi_At<=ROWS(Step_Down),INDEX(Step_Down,Refi_At),0),'
+      + `IF(Prepay_Type="Yield Maintenance",MAX(Refi_Payoff*YM_Floor,SUMPRODUCT(${remaining}*${debt('D')}*(${debt('C')}-Treasury_Rate)/12/${discount})),`
+      + `IF(Prepay_Type="Defeasance",MAX(0,SUMPRODUCT(${remaining}*(${debt('E')}+${debt('F')}+${debt('G')})/${discount})-Refi_Payoff),0))))`,
+    s: 'currency',
+  });
+  field('Refinance Closing Costs', 'Refi_Costs_Amt', { v: done?.costs ?? 0, f: 'Refi_Loan*Refi_Costs_Pct', s: 'currency' });
+  field('Refinance Cash Out', 'Refi_Cash_Out', { v: done?.cashOut ?? 0, f: 'Refi_Loan-Refi_Payoff-Prepay_Penalty-Refi_Costs_Amt', s: 'currencyBold' });
+
+  return { sheet: { name: INPUTS, cols: [34, 16, 12, 12, 12], rows }, lineRows };
+};
+
+// Monthly schedule over the Pro Forma years; mirrors projectDebt in debt.js.
+// Future funding is drawn in the first month of each year, before maturity
+// and until a refinance. The refinance loan (columns J-N) starts the month
+// after the acquisition loan is paid off.
+const buildDebtSheet = (inputs, calculated) => {
+  const years = debtSheetYears(inputs);
+  const funding = inputs.capitalPlan.futureFundingPct / 100;
+  const closeDraw = inputs.capitalPlan.timing === 'At Close' ? inputs.capitalPlan.renovationBudget * funding : 0;
+  const refiAt = calculated.refinance?.year ?? 0;
+  const draws = calculated.schedule.map(row => (refiAt > 0 && row.year > refiAt ? 0 : row.capex * funding));
+  const debtYears = projectDebt(inputs, calculated.loanAmount + closeDraw, years, draws);
+  const refiMonths = refiAt > 0
+    ? projectDebt(refiLoanTerms(inputs, inputs.refinance), calculated.refinance.loanAmount, years - refiAt).flatMap(yr => yr.months)
+    : [];
+  const header = ['Month', 'Year', 'Rate', 'Begin Balance', 'Interest', 'Principal', 'Balloon', 'End Balance', 'Draw', 'Refi Begin', 'Refi Interest', 'Refi Principal', 'Refi Balloon', 'Refi End'];
+  const rows = [header.map(v => ({ v, s: 'header' }))];
+  const noBalance = (r) => `D${r}<=0,A${r}>Loan_Term*12`;
+  // Refinance loan month, and whether it has a balance to service
+  const k = (r) => `(A${r}-Refi_At*12)`;
+  const noRefiBalance = (r) => `J${r}<=0,${k(r)}>Refi_Term*12`;
+
+  debtYears.forEach((year, y) => year.months.forEach((month, m) => {
+    const r = rows.length + 1;
+    const refiMonth = refiMonths[y * 12 + m - refiAt * 12] ?? { startBalance: 0, interest: 0, principal: 0, balloon: 0, endBalance: 0 };
+    rows.push([
+      y * 12 + m + 1,
+      { v: y + 1, f: `ROUNDUP(A${r}/12,0)` },
+      { v: noteRate(inputs, y + 1) / 100, f: `IF(Rate_Type="Floating",MIN(MAX(INDEX(Index_Curve,MIN(B${r},ROWS(Index_Curve))),Rate_Floor),Rate_Cap)+Float_Spread,Interest_Rate)`, s: 'percent' },
+      { v: month.startBalance, f: r === 2 ? 'Loan_Amount+Close_Draw+I2' : `H${r - 1}+I${r}`, s: 'currency' },
+      { v: month.interest, f: `IF(OR(${noBalance(r)}),0,D${r}*C${r}/12)`, s: 'currency' },
+      { v: month.principal, f: `IF(OR(${noBalance(r)},A${r}<=IO_Months),0,MIN(PMT(C${r}/12,Amortization*12-(A${r}-IO_Months-1),-D${r})-E${r},D${r}))`, s: 'currency' },
+      { v: month.balloon, f: `IF(AND(D${r}>0,A${r}=Loan_Term*12),D${r}-F${r},0)`, s: 'currency' },
+      { v: month.endBalance, f: `IF(OR(${noBalance(r)}),0,D${r}-F${r}-G${r})`, s: 'currency' },
+      { v: month.draw, f: `IF(AND(MOD(A${r}-1,12)=0,A${r}<=Loan_Term*12,B${r}<=Hold_Period,OR(Refi_At=0,B${r}<=Refi_At)),INDEX(Capex_By_Year,1,B${r})*Future_Funding_Pct,0)`, s: 'currency' },
+      { v: refiMonth.startBalance, f: `IF(OR(Refi_At=0,${k(r)}<1),0,${r === 2 ? 'Refi_Loan' : `IF(${k(r)}=1,Refi_Loan,N${r - 1})`})`, s: 'currency' },
+      { v: refiMonth.interest, f: `IF(OR(${noRefiBalance(r)}),0,J${r}*Refi_Rate/12)`, s: 'currency' },
+      { v: refiMonth.principal, f: `IF(OR(${noRefiBalance(r)},${k(r)}<=Refi_IO),0,MIN(PMT(Refi_Rate/12,Refi_Amort*12-(${k(r)}-Refi_IO-1),-J${r})-K${r},J${r}))`, s: 'currency' },
+      { v: refiMonth.balloon, f: `IF(AND(J${r}>0,${k(r)}=Refi_Term*12),J${r}-L${r},0)`, s: 'currency' },
+      { v: refiMonth.endBalance, f: `IF(OR(${noRefiBalance(r)}),0,J${r}-L${r}-M${r})`, s: 'currency' },
+    ]);
+  }));
+
+  return { name: DEBT, cols: [8, 8, 10, 16, 14, 14, 14, 16, 14, 16, 14, 14, 14, 16], rows };
+};
+
+const buildProFormaSheet = (inputs, calculated, lineRows, names) => {
+  const useRentRoll = inputs.incomeMode === 'Rent Roll';
+  const hold = inputs.holdPeriod;
+  const years = calculated.schedule.slice(0, hold + 1); // plus the forward year the exit is priced on
+  const cols = years.map((_, i) => columnName(FIRST_YEAR_COL + i));
+  const first = cols[0];
+  const last = cols[cols.length - 1];
+  const debtCol = (col) => debtSheetRange(inputs, col);
+  const lineKeys = inputs.expenseLines.map((_, i) => `line${i}`);
+
+  // Row layout first, so formulas can point at rows further down
+  const layout = [
+    'revenueGrowth', 'growthIndex', 'capexShare', 'renovatedShare', 'rentPremium', 'gpi', 'vacancyRate', 'vacancy', 'occupancy', 'reimbursements', 'egi',
+    'opexHeader', 'expenseIndex', ...lineKeys, 'managementFee', 'expenses', 'recoverable', 'noi', 'leasingCosts', 'reserves', 'capex', 'cfUnlevered', null,
+    'startLoanBal', 'interest', 'principal', 'debtService', 'acquisitionDebtService', 'refiDebtService', 'balloon', 'futureFunding',
+    'refiProceeds', 'refiPayoff', 'prepaymentPenalty', 'refiCosts', 'endLoanBal', 'cfLevered', 'dscr', 'debtYield', null,
+    'irr', 'unleveredIrr', null,
+    'depreciation', 'loanCostAmortization', 'taxableIncome', 'incomeTax', 'afterTaxCf',
+  ];
+  const R = {};
+  layout.forEach((key, i) => { if (key) R[key] = YEAR_ROW + 1 + i; });
+  const lineRange = (c) => `${c}${R.line0}:${c}${R[lineKeys[lineKeys.length - 1]]}`;
+  const sumRecoverable = (row) => row.expenseLines.reduce((sum, amt, i) => sum + (inputs.expenseLines[i].recoverable ? amt : 0), 0);
+  const taxYear = (i) => calculated.tax.byYear[i];
+  // Entry n (1-based) of a named curve, the last value carrying on
+  const curveAt = (name, n) => `INDEX(${name},MIN(${n},ROWS(${name})))`;
+  // The expense schedule compounded, whichever growth mode is selected
+  const expenseScheduleIndex = years.reduce((index, _, i) => [...index, i === 0 ? 1 : index[i - 1] * (1 + curveValue(inputs.expenseGrowthSchedule, i - 1) / 100)], []);
+  const rentRollValue = (key) => (useRentRoll ? (c, i, row) => ({ v: row[key] }) : null);
+  const plan = inputs.capitalPlan;
+  const spendShare = (year) => (plan.timing === 'By Year' && year <= hold ? (plan.schedule[year - 1] ?? 0) / 100 : 0);
+  // Renovation vintages depreciate from the year after the spend: the share of
+  // each written off by a year is its years in service / period, clipped to 0-1
+  const clip = (x) => `(((${x})>=1)+((${x})>0)*((${x})<1)*(${x}))`;
+  const capexDepreciation = (c, i) => {
+    if (i === 0) return '';
+    const prior = (row) => `$${first}$${row}:${cols[i - 1]}$${row}`;
+    const inService = (offset) => `(${c}$${YEAR_ROW}-${prior(YEAR_ROW)}${offset})/Depreciation_Years`;
+    return `+SUMPRODUCT(${prior(R.capex)},${clip(inService(''))}-${clip(inService('-1'))})`;
+  };
+  // Debt lines come from the acquisition loan through the refinance year, then from the new loan
+  const acquisitionYear = (c) => `OR(Refi_At=0,${c}$${YEAR_ROW}<=Refi_At)`;
+  const byLoan = (c, acquisitionCol, refiCol, criteriaCol, criteria) => (
+    `IF(${acquisitionYear(c)},SUMIFS(${debtCol(acquisitionCol)},${debtCol(criteriaCol)},${criteria}),SUMIFS(${debtCol(refiCol)},${debtCol(criteriaCol)},${criteria}))`
+  );
+  const atRefi = (c, amount) => `IF(${c}$${YEAR_ROW}=Refi_At,${amount},0)`;
+  // Straight-line loan cost write-off from year `start` over `term` years, the rest in year `end` (tax.js)
+  const loanCosts = (c, amount, start, term, end) => {
+    const y = `${c}$${YEAR_ROW}`;
+    return `IF(AND(${y}>${start},${y}<=${end}),IF(${y}-${start}<=${term},${amount}/${term},0)+IF(${y}=${end},MAX(0,${amount}-${amount}/${term}*MIN(${end}-${start},${term})),0),0)`;
+  };
+
+  // [label, style, (c, i, row) => { v, f }]
+  const DEFS = {
+    revenueGrowth: ['Revenue Growth', 'percent', (c, i, row) => (i === 0
+      ? { v: '' }
+      : { v: revenueGrowthRate(inputs, row.year) / 100, f: `IF(Growth_Type="Schedule",${curveAt('Growth_Schedule', `${c}$${YEAR_ROW}-1`)},IF(Growth_Type="CPI",MIN(MAX(${curveAt('CPI_Path', `${c}$${YEAR_ROW}-1`)},CPI_Floor),CPI_Cap),IF(Growth_Type="Step-Up",IF(MOD(${c}$${YEAR_ROW}-1,Step_Freq)=0,Step_Rate,0),Annual_Growth)))` })],
+    growthIndex: ['Growth Index', 'index', (c, i) => (i === 0
+      ? { v: 1 }
+      : { v: calculated.growthIndex[i], f: `${cols[i - 1]}${R.growthIndex}*(1+${c}${R.revenueGrowth})` })],
+    capexShare: ['Renovation Spend (% of Budget)', 'percent', (c, i, row) => ({
+      v: spendShare(row.year),
+      f: `IF(AND(Capex_Timing="By Year",${c}$${YEAR_ROW}<=Hold_Period,${c}$${YEAR_ROW}<=ROWS(Capex_Schedule)),INDEX(Capex_Schedule,${c}$${YEAR_ROW}),0)`,
+    })],
+    renovatedShare: ['Renovations Complete', 'percent', (c, i) => ({
+      v: plan.timing === 'By Year' ? Math.min(1, years.slice(0, i).reduce((sum, row) => sum + spendShare(row.year), 0)) : 1,
+      f: i === 0 ? 'IF(Capex_Timing="At Close",1,0)' : `IF(Capex_Timing="At Close",1,MIN(1,SUM($${first}${R.capexShare}:${cols[i - 1]}${R.capexShare})))`,
+    })],
+    rentPremium: ['Renovation Rent Premium', 'currency', (c, i, row) => ({ v: row.rentPremium, f: `Premium_Units*Premium_Per_Unit*12*${c}${R.renovatedShare}*${c}${R.growthIndex}` })],
+    gpi: ['Gross Potential Income', 'currency', useRentRoll
+      ? (c, i, row) => ({ v: row.gpi, f: `${row.gpi - row.rentPremium}+${c}${R.rentPremium}` })
+      : (c, i, row) => ({ v: row.gpi, f: `Base_GPI*${c}${R.growthIndex}+${c}${R.rentPremium}` })],
+    vacancyRate: ['Vacancy Rate', 'percent', (c, i) => ({ v: calculated.vacancyRates[i] / 100, f: `IF(Vacancy_Type="Lease-Up",${curveAt('Vacancy_Path', `${c}$${YEAR_ROW}`)},Vacancy_Rate)` })],
+    vacancy: ['Less: Vacancy & Credit Loss', 'currency', rentRollValue('vacancy') ?? ((c, i, row) => ({ v: row.vacancy, f: `${c}${R.gpi}*${c}${R.vacancyRate}` }))],
+    occupancy: ['Economic Occupancy', 'percent', (c, i, row) => ({ v: row.gpi > 0 ? 1 - row.vacancy / row.gpi : 0, f: `IF(${c}${R.gpi}>0,1-${c}${R.vacancy}/${c}${R.gpi},0)` })],
+    reimbursements: ['Expense Reimbursements', 'currency', (c, i, row) => ({
+      v: row.reimbursements,
+      f: `IF(Recovery_Type="NNN",${c}${R.recoverable}*${c}${R.occupancy},IF(Recovery_Type="Modified Gross",MAX(0,${c}${R.recoverable}-Base_Recoverable)*${c}${R.occupancy},0))`,
+    })],
+    egi: [{ v: 'Effective Gross Income', s: 'bold' }, 'currencyBold', (c, i, row) => ({ v: row.egi, f: `${c}${R.gpi}-${c}${R.vacancy}+${c}${R.reimbursements}` })],
+    expenseIndex: ['Expense Schedule Index', 'index', (c, i) => (i === 0
+      ? { v: 1 }
+      : { v: expenseScheduleIndex[i], f: `${cols[i - 1]}${R.expenseIndex}*(1+${curveAt('Expense_Growth_Schedule', `${c}$${YEAR_ROW}-1`)})` })],
+    managementFee: ['Management Fee', 'currency', (c, i, row) => ({ v: row.managementFee, f: `${c}${R.egi}*Mgmt_Fee` })],
+    expenses: [{ v: 'Total Operating Expenses', s: 'bold' }, 'currencyBold', (c, i, row) => ({ v: row.expenses, f: lineKeys.length > 0 ? `SUM(${lineRange(c)})+${c}${R.managementFee}` : `${c}${R.managementFee}` })],
+    recoverable: ['Recoverable Expenses', 'currency', (c, i, row) => ({ v: sumRecoverable(row), f: lineKeys.length > 0 ? `SUMIF(Expense_Recoverable,TRUE,${lineRange(c)})` : '0' })],
+    noi: [{ v: 'Net Operating Income', s: 'bold' }, 'currencyBold', (c, i, row) => ({ v: row.noi, f: `${c}${R.egi}-${c}${R.expenses}` })],
+    leasingCosts: ['Leasing Costs (TI/LC)', 'currency', (c, i, row) => ({ v: row.leasingCosts })],
+    reserves: ['Replacement Reserves', 'currency', (c, i, row) => ({ v: row.reserves, f: `Reserves_Year1*(1+Reserve_Growth)^(${c}$${YEAR_ROW}-1)` })],
+    capex: ['Renovation Capex', 'currency', (c, i, row) => ({ v: row.capex, f: `Renovation_Budget*${c}${R.capexShare}` })],
+    cfUnlevered: ['Cash Flow Before Debt', 'currency', (c, i, row) => ({ v: row.cfUnlevered, f: `${c}${R.noi}-${c}${R.leasingCosts}-${c}${R.reserves}-${c}${R.capex}` })],
+    startLoanBal: ['Beginning Loan Balance', 'currency', (c, i, row) => ({ v: row.startLoanBal, f: byLoan(c, 'D', 'J', 'A', `(${c}$${YEAR_ROW}-1)*12+1`) })],
+    interest: ['Interest', 'currency', (c, i, row) => ({ v: row.interest, f: byLoan(c, 'E', 'K', 'B', `${c}$${YEAR_ROW}`) })],
+    principal: ['Principal', 'currency', (c, i, row) => ({ v: row.principal, f: byLoan(c, 'F', 'L', 'B', `${c}$${YEAR_ROW}`) })],
+    debtService: [{ v: 'Annual Debt Service', s: 'bold' }, 'currencyBold', (c, i, row) => ({ v: row.debtService, f: `${c}${R.interest}+${c}${R.principal}` })],
+    acquisitionDebtService: ['  Acquisition Loan', 'currency', (c, i, row) => ({ v: row.acquisitionDebtService, f: `IF(${acquisitionYear(c)},${c}${R.debtService},0)` })],
+    refiDebtService: ['  Refinance Loan', 'currency', (c, i, row) => ({ v: row.refiDebtService, f: `${c}${R.debtService}-${c}${R.acquisitionDebtService}` })],
+    balloon: ['Balloon Payment', 'currency', (c, i, row) => ({ v: row.balloon, f: byLoan(c, 'G', 'M', 'B', `${c}$${YEAR_ROW}`) })],
+    futureFunding: ['Future Funding Draws', 'currency', (c, i, row) => ({ v: row.futureFunding, f: `SUMIFS(${debtCol('I')},${debtCol('B')},${c}$${YEAR_ROW})` })],
+    refiProceeds: ['Refinance Proceeds', 'currency', (c, i, row) => ({ v: row.refiProceeds, f: atRefi(c, 'Refi_Loan') })],
+    refiPayoff: ['Acquisition Loan Payoff', 'currency', (c, i, row) => ({ v: row.refiPayoff, f: atRefi(c, 'Refi_Payoff') })],
+    prepaymentPenalty: ['Prepayment Penalty', 'currency', (c, i, row) => ({ v: row.prepaymentPenalty, f: atRefi(c, 'Prepay_Penalty') })],
+    refiCosts: ['Refinance Costs', 'currency', (c, i, row) => ({ v: row.refiCosts, f: atRefi(c, 'Refi_Costs_Amt') })],
+    endLoanBal: ['Ending Loan Balance', 'currency', (c, i, row) => ({
+      v: row.endLoanBal,
+      f: `IF(${c}$${YEAR_ROW}=Refi_At,Refi_Loan,${byLoan(c, 'H', 'N', 'A', `${c}$${YEAR_ROW}*12`)})`,
+    })],
+    cfLevered: [{ v: 'Cash Flow After Debt', s: 'bold' }, 'currencyBold', (c, i, row) => ({
+      v: row.cfLevered,
+      f: `${c}${R.cfUnlevered}-${c}${R.debtService}-${c}${R.balloon}+${c}${R.futureFunding}+${c}${R.refiProceeds}-${c}${R.refiPayoff}-${c}${R.prepaymentPenalty}-${c}${R.refiCosts}`,
+    })],
+    dscr: ['DSCR', 'multiple', (c, i, row) => ({ v: row.dscr, f: `IF(${c}${R.debtService}>0,${c}${R.noi}/${c}${R.debtService},0)` })],
+    debtYield: ['Debt Yield', 'percent', (c, i, row) => ({ v: row.debtYield, f: `IF(${c}${R.startLoanBal}>0,${c}${R.noi}/${c}${R.startLoanBal},0)` })],
+    irr: [{ v: 'Levered Cash Flow (incl. Sale)', s: 'bold' }, 'currencyBold', (c, i) => ({
+      v: calculated.cfStream[i + 1] ?? 0,
+      f: `IF(${c}$${YEAR_ROW}<=Hold_Period,${c}${R.cfLevered},0)+IF(${c}$${YEAR_ROW}=Hold_Period,Net_Sale_Proceeds,0)`,
+    })],
+    unleveredIrr: ['Unlevered Cash Flow (incl. Sale)', 'currency', (c, i) => ({
+      v: calculated.unleveredCfStream[i + 1] ?? 0,
+      f: `IF(${c}$${YEAR_ROW}<=Hold_Period,${c}${R.cfUnlevered},0)+IF(${c}$${YEAR_ROW}=Hold_Period,Sale_Price-Sale_Costs_Amt,0)`,
+    })],
+    depreciation: ['Depreciation', 'currency', (c, i) => ({
+      v: taxYear(i)?.depreciation ?? 0,
+      f: `IF(${c}$${YEAR_ROW}<=Hold_Period,MAX(0,MIN(Annual_Depreciation,Depreciable_Basis-Annual_Depreciation*(${c}$${YEAR_ROW}-1)))${capexDepreciation(c, i)},0)`,
+    })],
+    loanCostAmortization: ['Loan Cost Amortization', 'currency', (c, i) => ({
+      v: taxYear(i)?.loanCostAmortization ?? 0,
+      f: `${loanCosts(c, 'Loan_Fee', 0, 'Loan_Term', 'IF(Refi_At>0,Refi_At,Hold_Period)')}+${loanCosts(c, 'Refi_Costs_Amt', 'Refi_At', 'Refi_Term', 'Hold_Period')}`,
+    })],
+    taxableIncome: [{ v: 'Taxable Income', s: 'bold' }, 'currencyBold', (c, i) => ({
+      v: taxYear(i)?.taxableIncome ?? 0,
+      f: `IF(${c}$${YEAR_ROW}<=Hold_Period,${c}${R.noi}-${c}${R.leasingCosts}-${c}${R.reserves}-${c}${R.interest}-${c}${R.prepaymentPenalty}-${c}${R.depreciation}-${c}${R.loanCostAmortization},0)`,
+    })],
+    incomeTax: ['Income Tax', 'currency', (c, i) => ({ v: taxYear(i)?.tax ?? 0, f: `${c}${R.taxableIncome}*Ordinary_Tax_Rate` })],
+    afterTaxCf: [{ v: 'After-Tax Cash Flow (incl. Sale)', s: 'bold' }, 'currencyBold', (c, i) => ({
+      v: calculated.tax.cfStream[i + 1] ?? 0,
+      f: `${c}${R.irr}-${c}${R.incomeTax}-IF(${c}$${YEAR_ROW}=Hold_Period,Sale_Tax,0)`,
+    })],
+  };
+  inputs.expenseLines.forEach((line, i) => {
+    const ref = (col) => sheetRef(INPUTS, `$${col}$${lineRows[i]}`);
+    DEFS[`line${i}`] = [`  ${line.name}`, 'currency', (c, _, row) => ({
+      v: row.expenseLines[i],
+      f: `${ref('B')}*IF(Expense_Growth_Type="Schedule",${c}${R.expenseIndex},(1+${ref('C')})^(${c}$${YEAR_ROW}-1))*(${ref('D')}+(1-${ref('D')})*IF($${first}$${R.occupancy}>0,${c}${R.occupancy}/$${first}$${R.occupancy},1))`,
+    })];
+  });
+
+  const rows = [
+    [{ v: 'Pro Forma Cash Flow', s: 'bold' }],
+    [{ v: `Hold: ${hold} years from ${inputs.closingDate}. Column ${last} is the forward year the exit is priced on.`, s: 'note' }],
+    useRentRoll ? [{ v: 'Rent Roll mode: GPI, vacancy and leasing costs are the lease-by-lease projection, entered as values.', s: 'note' }] : [],
+    [],
+    [{ v: 'Year', s: 'header' }, { v: 'Yr 1 / SF', s: 'header' }, { v: 'Yr 1 / Unit', s: 'header' }, ...new Array(FIRST_YEAR_COL - 4).fill({ v: '', s: 'header' }), ...[0, ...years.map(row => row.year)].map(v => ({ v, s: 'header' }))],
+  ];
+  layout.forEach((key) => {
+    if (!key) {
+      rows.push([]);
+      return;
+    }
+    if (key === 'opexHeader') {
+      rows.push([{ v: 'Operating Expenses', s: 'bold' }]);
+      return;
+    }
+    const [label, style, cell] = DEFS[key];
+    const yearCells = years.map((row, i) => ({ s: style, ...cell(cols[i], i, row) }));
+    const yearZero = {
+      irr: { v: calculated.cfStream[0], f: '-Total_Equity', s: style },
+      unleveredIrr: { v: calculated.unleveredCfStream[0], f: '-(Purchase_Price+Closing_Costs_Amt+Capex_At_Close)', s: style },
+      capex: { v: plan.timing === 'At Close' ? plan.renovationBudget : 0, f: 'Capex_At_Close', s: style },
+      afterTaxCf: { v: calculated.tax.cfStream[0], f: '-Total_Equity', s: style },
+    }[key] ?? null;
+    // Year 1 per SF / per unit beside each dollar line
+    const year1 = style.startsWith('currency') ? perSize(inputs.property, yearCells[0].v, `${first}${rows.length + 1}`) : [null, null];
+    rows.push([label, ...year1, null, null, yearZero, ...yearCells]);
+  });
+
+  // Exit & returns, in the first year column
+  const summary = (label, name, cell) => {
+    rows.push([label, null, null, null, null, null, cell]);
+    if (name) names[name] = sheetRef(PRO_FORMA, `$${first}$${rows.length}`);
+  };
+  const range = (row) => `$${first}$${row}:$${last}$${row}`;
+  const avgCoCFormula = `SUMIF(${range(YEAR_ROW)},"<="&Hold_Period,${range(R.cfLevered)})/Hold_Period/Total_Equity`;
+  const loanPayoff = calculated.schedule[hold - 1].endLoanBal;
+
+  rows.push([], [{ v: 'Exit & Returns', s: 'bold' }]);
+  summary('Forward NOI (Year N+1)', 'Forward_NOI', { v: calculated.schedule[hold]?.noi ?? 0, f: `INDEX(${range(R.noi)},1,Hold_Period+1)`, s: 'currency' });
+  summary('Exit Sale Price', 'Sale_Price', { v: calculated.salePrice, f: 'Forward_NOI/Exit_Cap', s: 'currency' });
+  const [exitPerSf, exitPerUnit] = perSize(inputs.property, calculated.salePrice, 'Sale_Price');
+  summary('Exit Price per SF', null, exitPerSf);
+  summary('Exit Price per Unit', null, exitPerUnit);
+  summary('Less: Sale Costs', 'Sale_Costs_Amt', { v: calculated.salePrice * (inputs.saleCosts / 100), f: 'Sale_Price*Sale_Costs', s: 'currency' });
+  summary('Less: Loan Payoff', 'Loan_Payoff', { v: loanPayoff, f: `INDEX(${range(R.endLoanBal)},1,Hold_Period)`, s: 'currency' });
+  summary('Net Sale Proceeds', 'Net_Sale_Proceeds', { v: calculated.netSaleProceeds, f: 'Sale_Price-Sale_Costs_Amt-Loan_Payoff', s: 'currencyBold' });
+  summary('All-In Basis', 'All_In_Basis', {
+    v: calculated.allInBasis,
+    f: `Purchase_Price+Closing_Costs_Amt+Loan_Fee+Capex_At_Close+SUMIF(${range(YEAR_ROW)},"<="&Hold_Period,${range(R.capex)})`,
+    s: 'currency',
+  });
+  const [basisPerSf, basisPerUnit] = perSize(inputs.property, calculated.allInBasis, 'All_In_Basis');
+  summary('All-In Basis per SF', null, basisPerSf);
+  summary('All-In Basis per Unit', null, basisPerUnit);
+  rows.push([]);
+  summary('Levered IRR', null, { v: calculated.leveredIRR, f: `IRR($F$${R.irr}:$${last}$${R.irr})`, s: 'percent' });
+  // MIRR counts periods, so its range stops at the exit year instead of running through the forward year
+  const holdRange = (row) => `$F$${row}:$${cols[hold - 1]}$${row}`;
+  summary('Levered MIRR', null, { v: calculated.leveredMIRR, f: `MIRR(${holdRange(R.irr)},Finance_Rate,Reinvest_Rate)`, s: 'percent' });
+  summary('Equity Multiple', null, { v: calculated.equityMultiple, f: `SUM(${range(R.irr)})/Total_Equity`, s: 'multiple' });
+  summary('Avg Cash-on-Cash', null, { v: calculated.avgCoC, f: avgCoCFormula, s: 'percent' });
+  summary('Levered NPV', null, { v: calculated.leveredNPV, f: `$F$${R.irr}+NPV(Discount_Rate,${range(R.irr)})`, s: 'currency' });
+  summary('Unlevered IRR', null, { v: calculated.unleveredIRR, f: `IRR($F$${R.unleveredIrr}:$${last}$${R.unleveredIrr})`, s: 'percent' });
+  summary('Unlevered MIRR', null, { v: calculated.unleveredMIRR, f: `MIRR(${holdRange(R.unleveredIrr)},Finance_Rate,Reinvest_Rate)`, s: 'percent' });
+  summary('Unlevered Multiple', null, { v: calculated.unleveredMultiple, f: `-SUM(${range(R.unleveredIrr)})/$F$${R.unleveredIrr}`, s: 'multiple' });
+  summary('Unlevered NPV', null, { v: calculated.unleveredNPV, f: `$F$${R.unleveredIrr}+NPV(Discount_Rate,${range(R.unleveredIrr)})`, s: 'currency' });
+
+  // Tax on the sale: gain up to the depreciation taken is recaptured, the rest is capital gain (a loss is ordinary)
+  const { sale } = calculated.tax;
+  rows.push([], [{ v: 'After-Tax', s: 'bold' }]);
+  summary('Adjusted Basis', 'Adjusted_Basis', {
+    v: sale.adjustedBasis,
+    f: `Purchase_Price+Closing_Costs_Amt+Capex_At_Close+SUMIF(${range(YEAR_ROW)},"<="&Hold_Period,${range(R.capex)})-SUM(${range(R.depreciation)})`,
+    s: 'currency',
+  });
+  summary('Taxable Gain on Sale', 'Taxable_Gain', { v: sale.gain, f: 'Sale_Price-Sale_Costs_Amt-Adjusted_Basis', s: 'currency' });
+  summary('Depreciation Recapture', 'Recapture', { v: sale.recapture, f: `MAX(0,MIN(Taxable_Gain,SUM(${range(R.depreciation)})))`, s: 'currency' });
+  summary('Tax on Sale', 'Sale_Tax', {
+    v: sale.tax,
+    f: 'Recapture*Recapture_Rate+(Taxable_Gain-Recapture)*IF(Taxable_Gain-Recapture>0,Cap_Gains_Rate,Ordinary_Tax_Rate)',
+    s: 'currencyBold',
+  });
+  summary('After-Tax IRR', null, { v: calculated.tax.irr, f: `IRR($F$${R.afterTaxCf}:$${last}$${R.afterTaxCf})`, s: 'percent' });
+  summary('After-Tax Multiple', null, { v: calculated.tax.equityMultiple, f: `SUM(${range(R.afterTaxCf)})/Total_Equity`, s: 'multiple' });
+
+  names.Year1_NOI = sheetRef(PRO_FORMA, `$${first}$${R.noi}`);
+  names.NOI_By_Year = sheetRef(PRO_FORMA, range(R.noi));
+  names.Capex_By_Year = sheetRef(PRO_FORMA, range(R.capex));
+
+  return { name: PRO_FORMA, cols: [34, 11, 11, 2, 2, 14, ...cols.map(() => 14)], rows };
+};
+
+export const buildWorkbook = (rawInputs, calculated) => {
+  // The same clamped inputs the engine ran on, so cached values tie out
+  const inputs = normalizeInputs(rawInputs, DEFAULT_INPUTS);
+  const names = {};
+  const { sheet: inputsSheet, lineRows } = buildInputsSheet(inputs, calculated, names);
+  const proForma = buildProFormaSheet(inputs, calculated, lineRows, names);
+  const debt = buildDebtSheet(inputs, calculated);
+  return { sheets: [inputsSheet, proForma, debt], names };
+};
+
+export const exportWorkbook = (inputs, calculated) => {
+  const { sheets, names } = buildWorkbook(inputs, calculated);
+  return buildXlsx(sheets, names);
+};
@@ -0,0 +1,40 @@
+export const formatCurrency = (val) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(val);
+export const formatPercent = (val) => new Intl.NumberFormat('en-US', { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(val);
+
+// Per-SF and per-unit figures (null when there is no size to divide by): cents per SF, whole dollars per unit
+export const formatPerSf = (val) => (val === null ? '-' : new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(val));
+export const formatPerUnit = (val) => (val === null ? '-' : formatCurrency(val));
+
+// IRRs: null means no rate solves the cash flows, which is not the same as 0%
+export const formatIRR = (val) => (val === null || !Number.isFinite(val) ? 'Undefined' : formatPercent(val));
+
+// Multiples and coverage ratios as 0.00x; null (nothing to divide by) as n/a
+export const formatMultiple = (val) => (val === null ? 'n/a' : `${val.toFixed(2)}x`);
+
+// Output metrics: multiples and coverage ratios as 0.00x, everything else as a percent
+export const formatMetric = (metricKey, val) => {
+  if (metricKey.endsWith('IRR')) return formatIRR(val);
+  if (val === null || !Number.isFinite(val)) return 'n/a';
+  if (metricKey === 'equityMultiple' || metricKey === 'lowestDscr') return `${val.toFixed(2)}x`;
+  return formatPercent(val);
+};
+
+// Raw input values: dollar amounts as currency, rates and counts as plain numbers
+export const formatInputValue = (val) => (Math.abs(val) >= 1000 ? formatCurrency(val) : `${Number(val.toFixed(4))}`);
+
+// Values and differences by display type ('currency', 'percent', 'irr' or 'multiple')
+export const formatValue = (format, val) => {
+  if (format === 'irr') return formatIRR(val);
+  if (val === null || !Number.isFinite(val)) return 'n/a';
+  if (format === 'currency') return formatCurrency(val);
+  if (format === 'multiple') return `${val.toFixed(2)}x`;
+  return formatPercent(val);
+};
+
+export const formatDelta = (format, delta) => {
+  if (delta === null || !Number.isFinite(delta) || Math.abs(delta) < 1e-9) return '';
+  const sign = delta > 0 ? '+' : '-';
+  if (format === 'currency') return `${sign}${formatCurrency(Math.abs(delta))}`;
+  if (format === 'multiple') return `${sign}${Math.abs(delta).toFixed(2)}x`;
+  return `${sign}${(Math.abs(delta) * 100).toFixed(2)} pts`;
+};